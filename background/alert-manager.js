@@ -0,0 +1,255 @@
+// 🔔 ALERT MANAGER - Rules over monitor checks and test results that raise desktop notifications
+// Each rule fires at most once per episode (outage or test run), then waits out its cooldown
+
+import { ResultFields } from '../shared/result-schema.js';
+
+const STATE_KEY = 'alertState';
+const NOTIFICATION_PREFIX = 'alert:';
+
+const STATE_LABELS = {
+  offline: 'No internet',
+  'dns-failure': 'DNS is failing',
+  'captive-portal': 'Captive portal is blocking traffic'
+};
+
+// Notification buttons, in the order rule types list them
+const ACTIONS = {
+  'run-test': 'Run test',
+  'open-dashboard': 'Open dashboard',
+  'open-portal': 'Open login page'
+};
+
+// 📏 RULE TYPES - evaluate() returns { key, title, message } when the rule matches
+// source 'connectivity' sees every monitor check, 'test' sees every saved test record
+// episodic rules forget their last key once a check stops matching, so the next episode alerts again
+export const RULE_TYPES = {
+  offline: {
+    source: 'connectivity',
+    actions: ['run-test', 'open-dashboard'],
+    evaluate(rule, check) {
+      // A portal has its own rule
+      if (check.connected || !check.outage || check.state === 'captive-portal') return null;
+
+      const seconds = Math.round((check.timestamp - check.outage.start) / 1000);
+      if (seconds < rule.threshold) return null;
+
+      return {
+        key: check.outage.id,
+        title: 'Connection lost',
+        message: `${STATE_LABELS[check.state] || 'No internet'} for ${seconds}s`
+      };
+    }
+  },
+
+  'captive-portal': {
+    source: 'connectivity',
+    actions: ['open-portal', 'open-dashboard'],
+    episodic: true,
+    evaluate(rule, check) {
+      if (check.state !== 'captive-portal') return null;
+
+      // The outage marks the episode; without one, the portal is one episode until a check stops seeing it
+      return {
+        key: check.outage?.id || 'captive-portal',
+        title: 'Wi-Fi login required',
+        message: 'A captive portal is intercepting traffic. Sign in to get online.'
+      };
+    }
+  },
+
+  'download-below': {
+    source: 'test',
+    actions: ['run-test', 'open-dashboard'],
+    evaluate(rule, record) {
+      const download = ResultFields.download(record);
+      if (record.contaminated || download === null || download >= rule.threshold) return null;
+
+      return {
+        key: record.id,
+        title: 'Slow download',
+        message: `Download averaged ${download.toFixed(1)} Mbps (alert below ${rule.threshold} Mbps)`
+      };
+    }
+  },
+
+  'latency-p95-above': {
+    source: 'test',
+    actions: ['run-test', 'open-dashboard'],
+    evaluate(rule, record) {
+      const p95 = ResultFields.latencyP95(record);
+      if (record.contaminated || p95 === null || p95 <= rule.threshold) return null;
+
+      return {
+        key: record.id,
+        title: 'High latency',
+        message: `95th percentile latency was ${Math.round(p95)}ms (alert above ${rule.threshold}ms)`
+      };
+    }
+  },
+
+  'vpn-dropped': {
+    source: 'test',
+    actions: ['run-test', 'open-dashboard'],
+    evaluate(rule, record, history) {
+      // Compare with the last run that checked for a VPN
+      const previous = history.find(r => ResultFields.vpnActive(r) !== null);
+      if (ResultFields.vpnActive(record) !== false || !previous || !ResultFields.vpnActive(previous)) return null;
+
+      return {
+        key: record.id,
+        title: 'VPN dropped',
+        message: 'The last test found no VPN, but the one before it was connected through one.'
+      };
+    }
+  }
+};
+
+export class AlertManager {
+  constructor() {
+    this.state = null; // { [ruleId]: { lastFired, lastKey } }
+
+    this.config = {
+      enabled: true,
+      sound: false,
+      quietHours: { enabled: false, start: '22:00', end: '07:00' },
+      rules: this.getDefaultRules()
+    };
+  }
+
+  static isAlertNotification(notificationId) {
+    return notificationId.startsWith(NOTIFICATION_PREFIX);
+  }
+
+  // Actions behind a notification's buttons - recovered from its id so they survive worker restarts
+  static getActions(notificationId) {
+    const type = notificationId.slice(NOTIFICATION_PREFIX.length).split(':')[0];
+    return RULE_TYPES[type]?.actions || [];
+  }
+
+  getDefaultRules() {
+    return [
+      { id: 'offline', type: 'offline', enabled: true, threshold: 30, cooldownMinutes: 15 },
+      { id: 'captive-portal', type: 'captive-portal', enabled: true, threshold: null, cooldownMinutes: 30 },
+      { id: 'slow-download', type: 'download-below', enabled: false, threshold: 10, cooldownMinutes: 60 },
+      { id: 'high-latency', type: 'latency-p95-above', enabled: false, threshold: 150, cooldownMinutes: 60 },
+      { id: 'vpn-dropped', type: 'vpn-dropped', enabled: true, threshold: null, cooldownMinutes: 30 }
+    ];
+  }
+
+  // Update configuration - saved rules are merged over the defaults by id
+  updateConfig(newConfig) {
+    const rules = this.getDefaultRules().map(rule => ({
+      ...rule,
+      ...(newConfig.rules || this.config.rules).find(saved => saved.id === rule.id)
+    }));
+
+    this.config = {
+      ...this.config,
+      ...newConfig,
+      quietHours: { ...this.config.quietHours, ...newConfig.quietHours },
+      rules
+    };
+  }
+
+  // Called after every connectivity check
+  async handleConnectivityCheck(check) {
+    await this.evaluate('connectivity', check);
+  }
+
+  // Called after a test record is saved; history holds the older records, newest first
+  async handleTestResult(record, history = []) {
+    await this.evaluate('test', record, history);
+  }
+
+  async evaluate(source, event, history) {
+    if (!this.config.enabled) return;
+
+    const rules = this.config.rules.filter(rule => rule.enabled && RULE_TYPES[rule.type]?.source === source);
+    for (const rule of rules) {
+      const type = RULE_TYPES[rule.type];
+      const match = type.evaluate(rule, event, history);
+
+      if (match) {
+        await this.fire(rule, match);
+      } else if (type.episodic) {
+        await this.endEpisode(rule);
+      }
+    }
+  }
+
+  // The condition cleared - the next match is a new episode even if it carries the same key
+  async endEpisode(rule) {
+    const state = await this.loadState();
+    if (!state[rule.id]?.lastKey) return;
+
+    state[rule.id] = { ...state[rule.id], lastKey: null };
+    await this.saveState();
+  }
+
+  async fire(rule, match) {
+    const state = await this.loadState();
+    const ruleState = state[rule.id] || { lastFired: 0, lastKey: null };
+    const now = Date.now();
+
+    if (ruleState.lastKey === match.key) return;
+
+    // Held back, not consumed - a condition that outlasts quiet hours still alerts afterwards
+    if (this.isQuietHours(new Date(now))) return;
+
+    state[rule.id] = { ...ruleState, lastKey: match.key };
+
+    if (now - ruleState.lastFired < rule.cooldownMinutes * 60 * 1000) {
+      console.log(`🔔 "${match.title}" suppressed by cooldown`);
+    } else {
+      state[rule.id].lastFired = now;
+      await this.notify(rule, match);
+    }
+
+    await this.saveState();
+  }
+
+  async notify(rule, match) {
+    try {
+      await chrome.notifications.create(`${NOTIFICATION_PREFIX}${rule.type}:${Date.now()}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: match.title,
+        message: match.message,
+        buttons: RULE_TYPES[rule.type].actions.map(action => ({ title: ACTIONS[action] })),
+        priority: 1,
+        silent: !this.config.sound
+      });
+      console.log(`🔔 Alert: ${match.title} - ${match.message}`);
+    } catch (error) {
+      console.error('Failed to show notification:', error);
+    }
+  }
+
+  // Quiet hours may wrap past midnight (22:00 - 07:00)
+  isQuietHours(date) {
+    const { enabled, start, end } = this.config.quietHours;
+    if (!enabled || start === end) return false;
+
+    const toMinutes = time => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const now = date.getHours() * 60 + date.getMinutes();
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+
+    return from < to ? now >= from && now < to : now >= from || now < to;
+  }
+
+  async loadState() {
+    if (!this.state) {
+      const result = await chrome.storage.local.get([STATE_KEY]);
+      this.state = result[STATE_KEY] || {};
+    }
+    return this.state;
+  }
+
+  async saveState() {
+    await chrome.storage.local.set({ [STATE_KEY]: this.state });
+  }
+}
@@ -0,0 +1,101 @@
+// 📈 AVAILABILITY REPORT - Uptime percentages, MTBF and MTTR from the connectivity log
+// Time outside monitored coverage (browser closed, machine asleep) is unknown, never downtime
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const REPORT_PERIODS = [
+  { id: 'day', label: 'Last 24 hours', duration: DAY },
+  { id: 'week', label: 'Last 7 days', duration: 7 * DAY },
+  { id: 'month', label: 'Last 30 days', duration: 30 * DAY }
+];
+
+// Length of the part of [start, end] that falls inside [from, to]
+function overlap(start, end, from, to) {
+  return Math.max(0, Math.min(end, to) - Math.max(start, from));
+}
+
+// Outages with an end time; an ongoing outage ends at the last monitored moment
+function resolveOutages(log) {
+  const outages = [...log.outages];
+  const lastCovered = log.coverage[log.coverage.length - 1]?.end;
+
+  if (log.state.openOutage && lastCovered) {
+    outages.push({
+      ...log.state.openOutage,
+      end: lastCovered,
+      duration: lastCovered - log.state.openOutage.start,
+      ongoing: true
+    });
+  }
+
+  return outages;
+}
+
+// Availability figures for one window
+export function summarizePeriod(log, from, to, outages = resolveOutages(log)) {
+  const monitored = log.coverage.reduce((total, span) => total + overlap(span.start, span.end, from, to), 0);
+  const downtime = outages.reduce((total, outage) => total + overlap(outage.start, outage.end, from, to), 0);
+  const uptime = Math.max(0, monitored - downtime);
+
+  // Failures are counted where they started; MTTR uses each outage's full length
+  const failures = outages.filter(outage => outage.start >= from && outage.start < to);
+  const touching = outages.filter(outage => overlap(outage.start, outage.end, from, to) > 0 || failures.includes(outage));
+  const longest = touching.reduce((max, outage) => !max || outage.duration > max.duration ? outage : max, null);
+
+  return {
+    from,
+    to,
+    monitored,
+    unknown: Math.max(0, (to - from) - monitored),
+    coverage: Math.round((monitored / (to - from)) * 10000) / 100,
+    uptime,
+    downtime,
+    availability: monitored > 0 ? Math.round((uptime / monitored) * 100000) / 1000 : null,
+    failures: failures.length,
+    mtbf: failures.length > 0 ? Math.round(uptime / failures.length) : null,
+    mttr: failures.length > 0
+      ? Math.round(failures.reduce((total, outage) => total + outage.duration, 0) / failures.length)
+      : null,
+    longestOutage: longest ? {
+      start: longest.start,
+      end: longest.end,
+      duration: longest.duration,
+      states: longest.states || [],
+      ongoing: longest.ongoing || false
+    } : null
+  };
+}
+
+// Rolling 24h / 7d / 30d windows plus one row per calendar day
+export function buildAvailabilityReport(log, now = Date.now(), days = 30) {
+  const outages = resolveOutages(log);
+
+  const periods = {};
+  REPORT_PERIODS.forEach(period => {
+    periods[period.id] = { label: period.label, ...summarizePeriod(log, now - period.duration, now, outages) };
+  });
+
+  const daily = [];
+  const dayStart = new Date(now);
+  dayStart.setHours(0, 0, 0, 0);
+
+  for (let i = 0; i < days; i++) {
+    const from = new Date(dayStart);
+    from.setDate(from.getDate() - i);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 1);
+
+    daily.push({
+      date: `${from.getFullYear()}-${String(from.getMonth() + 1).padStart(2, '0')}-${String(from.getDate()).padStart(2, '0')}`,
+      ...summarizePeriod(log, from.getTime(), Math.min(to.getTime(), now), outages)
+    });
+  }
+
+  return {
+    generated: now,
+    periods,
+    daily,
+    outages: outages.filter(outage => outage.end >= now - days * DAY)
+  };
+}
@@ -3,39 +3,134 @@
 
 import { TestOrchestrator } from './test-orchestrator.js';
 import { ConnectivityTests } from './tests/connectivity-tests.js';
+import { TestScheduler } from './test-scheduler.js';
+import { AlertManager } from './alert-manager.js';
+import { NetworkProfiles } from './network-profiles.js';
+import { RescoreJob } from './rescore-job.js';
+import { SCORING_PROFILES, CAPABILITIES, DEFAULT_SCORING_PROFILE, getScoringProfiles } from './scoring.js';
+import { DEFAULT_RULES } from './recommendation-rules.js';
+import { validateRule } from './recommendation-engine.js';
+import { Results } from '../shared/results-store.js';
+import { RESULT_SCHEMA_VERSION, ResultFields } from '../shared/result-schema.js';
 
 // Initialize
 let testOrchestrator = null;
 let connectivityTests = null;
-let testHistory = [];
+let testScheduler = null;
+let alertManager = null;
+let networkProfiles = null;
+let rescoreJob = null;
 let currentConfig = {};
 let activeConnections = new Map(); // Track active connections for real-time updates
 
-// Initialize orchestrator on startup
-async function initializeOrchestrator() {
-  if (!testOrchestrator) {
-    console.log('🚀 Initializing Test Orchestrator with Real-time Callbacks...');
-    testOrchestrator = new TestOrchestrator();
-    
-    // Setup real-time progress callbacks
-    testOrchestrator.setProgressCallback(handleProgressUpdate);
-    testOrchestrator.setSpeedCallback(handleSpeedUpdate);
-    
-    // Load saved config
-    const result = await chrome.storage.local.get(['networkConfig', 'testHistory', 'theme']);
-    currentConfig = result.networkConfig || getDefaultConfig();
-    testHistory = result.testHistory || [];
+let initializing = null;
+
+// Initialize once - every entry point awaits the same promise, so none of them runs against a half-loaded config
+function initializeOrchestrator() {
+  if (!initializing) {
+    initializing = setupServices().catch(error => {
+      initializing = null;
+      throw error;
+    });
   }
 
+  return initializing;
+}
+
+// Load the saved config, then build everything that reads it
+async function setupServices() {
+  console.log('🚀 Initializing Test Orchestrator with Real-time Callbacks...');
+  
+  // Load saved config
+  const result = await chrome.storage.local.get(['networkConfig', 'theme']);
+  currentConfig = result.networkConfig || getDefaultConfig();
+  
+  testOrchestrator = new TestOrchestrator();
+  
+  // Setup real-time progress callbacks
+  testOrchestrator.setProgressCallback(handleProgressUpdate);
+  testOrchestrator.setSpeedCallback(handleSpeedUpdate);
+  
+  // Test results live in IndexedDB; move over anything older versions kept in storage.local
+  Results.setRetention(currentConfig.results || {});
+  await Results.migrateLegacy().catch(error => console.error('Result migration failed:', error));
+
+  // Initialize alert rules
+  alertManager = new AlertManager();
+  alertManager.updateConfig(getAlertConfig());
+
+  // Initialize network change detection
+  networkProfiles = new NetworkProfiles({
+    getNetworkInfo: () => testOrchestrator.securityTests.getNetworkInfo(),
+    onChange: handleNetworkChange
+  });
+  networkProfiles.watchConnection();
+
   // Initialize connectivity tests
-  if (!connectivityTests) {
-    console.log('📡 Initializing Connectivity Tests...');
-    connectivityTests = new ConnectivityTests();
+  console.log('📡 Initializing Connectivity Tests...');
+  connectivityTests = new ConnectivityTests();
+  connectivityTests.updateConfig(getConnectivityConfig());
+  connectivityTests.setLastTest(await Results.latest());
+  connectivityTests.setNetworkProfile(await networkProfiles.getCurrentId());
+  connectivityTests.setCheckCallback(async check => {
+    await alertManager.handleConnectivityCheck(check)
+      .catch(error => console.error('Alert evaluation failed:', error));
+    await networkProfiles.handleConnectivityCheck(check);
+  });
+
+  // Recompute stored scores once after the scoring algorithm changes
+  rescoreJob = new RescoreJob({
+    onProgress: handleRescoreProgress,
+    getScoringConfig: () => currentConfig.scoring,
+    getRecommendationConfig: () => currentConfig.recommendations
+  });
+  rescoreJob.startIfOutdated()
+    .catch(error => console.error('Rescore check failed:', error));
+
+  // Initialize scheduled tests
+  testScheduler = new TestScheduler({
+    runTest: runScheduledTest,
+    isBusy: () => testOrchestrator.isRunning()
+  });
+}
+
+// Switched networks - tag new samples, tell open pages, and test if the popup's auto test is on
+async function handleNetworkChange(profile, previous, reason) {
+  connectivityTests?.setNetworkProfile(profile.id);
+  broadcastToAll({ type: 'NETWORK_CHANGED', profile });
+  
+  if (!previous || reason === 'test' || testOrchestrator.isRunning()) return;
+  
+  const { popupSettings } = await chrome.storage.local.get(['popupSettings']);
+  if (popupSettings?.autoTest) {
+    console.log(`🗺️ Testing new network "${profile.name}"`);
+    testOrchestrator.updateConfig(currentConfig);
+    testOrchestrator.runCompleteAnalysis('quick')
+      .then(results => saveTestRecord('quick', results, { trigger: 'network-change', tags: ['network-change'] }))
+      .catch(error => console.error('❌ Network change test failed:', error));
+  }
+}
+
+// Rescore progress goes to open pages; the badge picks up the latest run's new grade when done
+function handleRescoreProgress(status) {
+  broadcastToAll({ type: 'RESCORE_PROGRESS', status });
+  
+  if (status.state === 'complete') {
+    Results.latest()
+      .then(record => connectivityTests?.setLastTest(record))
+      .catch(error => console.error('Failed to refresh last test:', error));
   }
 }
 
 // Handle progress updates from Test Orchestrator
 function handleProgressUpdate(update) {
+  // Mirror overall progress on the toolbar badge
+  if (update.type === 'overall') {
+    connectivityTests?.setTestProgress(update.value);
+  } else if (['complete', 'error', 'stopped'].includes(update.type)) {
+    connectivityTests?.setTestProgress(null);
+  }
+  
   // Broadcast to all active connections
   broadcastToAll({
     type: 'PROGRESS_UPDATE',
@@ -64,7 +159,7 @@ function broadcastToAll(message) {
 }
 
 // Initialize immediately when background script loads
-initializeOrchestrator();
+initializeOrchestrator().catch(error => console.error('❌ Initialization failed:', error));
 
 // Setup persistent connection for real-time updates
 chrome.runtime.onConnect.addListener((port) => {
@@ -94,7 +189,9 @@ chrome.runtime.onConnect.addListener((port) => {
 });
 
 // Handle messages from connected ports
-function handlePortMessage(msg, port) {
+async function handlePortMessage(msg, port) {
+  await initializeOrchestrator();
+  
   switch (msg.type) {
     case 'START_TEST':
       runTestWithProgress(msg.mode, port);
@@ -107,7 +204,7 @@ function handlePortMessage(msg, port) {
     case 'GET_STATUS':
       port.postMessage({
         type: 'STATUS',
-        isRunning: testOrchestrator?.currentPhase !== 'idle'
+        isRunning: testOrchestrator?.isRunning() || false
       });
       break;
   }
@@ -128,6 +225,70 @@ chrome.runtime.onInstalled.addListener(async () => {
   if (connectivityTests) {
     connectivityTests.startNetworkMonitoring();
   }
+  
+  await testScheduler.syncAlarms();
+  chrome.alarms.create('networkProfileCheck', { periodInMinutes: 15 });
+  chrome.alarms.create('resultRetention', { periodInMinutes: 60 });
+  await networkProfiles.check('installed');
+});
+
+// Browser start - re-arm schedules and catch up on runs missed while closed
+chrome.runtime.onStartup.addListener(async () => {
+  await initializeOrchestrator();
+  connectivityTests.startNetworkMonitoring();
+  await testScheduler.syncAlarms();
+  chrome.alarms.create('networkProfileCheck', { periodInMinutes: 15 });
+  chrome.alarms.create('resultRetention', { periodInMinutes: 60 });
+  await networkProfiles.check('startup');
+});
+
+// Connectivity monitoring (registered at top level so checks keep running after the worker is suspended)
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== ConnectivityTests.ALARM_NAME) return;
+  
+  await initializeOrchestrator();
+  await connectivityTests.updateBadge();
+});
+
+// Scheduled test alarms (registered at top level so they wake the service worker)
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (!TestScheduler.isScheduleAlarm(alarm.name)) return;
+  
+  await initializeOrchestrator();
+  await testScheduler.handleAlarm(alarm);
+});
+
+// Periodic public IP check - catches network switches that never dropped the connection
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== 'networkProfileCheck') return;
+  
+  await initializeOrchestrator();
+  await networkProfiles.check('periodic');
+});
+
+// Hourly roll-up and expiry of stored results - saving a run doesn't wait on it
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== 'resultRetention') return;
+  
+  await initializeOrchestrator();
+  await Results.applyRetention();
+  connectivityTests.setLastTest(await Results.latest());
+});
+
+// Alert notification buttons
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  if (!AlertManager.isAlertNotification(notificationId)) return;
+  
+  await initializeOrchestrator();
+  chrome.notifications.clear(notificationId);
+  await handleAlertAction(AlertManager.getActions(notificationId)[buttonIndex]);
+});
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!AlertManager.isAlertNotification(notificationId)) return;
+  
+  chrome.notifications.clear(notificationId);
+  await openDashboard();
 });
 
 // Message handler for popup and dashboard
@@ -144,11 +305,15 @@ async function handleMessage(request, sender, sendResponse) {
   await initializeOrchestrator();
   
   switch (request.type) {
-    case 'RUN_NETWORK_TEST':
-      const testType = request.mode || 'comprehensive';
-      const results = await runNetworkTest(testType);
-      sendResponse({ success: true, results });
+    case 'RUN_NETWORK_TEST': {
+      try {
+        const results = await runNetworkTest(request.mode || 'comprehensive');
+        sendResponse({ success: true, results });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
       break;
+    }
       
     case 'GET_NETWORK_INFO':
       // Use ConnectivityTests for network info
@@ -162,22 +327,142 @@ async function handleMessage(request, sender, sendResponse) {
       sendResponse({ success: true, result: quickResult });
       break;
       
-    case 'GET_TEST_HISTORY':
-      sendResponse({ success: true, history: testHistory });
+    case 'GET_CONNECTIVITY_LOG':
+      const connectivityLog = await connectivityTests.getConnectivityLog({
+        since: request.since || 0,
+        profile: request.profile || null
+      });
+      sendResponse({ success: true, log: connectivityLog });
+      break;
+      
+    case 'GET_AVAILABILITY_REPORT':
+      const report = await connectivityTests.getAvailabilityReport({ profile: request.profile || null });
+      sendResponse({ success: true, report });
+      break;
+      
+    case 'GET_NETWORK_PROFILES':
+      const networks = await networkProfiles.getProfiles();
+      sendResponse({ success: true, ...networks });
+      break;
+      
+    case 'RENAME_NETWORK_PROFILE':
+      try {
+        const profile = await networkProfiles.rename(request.id, request.name);
+        sendResponse({ success: true, profile });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+      
+    case 'QUERY_RESULTS':
+      // request.query: { from, to, networkProfile, mode, tags, trigger, contaminated, offset, limit, order }
+      try {
+        const page = await Results.query(request.query || {});
+        sendResponse({ success: true, ...page });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+      
+    case 'GET_RESULT_SERIES':
+      // request.query: { from, to, networkProfile, resolution: 'auto' | 'raw' | 'hour' | 'day' }
+      try {
+        const series = await Results.series(request.query || {});
+        sendResponse({ success: true, ...series });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+      
+    case 'QUERY_ROLLUPS':
+      try {
+        const rollups = await Results.queryRollups(request.query || {});
+        sendResponse({ success: true, rollups });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+      
+    case 'IMPORT_RESULTS':
+      try {
+        const imported = await Results.addMany(request.records || []);
+        if (request.rollups?.length) await Results.addRollups(request.rollups);
+        await Results.applyRetention();
+        connectivityTests.setLastTest(await Results.latest());
+        // Older exports are migrated on the way in; records that still fail validation are skipped
+        sendResponse({ success: true, imported, skipped: (request.records || []).length - imported });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+      
+    case 'APPLY_RETENTION':
+      const deleted = await Results.applyRetention(request.policy || undefined);
+      connectivityTests.setLastTest(await Results.latest());
+      sendResponse({ success: true, deleted });
+      break;
+      
+    case 'START_RESCORE':
+      sendResponse({
+        success: true,
+        status: rescoreJob.start({ force: Boolean(request.force), profileId: request.profileId || null })
+      });
+      break;
+      
+    case 'GET_RESCORE_STATUS':
+      sendResponse({ success: true, status: rescoreJob.getStatus() });
+      break;
+      
+    case 'CANCEL_RESCORE':
+      sendResponse({ success: true, status: rescoreJob.cancel() });
+      break;
+      
+    case 'GET_SCORING_PROFILES':
+      sendResponse({
+        success: true,
+        activeProfile: currentConfig.scoring?.activeProfile || DEFAULT_SCORING_PROFILE,
+        profiles: getScoringProfiles(currentConfig.scoring),
+        defaults: SCORING_PROFILES,
+        capabilities: CAPABILITIES
+      });
+      break;
+      
+    case 'GET_RECOMMENDATION_RULES':
+      sendResponse({ success: true, defaults: DEFAULT_RULES, rules: currentConfig.recommendations?.rules || [] });
+      break;
+      
+    case 'SAVE_RECOMMENDATION_RULES':
+      // Overrides are checked as the rule they produce once laid over the built-in
+      const ruleErrors = (request.rules || []).flatMap(rule =>
+        validateRule({ ...DEFAULT_RULES.find(builtIn => builtIn.id === rule?.id), ...rule }));
+      if (ruleErrors.length > 0) {
+        sendResponse({ success: false, error: ruleErrors.join('\n') });
+        break;
+      }
+      
+      currentConfig = { ...currentConfig, recommendations: { ...currentConfig.recommendations, rules: request.rules || [] } };
+      await chrome.storage.local.set({ networkConfig: currentConfig });
+      testOrchestrator.updateConfig(currentConfig);
+      
+      // Stored runs get their insights and recommendations from the new rules
+      sendResponse({ success: true, status: rescoreJob.start({ force: true }) });
       break;
       
     case 'CLEAR_HISTORY':
-      testHistory = [];
-      await chrome.storage.local.set({ testHistory: [] });
+      await Results.clear();
+      connectivityTests.setLastTest(null);
       sendResponse({ success: true });
       break;
       
     case 'UPDATE_CONFIG':
       currentConfig = { ...currentConfig, ...request.config };
       await chrome.storage.local.set({ networkConfig: currentConfig });
+      Results.setRetention(currentConfig.results || {});
       if (testOrchestrator) {
         testOrchestrator.updateConfig(currentConfig);
       }
+      connectivityTests.updateConfig(getConnectivityConfig());
+      alertManager.updateConfig(getAlertConfig());
       sendResponse({ success: true });
       break;
       
@@ -185,6 +470,70 @@ async function handleMessage(request, sender, sendResponse) {
       sendResponse({ success: true, config: currentConfig });
       break;
       
+    case 'GET_ALERT_CONFIG':
+      sendResponse({ success: true, config: alertManager.config });
+      break;
+      
+    case 'GET_SERVERS': {
+      try {
+        const servers = await testOrchestrator.serverRegistry.getServers();
+        sendResponse({ success: true, servers });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+    }
+      
+    case 'ADD_SERVER': {
+      try {
+        const server = await testOrchestrator.serverRegistry.addServer(request.server);
+        sendResponse({ success: true, server });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+    }
+      
+    case 'REMOVE_SERVER': {
+      try {
+        await testOrchestrator.serverRegistry.removeServer(request.id);
+        sendResponse({ success: true });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+    }
+      
+    case 'CHECK_SERVER_HEALTH':
+      try {
+        const checked = request.id
+          ? [await testOrchestrator.serverRegistry.checkHealth(request.id)]
+          : await testOrchestrator.serverRegistry.checkAllHealth();
+        sendResponse({ success: true, servers: checked });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+      
+    case 'GET_SCHEDULES':
+      const schedules = await testScheduler.getSchedules();
+      sendResponse({ success: true, schedules });
+      break;
+      
+    case 'SAVE_SCHEDULE':
+      try {
+        const schedule = await testScheduler.saveSchedule(request.schedule);
+        sendResponse({ success: true, schedule });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      break;
+      
+    case 'DELETE_SCHEDULE':
+      await testScheduler.removeSchedule(request.id);
+      sendResponse({ success: true });
+      break;
+      
     case 'OPEN_DASHBOARD':
       await openDashboard();
       sendResponse({ success: true });
@@ -208,21 +557,11 @@ async function runTestWithProgress(mode, port) {
     // Update orchestrator config if needed
     testOrchestrator.updateConfig(currentConfig);
     
-    // Run the test
-    const results = await testOrchestrator.runCompleteAnalysis();
+    // Run the test with the execution plan for the selected mode
+    const results = await testOrchestrator.runCompleteAnalysis(mode);
     
     // Save to history
-    const testRecord = {
-      id: Date.now().toString(),
-      timestamp: Date.now(),
-      mode: mode,
-      results: results
-    };
-    
-    testHistory.unshift(testRecord);
-    if (testHistory.length > 50) testHistory = testHistory.slice(0, 50); // Keep last 50
-    
-    await chrome.storage.local.set({ testHistory });
+    await saveTestRecord(mode, results);
     
     // Send completion message
     port.postMessage({
@@ -250,21 +589,11 @@ async function runNetworkTest(mode) {
     // Update orchestrator config
     testOrchestrator.updateConfig(currentConfig);
     
-    // Run the test
-    const results = await testOrchestrator.runCompleteAnalysis();
+    // Run the test with the execution plan for the selected mode
+    const results = await testOrchestrator.runCompleteAnalysis(mode);
     
     // Save to history
-    const testRecord = {
-      id: Date.now().toString(),
-      timestamp: Date.now(),
-      mode: mode,
-      results: results
-    };
-    
-    testHistory.unshift(testRecord);
-    if (testHistory.length > 50) testHistory = testHistory.slice(0, 50);
-    
-    await chrome.storage.local.set({ testHistory });
+    await saveTestRecord(mode, results);
     
     return results;
     
@@ -274,6 +603,92 @@ async function runNetworkTest(mode) {
   }
 }
 
+// Run a test for the scheduler and tag the history record
+async function runScheduledTest(mode, schedule) {
+  testOrchestrator.updateConfig(currentConfig);
+  const results = await testOrchestrator.runCompleteAnalysis(mode);
+  
+  return saveTestRecord(mode, results, {
+    trigger: 'scheduled',
+    tags: ['scheduled'],
+    schedule: {
+      id: schedule.id,
+      name: schedule.name,
+      dueTime: schedule.run.dueTime,
+      catchUp: schedule.run.catchUp,
+      missedRuns: schedule.run.missedRuns,
+      idleWait: schedule.run.idleWait
+    }
+  });
+}
+
+// Add a test record to history
+async function saveTestRecord(mode, results, extra = {}) {
+  const contaminated = ResultFields.isContaminated(results);
+  
+  // The test's own IP lookup says which network it ran on
+  const networkInfo = ResultFields.networkInfo(results);
+  const profile = networkInfo ? await networkProfiles.update(networkInfo, 'test') : null;
+  
+  const testRecord = {
+    id: Date.now().toString(),
+    schemaVersion: RESULT_SCHEMA_VERSION,
+    timestamp: Date.now(),
+    mode: mode,
+    trigger: 'manual',
+    ...extra,
+    tags: [...(extra.tags || []), ...(contaminated ? ['contaminated'] : [])],
+    contaminated,
+    networkProfile: profile?.id || await networkProfiles.getCurrentId(),
+    results: results
+  };
+  
+  await Results.add(testRecord);
+  connectivityTests.setLastTest(testRecord);
+  
+  try {
+    const { records } = await Results.query({ limit: 10, to: testRecord.timestamp });
+    await alertManager.handleTestResult(testRecord, records.filter(record => record.id !== testRecord.id));
+  } catch (error) {
+    console.error('Alert evaluation failed:', error);
+  }
+  
+  return testRecord;
+}
+
+// Connectivity config - the badge has its own section
+function getConnectivityConfig() {
+  return {
+    ...currentConfig.connectivity,
+    badge: currentConfig.badge || {}
+  };
+}
+
+// Alert rules config - the sound comes from the UI settings
+function getAlertConfig() {
+  return {
+    ...currentConfig.notifications,
+    sound: currentConfig.ui?.soundNotifications || false
+  };
+}
+
+// Run the action behind an alert notification button
+async function handleAlertAction(action) {
+  switch (action) {
+    case 'run-test':
+      if (testOrchestrator.isRunning()) return;
+      await runNetworkTest('quick').catch(() => {}); // Already logged
+      break;
+    case 'open-dashboard':
+      await openDashboard();
+      break;
+    case 'open-portal':
+      // Plain-HTTP page the portal can redirect to its login
+      await chrome.tabs.create({ url: 'http://neverssl.com/' });
+      break;
+  }
+}
+
 // Open dashboard
 async function openDashboard() {
   const url = chrome.runtime.getURL('dashboard/dashboard.html');
@@ -332,6 +747,23 @@ function getDefaultConfig() {
       cdnTesting: true,
       dnsPerformance: true
     },
+    results: {
+      rawDays: 30,        // Full results, then hourly rollups
+      hourlyDays: 180,    // Hourly rollups, then daily rollups
+      maxAgeDays: null,   // null keeps rollups forever
+      maxRecords: null
+    },
+    scoring: {
+      activeProfile: 'balanced',
+      profiles: {}        // Edits to the built-in profiles, by id
+    },
+    recommendations: {
+      rules: []           // Overrides of built-in rules by id, and added rules
+    },
+    notifications: {
+      enabled: true,
+      quietHours: { enabled: false, start: '22:00', end: '07:00' }
+    },
     ui: {
       realTimeUpdates: true,
       soundNotifications: false,
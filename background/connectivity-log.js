@@ -0,0 +1,213 @@
+// 📜 CONNECTIVITY LOG - Persistent rolling store of connectivity samples and outages
+// Survives service worker suspension - every sample is written as it comes in, since the worker
+// is usually shut down between the 30-second checks and anything held in memory would be lost
+
+import { Storage } from '../shared/storage.js';
+
+export class ConnectivityLog {
+  constructor() {
+    this.log = null;
+    this.loading = null;
+
+    this.config = {
+      maxSamples: 2880,   // ~24 hours at one check every 30 seconds
+      maxOutages: 500,
+      maxTransitions: 1000,
+      retentionDays: 90,  // Coverage and outages kept for availability reports
+      maxSampleGap: 5 * 60 * 1000 // Longer gaps mean monitoring stopped (browser closed, machine asleep)
+    };
+  }
+
+  getEmptyLog() {
+    return {
+      samples: [],      // { timestamp, latency, connected, state }
+      transitions: [],  // { timestamp, from, to }
+      outages: [],      // Closed outages, newest last
+      coverage: [],     // { start, end, profile } spans when monitoring was running
+      state: {
+        online: null,
+        onlineSince: null,
+        lastOnline: null,
+        drops: 0,
+        lastDropTime: null,
+        openOutage: null
+      }
+    };
+  }
+
+  // Load the log once per service worker lifetime
+  async load() {
+    if (this.log) return this.log;
+
+    if (!this.loading) {
+      this.loading = Storage.load(Storage.STORAGE_KEYS.CONNECTIVITY_LOG)
+        .catch(error => {
+          console.error('Failed to load connectivity log:', error);
+          return null;
+        })
+        .then(saved => {
+          const empty = this.getEmptyLog();
+          this.log = saved ? { ...empty, ...saved, state: { ...empty.state, ...saved.state } } : empty;
+          return this.log;
+        });
+    }
+
+    return this.loading;
+  }
+
+  // Record one probe result and track online/offline transitions
+  async recordSample({ timestamp, latency, connected, state: kind = null, probe, error = null, failedProbes = [], profile = null }) {
+    const log = await this.load();
+    const { state } = log;
+
+    // Don't let an outage or uptime stretch across a period nobody was watching
+    const previous = log.samples[log.samples.length - 1];
+    if (previous && timestamp - previous.timestamp > this.config.maxSampleGap) {
+      this.closeGap(log, previous.timestamp);
+    }
+    this.extendCoverage(log, timestamp, profile);
+
+    log.samples.push({ timestamp, latency: latency !== null ? Math.round(latency) : null, connected, state: kind });
+    if (log.samples.length > this.config.maxSamples) {
+      log.samples.splice(0, log.samples.length - this.config.maxSamples);
+    }
+
+    if (connected) {
+      if (state.online === false) {
+        this.closeOutage(log, timestamp);
+        state.onlineSince = timestamp;
+      } else if (state.online === null) {
+        state.onlineSince = timestamp;
+      }
+
+      if (state.online !== true) this.addTransition(log, timestamp, state.online, true);
+      state.online = true;
+      state.lastOnline = timestamp;
+
+    } else if (state.online === false) {
+      state.openOutage.failedChecks++;
+      if (kind && !state.openOutage.states.includes(kind)) state.openOutage.states.push(kind);
+
+    } else {
+      this.addTransition(log, timestamp, state.online, false);
+
+      state.openOutage = {
+        id: `${timestamp}-${Math.random().toString(36).substr(2, 6)}`,
+        start: timestamp,
+        end: null,
+        duration: null,
+        lastOnline: state.lastOnline, // Outage began somewhere between this and start
+        probe: { url: probe, error },
+        failedProbes,
+        states: kind ? [kind] : [], // offline, dns-failure, captive-portal seen during the outage
+        failedChecks: 1,
+        profile         // Network profile the connection was lost on
+      };
+      state.online = false;
+      console.log(`📜 Outage opened (${probe}: ${error})`);
+    }
+
+    await this.flush();
+  }
+
+  // Grow the current monitoring span, or start a new one after a gap or a network change
+  extendCoverage(log, timestamp, profile = null) {
+    const current = log.coverage[log.coverage.length - 1];
+
+    const contiguous = current && timestamp - current.end <= this.config.maxSampleGap;
+
+    if (contiguous && (current.profile ?? null) === profile) {
+      current.end = timestamp;
+    } else {
+      log.coverage.push({ start: contiguous ? current.end : timestamp, end: timestamp, profile });
+    }
+
+    const cutoff = timestamp - this.config.retentionDays * 24 * 60 * 60 * 1000;
+    while (log.coverage.length > 1 && log.coverage[0].end < cutoff) log.coverage.shift();
+    while (log.outages.length > 0 && log.outages[0].end < cutoff) log.outages.shift();
+  }
+
+  closeOutage(log, end, extra = {}) {
+    const { state } = log;
+    const outage = {
+      ...state.openOutage,
+      end,
+      duration: end - state.openOutage.start,
+      ...extra
+    };
+
+    log.outages.push(outage);
+    if (log.outages.length > this.config.maxOutages) log.outages.shift();
+
+    state.openOutage = null;
+    state.drops++;
+    state.lastDropTime = outage.start;
+    console.log(`📜 Outage closed after ${Math.round(outage.duration / 1000)}s`);
+  }
+
+  // Monitoring stopped at lastSeen - end any open outage there and forget the online state
+  closeGap(log, lastSeen) {
+    const { state } = log;
+
+    if (state.online === false) {
+      this.closeOutage(log, lastSeen, { endedByGap: true });
+    }
+    if (state.online !== null) {
+      this.addTransition(log, lastSeen, state.online, null);
+    }
+
+    state.online = null;
+    state.onlineSince = null;
+  }
+
+  addTransition(log, timestamp, from, to) {
+    log.transitions.push({ timestamp, from, to });
+    if (log.transitions.length > this.config.maxTransitions) log.transitions.shift();
+  }
+
+  // Write the log to storage
+  async flush() {
+    if (!this.log) return;
+
+    try {
+      await Storage.save(Storage.STORAGE_KEYS.CONNECTIVITY_LOG, this.log);
+    } catch (error) {
+      console.error('Failed to save connectivity log:', error);
+    }
+  }
+
+  // Read the log for the popup and dashboard; an ongoing outage is included with end null
+  async getLog({ since = 0, profile = null } = {}) {
+    const log = await this.load();
+    const onProfile = item => !profile || item.profile === profile;
+
+    const outages = log.outages.filter(o => o.end >= since && onProfile(o));
+    if (log.state.openOutage && onProfile(log.state.openOutage)) {
+      outages.push({ ...log.state.openOutage, duration: Date.now() - log.state.openOutage.start });
+    }
+
+    return {
+      samples: log.samples.filter(s => s.timestamp >= since),
+      transitions: log.transitions.filter(t => t.timestamp >= since),
+      coverage: log.coverage.filter(c => c.end >= since && onProfile(c)),
+      outages,
+      state: { ...log.state }
+    };
+  }
+
+  // Reset drop count and uptime without discarding samples or outages
+  async resetCounters() {
+    const { state } = await this.load();
+    state.drops = 0;
+    state.lastDropTime = null;
+    if (state.online) state.onlineSince = Date.now();
+
+    await this.flush();
+    return state;
+  }
+
+  async clear() {
+    this.log = this.getEmptyLog();
+    await this.flush();
+  }
+}
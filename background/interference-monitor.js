@@ -0,0 +1,134 @@
+// 🎧 INTERFERENCE MONITOR - Flags results skewed by other activity on this machine
+// Audible media tabs or an unusually high pre-run latency mark a run as contaminated
+
+const REFERENCE_KEY = 'interferenceReference';
+
+export class InterferenceMonitor {
+  constructor() {
+    this.config = {
+      enabled: true,
+      baselineSamples: 5,
+      probeInterval: 100,
+      maxBaselineLatency: 150, // ms - absolute ceiling for a quiet link
+      baselineFactor: 2,       // Baseline this many times the usual quiet baseline is suspicious
+      referenceSize: 10,       // Clean baselines kept for the usual quiet baseline
+      idleDetectionSeconds: 60
+    };
+  }
+
+  // Update configuration
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+
+  // Machine idle state: 'active', 'idle' or 'locked'
+  async getIdleState() {
+    try {
+      return await chrome.idle.queryState(this.config.idleDetectionSeconds);
+    } catch (error) {
+      console.warn('Idle state unavailable:', error.message);
+      return 'unknown';
+    }
+  }
+
+  // Hostnames of tabs currently playing audio (streams, calls, videos)
+  async getMediaTabs() {
+    try {
+      const tabs = await chrome.tabs.query({ audible: true });
+      return tabs.map(tab => {
+        try {
+          return new URL(tab.url).hostname;
+        } catch {
+          return 'unknown';
+        }
+      });
+    } catch (error) {
+      console.warn('Media tab check failed:', error.message);
+      return [];
+    }
+  }
+
+  // Snapshot taken just before a run - measure() resolves with a latency in ms or null
+  async snapshot(measure) {
+    const samples = [];
+
+    for (let i = 0; i < this.config.baselineSamples; i++) {
+      const latency = await measure();
+      if (latency !== null) samples.push(latency);
+      await new Promise(resolve => setTimeout(resolve, this.config.probeInterval));
+    }
+
+    const [idleState, mediaTabs, reference] = await Promise.all([
+      this.getIdleState(),
+      this.getMediaTabs(),
+      this.loadReference()
+    ]);
+
+    return {
+      idleState,
+      mediaTabs,
+      baselineLatency: samples.length > 0 ? this.median(samples) : null,
+      referenceLatency: reference.length > 0 ? this.median(reference) : null
+    };
+  }
+
+  // Combine the pre-run snapshot with a post-run media check into the contamination indicator
+  async evaluate(before) {
+    const mediaTabs = [...new Set([...before.mediaTabs, ...(await this.getMediaTabs())])];
+    const reasons = [];
+
+    if (mediaTabs.length > 0) {
+      reasons.push({
+        type: 'media-playing',
+        message: `${mediaTabs.length} tab(s) playing media: ${mediaTabs.join(', ')}`
+      });
+    }
+
+    const { baselineLatency, referenceLatency } = before;
+    if (baselineLatency !== null) {
+      if (baselineLatency > this.config.maxBaselineLatency) {
+        reasons.push({
+          type: 'high-baseline-latency',
+          message: `Latency before the test was ${Math.round(baselineLatency)}ms`
+        });
+      } else if (referenceLatency !== null && baselineLatency > referenceLatency * this.config.baselineFactor) {
+        reasons.push({
+          type: 'elevated-baseline-latency',
+          message: `Latency before the test was ${Math.round(baselineLatency)}ms, usually ${Math.round(referenceLatency)}ms`
+        });
+      }
+    }
+
+    const contaminated = reasons.length > 0;
+
+    // Only quiet runs feed the reference, so a busy period can't raise the bar
+    if (!contaminated && baselineLatency !== null) {
+      await this.saveReference(baselineLatency);
+    }
+
+    return {
+      contaminated,
+      reasons,
+      idleState: before.idleState,
+      mediaTabs,
+      baselineLatency: baselineLatency !== null ? Math.round(baselineLatency * 10) / 10 : null,
+      referenceLatency: referenceLatency !== null ? Math.round(referenceLatency * 10) / 10 : null
+    };
+  }
+
+  async loadReference() {
+    const result = await chrome.storage.local.get([REFERENCE_KEY]);
+    return result[REFERENCE_KEY] || [];
+  }
+
+  async saveReference(latency) {
+    const reference = [...await this.loadReference(), latency].slice(-this.config.referenceSize);
+    await chrome.storage.local.set({ [REFERENCE_KEY]: reference });
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+}
@@ -0,0 +1,185 @@
+// 🗺️ NETWORK PROFILES - Which network the browser is on (home Wi-Fi, office, hotspot, VPN)
+// A network is recognized by a public IP it used before, or by its ASN when a dynamic IP moved
+// within the same /24 (/48 for IPv6) - another address on the same ASN gets a profile of its own
+
+import { Storage } from '../shared/storage.js';
+
+// Network prefix a dynamic address is normally reassigned within: /24 for IPv4, /48 for IPv6
+function addressPrefix(ip) {
+  if (!ip) return null;
+
+  if (ip.includes(':')) {
+    const [head, tail] = ip.split('::');
+    const left = head ? head.split(':') : [];
+    const right = tail ? tail.split(':') : [];
+    const groups = [...left, ...new Array(Math.max(0, 8 - left.length - right.length)).fill('0'), ...right];
+    return `${groups.slice(0, 3).map(group => parseInt(group || '0', 16).toString(16)).join(':')}::/48`;
+  }
+
+  const octets = ip.split('.');
+  return octets.length === 4 ? `${octets.slice(0, 3).join('.')}.0/24` : null;
+}
+
+export class NetworkProfiles {
+  constructor({ getNetworkInfo, onChange = () => {} }) {
+    // getNetworkInfo() resolves with SecurityTests.getNetworkInfo()-style { ip, isp, asn, location, connectionType }
+    this.getNetworkInfo = getNetworkInfo;
+    this.onChange = onChange;
+
+    this.data = null;
+    this.loading = null;
+    this.lastCheck = 0;
+    this.checking = null;
+    this.wasConnected = null;
+    this.connectionType = navigator.connection?.type ?? null;
+
+    this.config = {
+      minCheckInterval: 60 * 1000, // Lookups hit a rate-limited IP service
+      maxIps: 20                   // Recent public IPs remembered per profile
+    };
+  }
+
+  async load() {
+    if (this.data) return this.data;
+
+    if (!this.loading) {
+      this.loading = Storage.load(Storage.STORAGE_KEYS.NETWORK_PROFILES)
+        .catch(error => {
+          console.error('Failed to load network profiles:', error);
+          return null;
+        })
+        .then(saved => {
+          this.data = { profiles: [], currentId: null, ...saved };
+          return this.data;
+        });
+    }
+
+    return this.loading;
+  }
+
+  async save() {
+    try {
+      await Storage.save(Storage.STORAGE_KEYS.NETWORK_PROFILES, this.data);
+    } catch (error) {
+      console.error('Failed to save network profiles:', error);
+    }
+  }
+
+  async getProfiles() {
+    const { profiles, currentId } = await this.load();
+    return { profiles, currentId };
+  }
+
+  async getCurrentId() {
+    return (await this.load()).currentId;
+  }
+
+  async rename(id, name) {
+    const profile = (await this.load()).profiles.find(p => p.id === id);
+    if (!profile) throw new Error('Network profile not found');
+
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Profile name is required');
+
+    profile.name = trimmed;
+    profile.renamed = true;
+    await this.save();
+    return profile;
+  }
+
+  // Find the profile for a lookup result, creating one for a network seen for the first time
+  identify(info) {
+    const { profiles } = this.data;
+    const byRecency = (a, b) => b.lastSeen - a.lastSeen;
+
+    // A new IP only joins a profile by ASN (or ISP) when one of its recent IPs shares the prefix
+    const prefix = addressPrefix(info.ip);
+    const samePrefix = p => prefix !== null && p.ips.some(ip => addressPrefix(ip) === prefix);
+
+    const profile =
+      profiles.find(p => p.ips.includes(info.ip)) ||
+      (info.asn ? profiles.filter(p => p.asn === info.asn && samePrefix(p)).sort(byRecency)[0] : null) ||
+      (!info.asn && info.isp ? profiles.filter(p => !p.asn && p.isp === info.isp && samePrefix(p)).sort(byRecency)[0] : null);
+
+    if (profile) return profile;
+
+    const created = {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      name: [info.isp || 'Unknown network', info.city].filter(Boolean).join(' – '),
+      renamed: false,
+      asn: info.asn || null,
+      isp: info.isp || null,
+      ips: [],
+      firstSeen: Date.now(),
+      lastSeen: Date.now()
+    };
+    profiles.push(created);
+    console.log(`🗺️ New network profile: ${created.name}`);
+    return created;
+  }
+
+  // Attach a lookup result to a profile and switch to it
+  async update(info, reason) {
+    await this.load();
+    if (!info?.ip || info.ip === 'Unknown') return null;
+
+    const profile = this.identify(info);
+    profile.ips = [info.ip, ...profile.ips.filter(ip => ip !== info.ip)].slice(0, this.config.maxIps);
+    profile.location = info.location || profile.location || null;
+    profile.connectionType = info.connectionType?.type || profile.connectionType || null;
+    profile.lastSeen = Date.now();
+
+    const previousId = this.data.currentId;
+    this.data.currentId = profile.id;
+    await this.save();
+
+    if (previousId !== profile.id) {
+      const previous = this.data.profiles.find(p => p.id === previousId) || null;
+      console.log(`🗺️ Network changed: ${previous?.name || 'none'} → ${profile.name} (${reason})`);
+      await this.onChange(profile, previous, reason);
+    }
+
+    return profile;
+  }
+
+  // Look up the public IP and ASN, at most once per minCheckInterval
+  async check(reason) {
+    if (this.checking) return this.checking;
+    if (Date.now() - this.lastCheck < this.config.minCheckInterval) return null;
+
+    this.lastCheck = Date.now();
+    this.checking = this.getNetworkInfo()
+      .then(info => this.update(info, reason))
+      .catch(error => {
+        console.warn('Network profile check failed:', error.message);
+        return null;
+      })
+      .finally(() => {
+        this.checking = null;
+      });
+
+    return this.checking;
+  }
+
+  // Coming back online is the most common sign of a network switch
+  async handleConnectivityCheck(check) {
+    const reconnected = check.connected && this.wasConnected === false;
+    this.wasConnected = check.connected;
+
+    if (reconnected) await this.check('reconnected');
+  }
+
+  // navigator.connection fires on interface changes; desktop Chrome has no type, so every change counts
+  watchConnection() {
+    const connection = navigator.connection;
+    if (!connection) return;
+
+    connection.addEventListener('change', () => {
+      const type = connection.type ?? null;
+      if (type !== null && type === this.connectionType) return;
+
+      this.connectionType = type;
+      this.check('connection-change');
+    });
+  }
+}
@@ -0,0 +1,170 @@
+// 📄 OFFSCREEN RUNNER - Request/response RPC to the offscreen document
+// Runs probes that need a page context (RTCPeerConnection, Image/Audio, DOM timing)
+
+const OFFSCREEN_PATH = 'offscreen/offscreen.html';
+
+export class OffscreenRunner {
+  constructor() {
+    this.probes = new Map();
+    this.pending = new Map();
+    this.nextId = 1;
+    this.creating = null;
+    this.closeTimer = null;
+
+    this.config = {
+      defaultTimeout: 10000,
+      idleTimeout: 30000, // Close the document after this long without requests
+      readyRetries: 5
+    };
+  }
+
+  // Declare a page-context probe and the offscreen reasons it needs
+  registerProbe(name, { reasons, justification, timeout = null }) {
+    this.probes.set(name, { reasons, justification, timeout });
+  }
+
+  // Register every probe a test module declares in its pageContextProbes map
+  registerModule(module) {
+    const probes = module.constructor.pageContextProbes || {};
+    Object.entries(probes).forEach(([name, declaration]) => this.registerProbe(name, declaration));
+  }
+
+  // Runner function handed to test modules
+  getRunner() {
+    return (probe, payload, options) => this.run(probe, payload, options);
+  }
+
+  // Run a probe in the offscreen document and resolve with its result
+  async run(probe, payload = {}, { timeout } = {}) {
+    const declaration = this.probes.get(probe);
+    if (!declaration) throw new Error(`Unknown page-context probe: ${probe}`);
+
+    clearTimeout(this.closeTimer);
+    await this.ensureDocument();
+
+    const id = this.nextId++;
+    const limit = timeout || declaration.timeout || this.config.defaultTimeout;
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          this.pending.delete(id);
+          this.send({ type: 'CANCEL_PROBE', id }).catch(() => {});
+          reject(new Error(`Page-context probe ${probe} timed out after ${limit}ms`));
+        }, limit);
+
+        this.pending.set(id, { probe, reject, timer });
+
+        this.send({ type: 'RUN_PROBE', id, probe, payload })
+          .then(response => {
+            if (!this.pending.has(id)) return; // Already timed out or cancelled
+            this.settle(id);
+
+            if (response?.success) {
+              resolve(response.result);
+            } else {
+              reject(new Error(response?.error || `Page-context probe ${probe} failed`));
+            }
+          })
+          .catch(error => {
+            if (!this.pending.has(id)) return;
+            this.settle(id);
+            reject(error);
+          });
+      });
+    } finally {
+      this.scheduleClose();
+    }
+  }
+
+  // Remove a pending request and clear its timer
+  settle(id) {
+    const request = this.pending.get(id);
+    if (request) clearTimeout(request.timer);
+    this.pending.delete(id);
+  }
+
+  // Send a message addressed to the offscreen document
+  send(message) {
+    return chrome.runtime.sendMessage({ target: 'offscreen', ...message });
+  }
+
+  // Create the offscreen document with the reasons every registered probe needs
+  async ensureDocument() {
+    if (await this.hasDocument()) return;
+
+    if (!this.creating) {
+      const declarations = [...this.probes.values()];
+
+      this.creating = chrome.offscreen.createDocument({
+        url: OFFSCREEN_PATH,
+        reasons: [...new Set(declarations.flatMap(d => d.reasons))],
+        justification: declarations.map(d => d.justification).join('; ')
+      })
+        .then(() => this.waitUntilReady())
+        .finally(() => {
+          this.creating = null;
+        });
+    }
+
+    await this.creating;
+  }
+
+  // Check for an existing offscreen document
+  async hasDocument() {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [chrome.runtime.getURL(OFFSCREEN_PATH)]
+    });
+    return contexts.length > 0;
+  }
+
+  // Ping the document until its message listener is registered
+  async waitUntilReady() {
+    for (let attempt = 0; attempt < this.config.readyRetries; attempt++) {
+      try {
+        const response = await this.send({ type: 'PING' });
+        if (response?.ready) return;
+      } catch (error) {
+        // Receiving end not registered yet
+      }
+      await new Promise(resolve => setTimeout(resolve, 50 * (attempt + 1)));
+    }
+
+    throw new Error('Offscreen document did not become ready');
+  }
+
+  // Close the document once nothing has used it for idleTimeout
+  scheduleClose() {
+    clearTimeout(this.closeTimer);
+    if (this.pending.size > 0) return;
+
+    this.closeTimer = setTimeout(() => this.close(), this.config.idleTimeout);
+  }
+
+  // Cancel everything in flight
+  cancelAll({ keepOpen = true } = {}) {
+    this.pending.forEach((request, id) => {
+      clearTimeout(request.timer);
+      request.reject(new DOMException('Aborted', 'AbortError'));
+      this.send({ type: 'CANCEL_PROBE', id }).catch(() => {});
+    });
+    this.pending.clear();
+    if (keepOpen) this.scheduleClose();
+  }
+
+  // Tear down the offscreen document
+  async close() {
+    clearTimeout(this.closeTimer);
+    this.cancelAll({ keepOpen: false });
+
+    try {
+      if (await this.hasDocument()) {
+        await chrome.offscreen.closeDocument();
+        console.log('📄 Offscreen document closed');
+      }
+    } catch (error) {
+      console.warn('Failed to close offscreen document:', error.message);
+    }
+  }
+}
@@ -0,0 +1,184 @@
+// 💡 RECOMMENDATION ENGINE - Evaluates the JSON rule set against a finished run
+// Every insight and recommendation carries the id of the rule that produced it and the facts that matched
+
+import { ResultFields } from '../shared/result-schema.js';
+import { DEFAULT_RULES } from './recommendation-rules.js';
+
+const KINDS = ['insight', 'recommendation'];
+const PRIORITIES = { high: 3, medium: 2, low: 1 };
+
+// Comparisons never match a value the run didn't measure, except exists/missing
+const OPERATORS = {
+  '<': (actual, value) => actual < value,
+  '<=': (actual, value) => actual <= value,
+  '>': (actual, value) => actual > value,
+  '>=': (actual, value) => actual >= value,
+  '==': (actual, value) => actual === value,
+  '!=': (actual, value) => actual !== value,
+  'in': (actual, value) => Array.isArray(value) && value.includes(actual),
+  'not-in': (actual, value) => Array.isArray(value) && !value.includes(actual),
+  'exists': () => true,
+  'missing': () => false
+};
+
+const round = value => typeof value === 'number' ? Math.round(value * 10) / 10 : null;
+
+// 📋 FACTS - named values rules can test; anything else is looked up as a path into the results
+const FACTS = {
+  download: results => round(ResultFields.download(results)),
+  upload: results => round(ResultFields.upload(results)),
+  latency: results => round(ResultFields.latency(results)),
+  jitter: results => round(ResultFields.jitter(results)),
+  packetLoss: results => round(ResultFields.packetLoss(results)),
+  stability: results => round(ResultFields.stability(results)),
+  bufferbloatGrade: results => ResultFields.bufferbloat(results)?.grade || null,
+  bufferbloatIncrease: results => {
+    const increase = ResultFields.bufferbloat(results)?.worstIncrease;
+    return typeof increase === 'number' ? Math.round(increase) : null;
+  },
+  vpnActive: results => ResultFields.vpnActive(results),
+  captivePortal: results => results.security ? Boolean(results.security.captivePortal?.detected) : null,
+  threats: results => results.security?.threats?.threatsDetected ?? null,
+  dnsLeak: results => results.security?.dnsLeak ? Boolean(results.security.dnsLeak.leakDetected) : null,
+  dnsLeakResolvers: results => (results.security?.dnsLeak?.leakingResolvers || []).map(resolver => resolver.asn),
+  webrtcLeak: results => results.security?.webrtcLeak ? Boolean(results.security.webrtcLeak.leakDetected) : null,
+  webrtcLeakedAddresses: results => results.security?.webrtcLeak?.leakedAddresses || [],
+  httpsSecurity: results => results.security?.sslAnalysis?.overallSecurity ?? null,
+  ipv6Supported: results => results.protocols?.ipv6 ? Boolean(results.protocols.ipv6.supported) : null,
+  cdnSpeed: results => round(results.protocols?.cdn?.averageSpeed),
+  cdnRecommended: results => results.protocols?.cdn?.recommendedCDN || null,
+  dnsTime: results => round(results.protocols?.dns?.averageTime),
+  fastestResolver: results => results.protocols?.doh?.recommended || null,
+  contaminated: results => ResultFields.isContaminated(results),
+  contaminationReasons: results => (results.contamination?.reasons || []).map(reason => reason.message)
+};
+
+// A fact, a fact's property (fastestResolver.name) or a path into the results (capabilities.gaming)
+function resolveField(results, field) {
+  const [head, ...rest] = field.split('.');
+  let value = FACTS[head] ? FACTS[head](results) : results[head];
+
+  for (const key of rest) {
+    value = value?.[key];
+  }
+  return value ?? null;
+}
+
+function matches(condition, results, matched) {
+  if (Array.isArray(condition.any)) {
+    return condition.any.some(inner => matches(inner, results, matched));
+  }
+
+  const actual = resolveField(results, condition.field);
+  const present = actual !== null && !(Array.isArray(actual) && actual.length === 0);
+  const holds = condition.op === 'missing' ? !present : present && OPERATORS[condition.op](actual, condition.value);
+
+  if (holds) matched.push({ field: condition.field, op: condition.op, value: condition.value ?? null, actual });
+  return holds;
+}
+
+// "Your speed is {download} Mbps" - lists are joined, {field|fallback} covers a missing value
+function fillTemplate(template, results) {
+  return template.replace(/\{([\w.]+)(?:\|([^}]*))?\}/g, (placeholder, field, fallback = '') => {
+    const value = resolveField(results, field);
+    if (value === null || (Array.isArray(value) && value.length === 0)) return fallback;
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+}
+
+// "download 18.2 < 25, latency 120 > 100"
+function describeMatch(matched) {
+  return matched.map(({ field, op, value, actual }) => {
+    if (op === 'exists' || op === 'missing') return `${field} ${op}`;
+    const shown = Array.isArray(actual) ? actual.join(', ') : typeof actual === 'object' ? 'set' : actual;
+    return `${field} ${shown} ${op} ${Array.isArray(value) ? value.join('/') : value}`;
+  }).join(', ');
+}
+
+// Problems with a rule, as readable messages - an empty list means it is valid
+export function validateRule(rule) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return ['Rule must be an object'];
+
+  const name = typeof rule.id === 'string' && rule.id ? rule.id : null;
+  const prefix = name ? `Rule "${name}": ` : 'Rule: ';
+  const checkCondition = condition => {
+    if (Array.isArray(condition?.any)) {
+      condition.any.forEach(checkCondition);
+    } else if (typeof condition?.field !== 'string' || !OPERATORS[condition?.op]) {
+      errors.push(`${prefix}each condition needs a field and one of ${Object.keys(OPERATORS).join(' ')}`);
+    }
+  };
+
+  if (!name) errors.push(`${prefix}id must be a non-empty string`);
+  if (!KINDS.includes(rule.kind)) errors.push(`${prefix}kind must be insight or recommendation`);
+  if (!PRIORITIES[rule.priority]) errors.push(`${prefix}priority must be high, medium or low`);
+  if (typeof rule.message !== 'string' || !rule.message) errors.push(`${prefix}message must be a non-empty string`);
+  if (rule.kind === 'recommendation' && typeof rule.title !== 'string') errors.push(`${prefix}recommendations need a title`);
+  if (!Array.isArray(rule.when) || rule.when.length === 0) {
+    errors.push(`${prefix}when must be a non-empty list of conditions`);
+  } else {
+    rule.when.forEach(checkCondition);
+  }
+
+  return errors;
+}
+
+// Built-in rules with user rules laid over them by id; user rules with new ids are added at the end
+export function mergeRules(userRules = []) {
+  const overrides = new Map(userRules.filter(rule => rule?.id).map(rule => [rule.id, rule]));
+
+  const merged = DEFAULT_RULES.map(rule => ({ ...rule, ...overrides.get(rule.id) }));
+  const added = userRules.filter(rule => rule?.id && !DEFAULT_RULES.some(builtIn => builtIn.id === rule.id));
+
+  return [...merged, ...added].filter(rule => {
+    const errors = validateRule(rule);
+    if (errors.length > 0) console.warn('💡 Skipping invalid recommendation rule:', errors.join('; '));
+    return errors.length === 0;
+  });
+}
+
+export class RecommendationEngine {
+  constructor() {
+    this.rules = mergeRules();
+  }
+
+  updateConfig(config = {}) {
+    this.rules = mergeRules(config.rules || []);
+  }
+
+  // Insights and recommendations for a results object that already carries its capabilities
+  evaluate(results) {
+    const fired = [];
+
+    this.rules.forEach((rule, order) => {
+      if (rule.enabled === false) return;
+
+      const matched = [];
+      if (rule.when.every(condition => matches(condition, results, matched))) {
+        fired.push({ rule, order, matched });
+      }
+    });
+
+    // One result per group - the highest priority, then the earliest rule
+    const byPriority = (a, b) => PRIORITIES[b.rule.priority] - PRIORITIES[a.rule.priority] || a.order - b.order;
+    const kept = fired.sort(byPriority).filter((item, index, all) =>
+      !item.rule.group || all.findIndex(other => other.rule.group === item.rule.group) === index);
+
+    const toItem = ({ rule, matched }) => ({
+      ruleId: rule.id,
+      category: rule.category,
+      priority: rule.priority,
+      ...(rule.title ? { title: fillTemplate(rule.title, results) } : {}),
+      message: fillTemplate(rule.message, results),
+      ...(rule.action ? { action: fillTemplate(rule.action, results) } : {}),
+      because: describeMatch(matched),
+      matched
+    });
+
+    return {
+      insights: kept.filter(item => item.rule.kind === 'insight').map(toItem),
+      recommendations: kept.filter(item => item.rule.kind === 'recommendation').map(toItem)
+    };
+  }
+}
@@ -0,0 +1,294 @@
+// 💡 RECOMMENDATION RULES - The built-in insight and recommendation rule set
+// Plain JSON-shaped data: settings exports, imports and overrides rules by id, so nothing here may be a function
+//
+// {
+//   id: string,                          unique; user rules with the same id override these
+//   kind: 'insight' | 'recommendation',
+//   category: string,                    speed, latency, privacy, ...
+//   priority: 'high' | 'medium' | 'low',
+//   group?: string,                      only the highest-priority match in a group is kept
+//   when: [{ field, op, value }],        all must hold; { any: [...] } holds if one does
+//   title?: string,                      recommendations only
+//   message: string,                     {field} placeholders, {field|fallback} when it may be missing
+//   action?: string
+// }
+//
+// Fields are the facts in recommendation-engine.js, or a dotted path into the results object
+
+export const DEFAULT_RULES = [
+  // Insights - what the run found, good or bad
+  {
+    id: 'download-excellent',
+    kind: 'insight',
+    category: 'speed',
+    priority: 'low',
+    when: [{ field: 'download', op: '>=', value: 100 }],
+    message: '🚀 Excellent download speed - perfect for any online activity!'
+  },
+  {
+    id: 'download-limited',
+    kind: 'insight',
+    category: 'speed',
+    priority: 'medium',
+    when: [{ field: 'download', op: '<', value: 10 }],
+    message: '⚠️ Download speed may impact HD streaming and large downloads.'
+  },
+  {
+    id: 'upload-outstanding',
+    kind: 'insight',
+    category: 'upload',
+    priority: 'low',
+    when: [{ field: 'upload', op: '>=', value: 50 }],
+    message: '📤 Outstanding upload speed - ideal for content creators!'
+  },
+  {
+    id: 'latency-ultra-low',
+    kind: 'insight',
+    category: 'latency',
+    priority: 'low',
+    when: [{ field: 'latency', op: '<', value: 20 }],
+    message: '⚡ Ultra-low latency - excellent for competitive gaming!'
+  },
+  {
+    id: 'bufferbloat-good',
+    kind: 'insight',
+    category: 'bufferbloat',
+    priority: 'low',
+    when: [{ field: 'bufferbloatGrade', op: '==', value: 'A' }],
+    message: '📶 Latency stays low under load - great for video calls while others stream.'
+  },
+  {
+    id: 'bufferbloat-poor',
+    kind: 'insight',
+    category: 'bufferbloat',
+    priority: 'medium',
+    when: [{ field: 'bufferbloatGrade', op: 'in', value: ['D', 'F'] }],
+    message: '📶 Latency rises by {bufferbloatIncrease}ms under load - video calls may stutter while the link is busy.'
+  },
+  {
+    id: 'vpn-active',
+    kind: 'insight',
+    category: 'privacy',
+    priority: 'low',
+    when: [{ field: 'vpnActive', op: '==', value: true }],
+    message: '🛡️ VPN detected - your connection is secured and private.'
+  },
+  {
+    id: 'contaminated',
+    kind: 'insight',
+    category: 'accuracy',
+    priority: 'medium',
+    when: [{ field: 'contaminated', op: '==', value: true }],
+    message: '🎧 Other activity may have lowered these results: {contaminationReasons}.'
+  },
+
+  // Recommendations - something to do about it
+  {
+    id: 'slow-download',
+    kind: 'recommendation',
+    category: 'speed',
+    priority: 'high',
+    when: [{ field: 'download', op: '<', value: 25 }],
+    title: 'Consider Internet Upgrade',
+    message: 'Your download speed ({download} Mbps) may limit HD streaming and large downloads.',
+    action: 'Contact your ISP about faster plans'
+  },
+  {
+    id: 'slow-upload',
+    kind: 'recommendation',
+    category: 'upload',
+    priority: 'medium',
+    when: [{ field: 'upload', op: '<', value: 5 }],
+    title: 'Upload Speed Limitation',
+    message: 'Low upload speeds ({upload} Mbps) may impact video calls and cloud syncing.',
+    action: 'Consider upgrading your internet plan'
+  },
+  {
+    id: 'high-latency',
+    kind: 'recommendation',
+    category: 'latency',
+    priority: 'medium',
+    when: [{ field: 'latency', op: '>', value: 100 }],
+    title: 'Optimize Network Path',
+    message: 'High latency ({latency}ms) may affect real-time applications.',
+    action: 'Try connecting via ethernet or moving closer to router'
+  },
+  {
+    id: 'high-jitter',
+    kind: 'recommendation',
+    category: 'stability',
+    priority: 'medium',
+    when: [{ field: 'jitter', op: '>', value: 30 }],
+    title: 'Reduce Network Jitter',
+    message: 'Latency varies by {jitter}ms between packets, which makes voice and video choppy.',
+    action: 'Check for Wi-Fi interference or congestion, or switch to ethernet'
+  },
+  {
+    id: 'packet-loss',
+    kind: 'recommendation',
+    category: 'reliability',
+    priority: 'high',
+    when: [{ field: 'packetLoss', op: '>', value: 0 }],
+    title: 'Packet Loss Detected',
+    message: '{packetLoss}% of packets were lost during the test.',
+    action: 'Check cables and router settings'
+  },
+  {
+    id: 'unstable-connection',
+    kind: 'recommendation',
+    category: 'reliability',
+    priority: 'high',
+    when: [{ field: 'stability', op: '<', value: 95 }],
+    title: 'Improve Connection Stability',
+    message: 'Only {stability}% of connection attempts succeeded.',
+    action: 'Check network hardware or contact ISP'
+  },
+  {
+    id: 'bufferbloat-moderate',
+    kind: 'recommendation',
+    category: 'bufferbloat',
+    priority: 'medium',
+    when: [{ field: 'bufferbloatGrade', op: '==', value: 'C' }],
+    title: 'Reduce Bufferbloat',
+    message: 'Latency grows by {bufferbloatIncrease}ms when the connection is busy, which hurts video calls and gaming.',
+    action: 'Enable Smart Queue Management (SQM) or QoS on your router'
+  },
+  {
+    id: 'bufferbloat-severe',
+    kind: 'recommendation',
+    category: 'bufferbloat',
+    priority: 'high',
+    when: [{ field: 'bufferbloatGrade', op: 'in', value: ['D', 'F'] }],
+    title: 'Reduce Bufferbloat',
+    message: 'Latency grows by {bufferbloatIncrease}ms when the connection is busy, which hurts video calls and gaming.',
+    action: 'Enable Smart Queue Management (SQM) or QoS on your router'
+  },
+  {
+    id: 'gaming-tuning',
+    kind: 'recommendation',
+    category: 'gaming',
+    priority: 'medium',
+    when: [
+      { field: 'capabilities.gaming', op: '==', value: false },
+      { field: 'latency', op: '>', value: 30 }
+    ],
+    title: 'Tune for Gaming',
+    message: 'Latency and jitter are too high for comfortable online gaming.',
+    action: 'Use ethernet, close background apps and enable QoS'
+  },
+  {
+    id: 'near-4k',
+    kind: 'recommendation',
+    category: 'streaming',
+    priority: 'low',
+    when: [
+      { field: 'capabilities.streaming4K', op: '==', value: false },
+      { field: 'download', op: '>', value: 15 }
+    ],
+    title: 'Close to 4K Streaming',
+    message: 'A small improvement would let this connection stream 4K.',
+    action: 'Move closer to the router or use the 5 GHz band'
+  },
+  {
+    id: 'captive-portal',
+    kind: 'recommendation',
+    category: 'security',
+    priority: 'high',
+    when: [{ field: 'captivePortal', op: '==', value: true }],
+    title: 'Captive Portal Detected',
+    message: 'Complete the network login process for full internet access.',
+    action: 'Open browser and complete network authentication'
+  },
+  {
+    id: 'network-threats',
+    kind: 'recommendation',
+    category: 'security',
+    priority: 'high',
+    when: [{ field: 'threats', op: '>', value: 0 }],
+    title: 'Potential Network Threats Detected',
+    message: 'Your network connection may be compromised.',
+    action: 'Disconnect and use a different network or VPN'
+  },
+  {
+    id: 'dns-leak',
+    kind: 'recommendation',
+    category: 'privacy',
+    priority: 'high',
+    when: [{ field: 'dnsLeak', op: '==', value: true }],
+    title: 'DNS Leak Detected',
+    message: 'DNS lookups are answered by resolvers outside your VPN ({dnsLeakResolvers}).',
+    action: 'Enable DNS leak protection in your VPN client or route DNS through the tunnel'
+  },
+  {
+    id: 'webrtc-leak',
+    kind: 'recommendation',
+    category: 'privacy',
+    priority: 'high',
+    when: [{ field: 'webrtcLeak', op: '==', value: true }],
+    title: 'WebRTC IP Leak Detected',
+    message: 'Websites can read your real IP ({webrtcLeakedAddresses}) through WebRTC despite the VPN.',
+    action: 'Enable WebRTC leak protection in your VPN or restrict WebRTC in browser settings'
+  },
+  {
+    id: 'use-vpn',
+    kind: 'recommendation',
+    category: 'privacy',
+    priority: 'low',
+    when: [{ field: 'vpnActive', op: '==', value: false }],
+    title: 'Consider VPN Protection',
+    message: 'A VPN can enhance your privacy and security online.',
+    action: 'Enable a trusted VPN service or Cloudflare WARP'
+  },
+  {
+    id: 'weak-https',
+    kind: 'recommendation',
+    category: 'security',
+    priority: 'medium',
+    when: [{ field: 'httpsSecurity', op: '<', value: 70 }],
+    title: 'Improve HTTPS Security',
+    message: 'Some websites may have weak security configurations.',
+    action: 'Turn on HTTPS-Only mode in browser settings'
+  },
+  {
+    id: 'slow-dns',
+    kind: 'recommendation',
+    category: 'performance',
+    priority: 'medium',
+    group: 'dns',
+    when: [{ field: 'dnsTime', op: '>', value: 100 }],
+    title: 'Optimize DNS Settings',
+    message: 'DNS resolution ({dnsTime}ms) is slower than optimal.',
+    action: 'Switch to {fastestResolver.name|a faster resolver such as 1.1.1.1 or 8.8.8.8}'
+  },
+  {
+    id: 'fastest-resolver',
+    kind: 'recommendation',
+    category: 'performance',
+    priority: 'low',
+    group: 'dns',
+    when: [{ field: 'fastestResolver', op: 'exists' }],
+    title: 'Fastest Resolver: {fastestResolver.name}',
+    message: '{fastestResolver.name} answered fastest over DNS-over-HTTPS ({fastestResolver.median}ms median).',
+    action: 'Use {fastestResolver.url} for Secure DNS in browser settings'
+  },
+  {
+    id: 'slow-cdn',
+    kind: 'recommendation',
+    category: 'performance',
+    priority: 'medium',
+    when: [{ field: 'cdnSpeed', op: '<', value: 25 }],
+    title: 'Optimize CDN Usage',
+    message: 'CDN performance is below optimal levels.',
+    action: 'Consider using {cdnRecommended|faster CDN providers}'
+  },
+  {
+    id: 'enable-ipv6',
+    kind: 'recommendation',
+    category: 'protocol',
+    priority: 'low',
+    when: [{ field: 'ipv6Supported', op: '==', value: false }],
+    title: 'Enable IPv6 Support',
+    message: 'IPv6 can provide better connectivity and future-proofing.',
+    action: 'Contact your ISP about IPv6 support'
+  }
+];
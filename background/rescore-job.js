@@ -0,0 +1,134 @@
+// 🧮 RESCORE JOB - Recompute scores, grades and capabilities across stored history
+// Runs page by page in the background so old runs stay comparable after the scoring algorithm changes
+
+import { Results } from '../shared/results-store.js';
+import { ResultFields } from '../shared/result-schema.js';
+import { SCORING_VERSION, scoreResults, resolveScoringProfile } from './scoring.js';
+import { RecommendationEngine } from './recommendation-engine.js';
+
+const STATE_KEY = 'rescoreState';
+
+export class RescoreJob {
+  constructor({ onProgress = () => {}, getScoringConfig = () => ({}), getRecommendationConfig = () => ({}) } = {}) {
+    this.onProgress = onProgress;
+    this.getScoringConfig = getScoringConfig;
+    this.getRecommendationConfig = getRecommendationConfig;
+    this.running = null;
+    this.cancelled = false;
+
+    this.status = {
+      state: 'idle',      // idle, running, complete, cancelled, error
+      processed: 0,
+      updated: 0,
+      total: 0,
+      profileId: null,    // Profile every run is moved to; null keeps each run's own
+      startedAt: null,
+      finishedAt: null,
+      error: null
+    };
+
+    this.config = {
+      pageSize: 100
+    };
+  }
+
+  getStatus() {
+    return { ...this.status, scoringVersion: SCORING_VERSION };
+  }
+
+  // Start unless already running; force rescores runs that already carry the current version,
+  // profileId rescores every run with that profile instead of the one it was scored with
+  start({ force = false, profileId = null } = {}) {
+    if (!this.running) {
+      this.cancelled = false;
+      this.status = {
+        state: 'running',
+        processed: 0,
+        updated: 0,
+        total: 0,
+        profileId,
+        startedAt: Date.now(),
+        finishedAt: null,
+        error: null
+      };
+
+      this.running = this.run(force, profileId).finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.getStatus();
+  }
+
+  cancel() {
+    if (this.running) this.cancelled = true;
+    return this.getStatus();
+  }
+
+  // Rescore after an update that changed SCORING_VERSION - once per version
+  async startIfOutdated() {
+    const result = await chrome.storage.local.get([STATE_KEY]);
+    if (result[STATE_KEY]?.completedVersion === SCORING_VERSION) return null;
+    return this.start();
+  }
+
+  async run(force, profileId) {
+    try {
+      const scoring = this.getScoringConfig() || {};
+      const profileFor = record => resolveScoringProfile(scoring, profileId || ResultFields.scoringProfile(record) || scoring.activeProfile);
+
+      // Rules test capabilities, so insights and recommendations are re-evaluated with the new scores
+      const engine = new RecommendationEngine();
+      engine.updateConfig(this.getRecommendationConfig() || {});
+      const rescore = record => {
+        const results = { ...record.results, ...scoreResults(record.results, profileFor(record)) };
+        return { ...record, results: { ...results, ...engine.evaluate(results) } };
+      };
+
+      this.status.total = await Results.count();
+      this.report();
+
+      // Timestamps never change, so resuming after the last one stays stable while records are rewritten
+      let after = null;
+      do {
+        if (this.cancelled) break;
+
+        const { records, next } = await Results.page({ after, limit: this.config.pageSize });
+        after = next;
+        const rescored = records
+          .filter(record => force ||
+            ResultFields.scoringVersion(record) !== SCORING_VERSION ||
+            (profileId && ResultFields.scoringProfile(record) !== profileId))
+          .map(rescore);
+
+        if (rescored.length > 0) this.status.updated += await Results.addMany(rescored);
+        this.status.processed += records.length;
+        this.report();
+
+        // Let test runs and monitor checks through between pages
+        await new Promise(resolve => setTimeout(resolve, 0));
+      } while (after);
+
+      this.status.state = this.cancelled ? 'cancelled' : 'complete';
+      if (!this.cancelled) {
+        await chrome.storage.local.set({ [STATE_KEY]: { completedVersion: SCORING_VERSION, completedAt: Date.now() } });
+        console.log(`🧮 Rescored ${this.status.updated} of ${this.status.processed} test result(s) with scoring v${SCORING_VERSION}`);
+      }
+    } catch (error) {
+      console.error('Rescore failed:', error);
+      this.status.state = 'error';
+      this.status.error = error.message;
+    }
+
+    this.status.finishedAt = Date.now();
+    this.report();
+  }
+
+  report() {
+    try {
+      this.onProgress(this.getStatus());
+    } catch (error) {
+      console.warn('Rescore progress listener failed:', error.message);
+    }
+  }
+}
@@ -0,0 +1,295 @@
+// 🧮 SCORING - Overall score, grade and capabilities, computed from a stored results object
+// Bump SCORING_VERSION whenever a weight or threshold changes; each run records the version that scored it
+
+import { ResultFields } from '../shared/result-schema.js';
+
+export const SCORING_VERSION = 2;
+
+const GRADES = [
+  { min: 95, grade: 'A+', description: 'Exceptional Network Performance' },
+  { min: 90, grade: 'A', description: 'Excellent Network Performance' },
+  { min: 85, grade: 'A-', description: 'Very Good Network Performance' },
+  { min: 80, grade: 'B+', description: 'Good Network Performance' },
+  { min: 75, grade: 'B', description: 'Above Average Performance' },
+  { min: 70, grade: 'B-', description: 'Decent Network Performance' },
+  { min: 65, grade: 'C+', description: 'Average Network Performance' },
+  { min: 60, grade: 'C', description: 'Acceptable Network Performance' },
+  { min: 55, grade: 'C-', description: 'Below Average Performance' },
+  { min: 50, grade: 'D+', description: 'Poor Network Performance' },
+  { min: 45, grade: 'D', description: 'Very Poor Performance' },
+  { min: 0, grade: 'F', description: 'Failing Network Performance' }
+];
+
+// 📏 METRICS - what a profile can weigh; value is null when the run didn't measure it
+// steps curves are [threshold, points] pairs, grade curves map bufferbloat grades to points,
+// score metrics are already 0-100 and used as-is
+const METRICS = {
+  download: { curve: 'steps', better: 'higher', value: results => ResultFields.download(results) },
+  upload: { curve: 'steps', better: 'higher', value: results => ResultFields.upload(results) },
+  latency: { curve: 'steps', better: 'lower', value: results => ResultFields.latency(results) },
+  jitter: { curve: 'steps', better: 'lower', value: results => ResultFields.jitter(results) },
+  bufferbloat: { curve: 'grades', value: results => ResultFields.bufferbloat(results)?.grade || null },
+  security: { curve: 'score', value: results => results.security ? calculateSecurityScore(results.security) : null },
+  protocols: { curve: 'score', value: results => results.protocols ? calculateProtocolScore(results.protocols) : null }
+};
+
+// ✅ CAPABILITIES - each profile sets the cut-offs; needsBufferbloat ones are null when it wasn't measured
+export const CAPABILITIES = [
+  { id: 'streaming4K', label: '4K Streaming' },
+  { id: 'streaming1080p', label: 'HD Streaming' },
+  { id: 'gaming', label: 'Gaming' },
+  { id: 'competitiveGaming', label: 'Competitive Gaming' },
+  { id: 'videoConferencing', label: 'Video Calls' },
+  { id: 'remoteWork', label: 'Remote Work' },
+  { id: 'responsiveUnderLoad', label: 'Responsive Under Load', needsBufferbloat: true },
+  { id: 'basicBrowsing', label: 'Browsing' },
+  { id: 'fileSharing', label: 'File Sharing' },
+  { id: 'cloudBackup', label: 'Cloud Backup' }
+];
+
+const BALANCED = {
+  id: 'balanced',
+  name: 'Balanced',
+  description: 'Speed first, then latency, with security and protocols as tie-breakers',
+  weights: { download: 40, upload: 0, latency: 30, jitter: 0, bufferbloat: 15, security: 20, protocols: 10 },
+  curves: {
+    download: [[100, 100], [50, 75], [25, 50], [10, 25]],   // Mbps at or above
+    upload: [[50, 100], [20, 75], [10, 50], [5, 25]],
+    latency: [[20, 100], [50, 83.3], [100, 50], [200, 16.7]], // ms below
+    jitter: [[5, 100], [10, 75], [20, 50], [50, 25]],
+    bufferbloat: { A: 100, B: 80, C: 46.7, D: 20, F: 0 }
+  },
+  // Mbps minimums, ms maximums, and the bufferbloat grades allowed
+  capabilities: {
+    streaming4K: { minDownload: 25, maxLatency: 50 },
+    streaming1080p: { minDownload: 5, maxLatency: 100 },
+    gaming: { maxLatency: 50, maxJitter: 20, loadedGrades: ['A', 'B', 'C'] },
+    competitiveGaming: { maxLatency: 20, maxJitter: 10, loadedGrades: ['A', 'B'] },
+    videoConferencing: { minDownload: 3, minUpload: 2, maxLatency: 150, loadedGrades: ['A', 'B', 'C'] },
+    remoteWork: { minDownload: 10, minUpload: 5, maxLatency: 100, loadedGrades: ['A', 'B', 'C'] },
+    responsiveUnderLoad: { loadedGrades: ['A', 'B'] },
+    basicBrowsing: { minDownload: 1, maxLatency: 200 },
+    fileSharing: { minUpload: 10 },
+    cloudBackup: { minUpload: 25 }
+  }
+};
+
+// 🎚️ SCORING PROFILES - built-in weightings; settings can edit any of them
+export const SCORING_PROFILES = {
+  balanced: BALANCED,
+
+  gaming: {
+    id: 'gaming',
+    name: 'Gaming',
+    description: 'Latency, jitter and lag under load matter more than raw speed',
+    weights: { download: 10, upload: 5, latency: 35, jitter: 20, bufferbloat: 25, security: 5, protocols: 0 },
+    curves: {
+      download: [[50, 100], [25, 80], [10, 50], [5, 20]],
+      upload: [[10, 100], [5, 70], [2, 40]],
+      latency: [[15, 100], [30, 80], [50, 50], [100, 15]],
+      jitter: [[3, 100], [7, 75], [15, 40], [30, 10]],
+      bufferbloat: { A: 100, B: 70, C: 30, D: 0, F: 0 }
+    },
+    capabilities: {
+      ...BALANCED.capabilities,
+      gaming: { maxLatency: 40, maxJitter: 15, loadedGrades: ['A', 'B'] },
+      competitiveGaming: { maxLatency: 15, maxJitter: 5, loadedGrades: ['A'] }
+    }
+  },
+
+  'remote-work': {
+    id: 'remote-work',
+    name: 'Remote Work',
+    description: 'Upload and steady latency for video calls, VPNs and uploads',
+    weights: { download: 20, upload: 25, latency: 20, jitter: 15, bufferbloat: 15, security: 15, protocols: 0 },
+    curves: {
+      download: [[100, 100], [50, 85], [25, 65], [10, 35]],
+      upload: [[50, 100], [20, 80], [10, 55], [5, 30]],
+      latency: [[30, 100], [60, 80], [100, 50], [150, 20]],
+      jitter: [[5, 100], [10, 80], [20, 50], [40, 20]],
+      bufferbloat: { A: 100, B: 85, C: 55, D: 20, F: 0 }
+    },
+    capabilities: {
+      ...BALANCED.capabilities,
+      videoConferencing: { minDownload: 5, minUpload: 3, maxLatency: 100, maxJitter: 30, loadedGrades: ['A', 'B', 'C'] },
+      remoteWork: { minDownload: 25, minUpload: 10, maxLatency: 80, maxJitter: 30, loadedGrades: ['A', 'B', 'C'] }
+    }
+  },
+
+  streaming: {
+    id: 'streaming',
+    name: 'Streaming',
+    description: 'Sustained download speed; latency barely matters once playback buffers',
+    weights: { download: 55, upload: 0, latency: 10, jitter: 5, bufferbloat: 10, security: 10, protocols: 10 },
+    curves: {
+      ...BALANCED.curves,
+      download: [[200, 100], [100, 85], [50, 65], [25, 45], [10, 20]],
+      latency: [[50, 100], [100, 70], [200, 30]],
+      jitter: [[10, 100], [30, 60], [60, 20]]
+    },
+    capabilities: {
+      ...BALANCED.capabilities,
+      streaming4K: { minDownload: 40, maxLatency: 100 },
+      streaming1080p: { minDownload: 10, maxLatency: 150 }
+    }
+  },
+
+  // Starts out as Balanced and is meant to be edited
+  custom: {
+    ...BALANCED,
+    id: 'custom',
+    name: 'Custom',
+    description: 'Your own weights, curves and cut-offs'
+  }
+};
+
+export const DEFAULT_SCORING_PROFILE = 'balanced';
+
+// Built-in profiles with the edits saved in settings laid over them, by id
+export function getScoringProfiles(saved = {}) {
+  const edits = saved.profiles || {};
+
+  return Object.fromEntries(Object.values(SCORING_PROFILES).map(profile => {
+    const edit = edits[profile.id] || {};
+    return [profile.id, {
+      ...profile,
+      weights: { ...profile.weights, ...edit.weights },
+      curves: { ...profile.curves, ...edit.curves },
+      capabilities: { ...profile.capabilities, ...edit.capabilities },
+      edited: Boolean(edits[profile.id])
+    }];
+  }));
+}
+
+// The profile to score with - the active one unless an id is given; unknown ids fall back to Balanced
+export function resolveScoringProfile(saved = {}, id = saved.activeProfile) {
+  const profiles = getScoringProfiles(saved);
+  return profiles[id] || profiles[DEFAULT_SCORING_PROFILE];
+}
+
+// Calculate security score
+export function calculateSecurityScore(security) {
+  let score = 50; // Base score
+
+  if (security.vpnStatus === 'Connected') score += 25;
+  if (security.warpStatus === 'Connected') score += 20;
+  if (!security.captivePortal) score += 5;
+
+  return Math.min(100, score);
+}
+
+// Calculate protocol efficiency score
+export function calculateProtocolScore(protocols) {
+  if (!protocols) return 50;
+
+  let score = 0;
+  let tests = 0;
+
+  if (protocols.ipv6?.supported) {
+    score += 30;
+    tests++;
+  }
+
+  if (protocols.cdn?.averageSpeed > 50) {
+    score += 40;
+    tests++;
+  }
+
+  if (typeof protocols.dns?.averageTime === 'number' && protocols.dns.averageTime < 50) {
+    score += 30;
+    tests++;
+  }
+
+  return tests > 0 ? score / tests : 50;
+}
+
+// Points (0-100) a measured value earns on a profile's curve for that metric
+function curvePoints(metric, value, curve) {
+  if (metric.curve === 'score') return value;
+  if (metric.curve === 'grades') return curve?.[value] ?? 0;
+
+  // Best step first, so the first one the value clears is the one it earns
+  const steps = [...(curve || [])].sort((a, b) => metric.better === 'higher' ? b[0] - a[0] : a[0] - b[0]);
+  const step = steps.find(([threshold]) => metric.better === 'higher' ? value >= threshold : value < threshold);
+  return step ? step[1] : 0;
+}
+
+// Calculate overall network performance score - a weighted average over the metrics the run measured
+export function calculateOverallScore(results, profile = SCORING_PROFILES[DEFAULT_SCORING_PROFILE]) {
+  let score = 0;
+  let weight = 0;
+
+  Object.entries(METRICS).forEach(([key, metric]) => {
+    const metricWeight = profile.weights[key] || 0;
+    const value = metric.value(results);
+    if (metricWeight <= 0 || value === null) return;
+
+    score += metricWeight * curvePoints(metric, value, profile.curves[key]) / 100;
+    weight += metricWeight;
+  });
+
+  return weight > 0 ? Math.round(score / weight * 100) : 0;
+}
+
+// Calculate network grade
+export function calculateNetworkGrade(score) {
+  return GRADES.find(g => score >= g.min) || GRADES[GRADES.length - 1];
+}
+
+// Assess network capabilities against the profile's cut-offs
+export function assessCapabilities(results, profile = SCORING_PROFILES[DEFAULT_SCORING_PROFILE]) {
+  const dlSpeed = ResultFields.download(results) || 0;
+  const ulSpeed = ResultFields.upload(results) || 0;
+  const latency = ResultFields.latency(results) || 100;
+  const jitter = ResultFields.jitter(results) || 0;
+
+  // Bufferbloat only restricts capabilities when it was measured
+  const bloatGrade = ResultFields.bufferbloat(results)?.grade;
+
+  const meets = (cutoff = {}) =>
+    (cutoff.minDownload == null || dlSpeed >= cutoff.minDownload) &&
+    (cutoff.minUpload == null || ulSpeed >= cutoff.minUpload) &&
+    (cutoff.maxLatency == null || latency < cutoff.maxLatency) &&
+    (cutoff.maxJitter == null || jitter < cutoff.maxJitter) &&
+    (!cutoff.loadedGrades || !bloatGrade || cutoff.loadedGrades.includes(bloatGrade));
+
+  return Object.fromEntries(CAPABILITIES.map(capability => [
+    capability.id,
+    capability.needsBufferbloat && !bloatGrade ? null : meets(profile.capabilities[capability.id])
+  ]));
+}
+
+const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+
+// Throughput and latency averages recomputed from the run's raw samples when it kept them,
+// so a rescore works from what was measured rather than from the summaries stored beside it
+function fromRawSamples(results) {
+  const raw = results.raw;
+  if (!raw) return results;
+
+  const latencies = raw.latency.filter(probe => probe.ok).map(probe => probe.latency);
+  const withAverage = (speed, samples) => samples.length > 0
+    ? { ...speed, overall: { ...speed?.overall, average: mean(samples) } }
+    : speed;
+
+  return {
+    ...results,
+    downloadSpeed: withAverage(results.downloadSpeed, raw.download),
+    uploadSpeed: withAverage(results.uploadSpeed, raw.upload),
+    latency: latencies.length > 0 ? { ...results.latency, average: mean(latencies) } : results.latency
+  };
+}
+
+// Everything the current algorithm derives from a run's measurements, and the profile it used
+export function scoreResults(results, profile = SCORING_PROFILES[DEFAULT_SCORING_PROFILE]) {
+  const measured = fromRawSamples(results);
+  const overallScore = calculateOverallScore(measured, profile);
+
+  return {
+    overallScore,
+    networkGrade: calculateNetworkGrade(overallScore),
+    capabilities: assessCapabilities(measured, profile),
+    scoringVersion: SCORING_VERSION,
+    scoringProfile: { id: profile.id, name: profile.name }
+  };
+}
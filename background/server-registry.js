@@ -0,0 +1,204 @@
+// 🖥️ SERVER REGISTRY - Self-hosted Speed Test Servers
+// LibreSpeed-compatible backends (garbage / empty / getIP) stored under CUSTOM_SERVERS
+
+import { Storage } from '../shared/storage.js';
+
+export class ServerRegistry {
+  constructor() {
+    this.healthTimeout = 5000;
+  }
+
+  // Default LibreSpeed backend endpoint paths, relative to the server URL
+  getDefaultEndpoints() {
+    return {
+      garbage: 'backend/garbage.php',
+      empty: 'backend/empty.php',
+      getIP: 'backend/getIP.php'
+    };
+  }
+
+  // Get all registered servers
+  async getServers() {
+    return Storage.loadCustomServers();
+  }
+
+  // Get a single server by id
+  async getServer(id) {
+    const servers = await this.getServers();
+    return servers.find(s => s.id === id) || null;
+  }
+
+  // Register a new server (or update one with the same URL)
+  async addServer({ name, url, endpoints = {} }) {
+    const baseUrl = this.normalizeUrl(url);
+
+    const server = await Storage.saveCustomServer({
+      name: name || new URL(baseUrl).host,
+      url: baseUrl,
+      endpoints: { ...this.getDefaultEndpoints(), ...endpoints }
+    });
+
+    // Check straight away so the settings list shows a status
+    return this.checkHealth(server.id);
+  }
+
+  // Remove a server, and its host permission unless another server is on the same origin
+  async removeServer(id) {
+    const server = await this.getServer(id);
+    const removed = await Storage.deleteCustomServer(id);
+    if (!server) return removed;
+
+    const origin = new URL(server.url).origin;
+    const servers = await this.getServers();
+    if (!servers.some(other => new URL(other.url).origin === origin)) {
+      await this.releasePermission(server);
+    }
+
+    return removed;
+  }
+
+  // Normalize a server URL to an origin + path ending in a slash
+  normalizeUrl(url) {
+    const parsed = new URL(url);
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error(`Unsupported protocol: ${parsed.protocol}`);
+    }
+
+    parsed.search = '';
+    parsed.hash = '';
+    if (!parsed.pathname.endsWith('/')) parsed.pathname += '/';
+
+    return parsed.toString();
+  }
+
+  // Origin pattern for the optional host permission
+  getOriginPattern(server) {
+    return `${new URL(server.url).origin}/*`;
+  }
+
+  // Check whether the optional host permission has been granted
+  async hasPermission(server) {
+    try {
+      return await chrome.permissions.contains({ origins: [this.getOriginPattern(server)] });
+    } catch (error) {
+      console.warn('Permission check failed:', error.message);
+      return false;
+    }
+  }
+
+  // Give back the optional host permission for a server's origin
+  async releasePermission(server) {
+    try {
+      await chrome.permissions.remove({ origins: [this.getOriginPattern(server)] });
+    } catch (error) {
+      console.warn('Permission removal failed:', error.message);
+    }
+  }
+
+  // Resolve an endpoint into a full URL
+  getEndpointUrl(server, endpoint) {
+    return new URL(server.endpoints[endpoint], server.url).toString();
+  }
+
+  // Resolve a server into the shape the test modules use
+  describeServer(server) {
+    return {
+      id: server.id,
+      name: server.name,
+      urls: {
+        garbage: this.getEndpointUrl(server, 'garbage'),
+        empty: this.getEndpointUrl(server, 'empty'),
+        getIP: this.getEndpointUrl(server, 'getIP')
+      }
+    };
+  }
+
+  // Run a health check against every endpoint and store the outcome
+  async checkHealth(id) {
+    const server = await this.getServer(id);
+    if (!server) throw new Error(`Unknown server: ${id}`);
+
+    const health = {
+      status: 'unreachable',
+      latency: null,
+      ip: null,
+      endpoints: { garbage: false, empty: false, getIP: false },
+      checkedAt: Date.now(),
+      error: null
+    };
+
+    if (!(await this.hasPermission(server))) {
+      health.status = 'no-permission';
+      health.error = 'Host permission not granted';
+      return Storage.saveCustomServer({ ...server, health });
+    }
+
+    try {
+      // empty - also gives a round-trip time
+      const startTime = performance.now();
+      const emptyResponse = await this.fetchEndpoint(server, 'empty', `r=${Date.now()}`);
+      health.latency = Math.round(performance.now() - startTime);
+      health.endpoints.empty = emptyResponse.ok;
+
+      // getIP - plain text or JSON depending on backend version
+      const ipResponse = await this.fetchEndpoint(server, 'getIP', `r=${Date.now()}`);
+      health.endpoints.getIP = ipResponse.ok;
+      if (ipResponse.ok) {
+        const text = await ipResponse.text();
+        try {
+          health.ip = JSON.parse(text).processedString || text.trim();
+        } catch {
+          health.ip = text.trim();
+        }
+      }
+
+      // garbage - only the headers are needed, cancel the body
+      const garbageResponse = await this.fetchEndpoint(server, 'garbage', `ckSize=1&r=${Date.now()}`);
+      health.endpoints.garbage = garbageResponse.ok;
+      garbageResponse.body?.cancel();
+
+      const working = Object.values(health.endpoints).filter(Boolean).length;
+      health.status = working === 3 ? 'healthy' : working > 0 ? 'degraded' : 'unreachable';
+
+    } catch (error) {
+      console.warn(`Health check failed for ${server.name}:`, error.message);
+      health.error = error.message;
+    }
+
+    return Storage.saveCustomServer({ ...server, health });
+  }
+
+  // Check every registered server
+  async checkAllHealth() {
+    const servers = await this.getServers();
+    return Promise.all(servers.map(s => this.checkHealth(s.id)));
+  }
+
+  // Fetch an endpoint with the health check timeout
+  async fetchEndpoint(server, endpoint, query) {
+    return fetch(`${this.getEndpointUrl(server, endpoint)}?${query}`, {
+      method: 'GET',
+      cache: 'no-store',
+      signal: AbortSignal.timeout(this.healthTimeout)
+    });
+  }
+
+  // Resolve the selected server for a test run - null falls back to the built-in servers
+  async resolveSelectedServer(id) {
+    if (!id) return null;
+
+    const server = await this.getServer(id);
+    if (!server) {
+      console.warn(`⚠️ Selected server ${id} no longer exists, using built-in servers`);
+      return null;
+    }
+
+    if (!(await this.hasPermission(server))) {
+      console.warn(`⚠️ No host permission for ${server.name}, using built-in servers`);
+      return null;
+    }
+
+    return this.describeServer(server);
+  }
+}
@@ -6,6 +6,11 @@ import { SpeedTests } from './tests/speed-tests.js';
 import { LatencyTests } from './tests/latency-tests.js';
 import { SecurityTests } from './tests/security-tests.js';
 import { ProtocolTests } from './tests/protocol-tests.js';
+import { ServerRegistry } from './server-registry.js';
+import { OffscreenRunner } from './offscreen-runner.js';
+import { InterferenceMonitor } from './interference-monitor.js';
+import { scoreResults, resolveScoringProfile } from './scoring.js';
+import { RecommendationEngine } from './recommendation-engine.js';
 
 export class TestOrchestrator {
   constructor() {
@@ -16,6 +21,9 @@ export class TestOrchestrator {
     this.currentPhase = 'idle';
     this.overallProgress = 0;
     this.phaseProgress = {};
+    this.activePlan = null;
+    this.runConfig = null;
+    this.activeServer = null;
     
     // Initialize test modules
     this.speedTests = new SpeedTests();
@@ -23,6 +31,17 @@ export class TestOrchestrator {
     this.securityTests = new SecurityTests();
     this.protocolTests = new ProtocolTests();
     this.connectivityTests = new ConnectivityTests();
+    this.serverRegistry = new ServerRegistry();
+    this.offscreenRunner = new OffscreenRunner();
+    this.interferenceMonitor = new InterferenceMonitor();
+    this.recommendationEngine = new RecommendationEngine();
+    
+    // Modules declare probes that need DOM APIs; those run in the offscreen document
+    const runner = this.offscreenRunner.getRunner();
+    [this.speedTests, this.latencyTests, this.securityTests, this.protocolTests].forEach(module => {
+      this.offscreenRunner.registerModule(module);
+      if (typeof module.setPageContextRunner === 'function') module.setPageContextRunner(runner);
+    });
   }
 
   // Set progress callback for real-time updates
@@ -67,7 +86,9 @@ export class TestOrchestrator {
         iterations: 3,
         parallelConnections: 4,
         timeout: 30000,
-        servers: ['cloudflare', 'google', 'amazon']
+        servers: ['cloudflare', 'google', 'amazon'],
+        mode: 'fixed',
+        sampleDuration: 10
       },
       uploadTests: {
         enabled: true,
@@ -87,6 +108,11 @@ export class TestOrchestrator {
         vpnDetection: true,
         warpDetection: true,
         captivePortalCheck: true,
+        dnsLeakTest: true,
+        dnsLeakZone: null,
+        dnsLeakReportUrl: null,
+        webrtcLeakTest: true,
+        sslAnalysis: true,
         threatDetection: false
       },
       protocolTests: {
@@ -94,6 +120,9 @@ export class TestOrchestrator {
         ipv6Testing: true,
         cdnTesting: true,
         dnsPerformance: true,
+        dohBenchmark: true,
+        dohCustomResolver: null,
+        dohUncachedZone: null,
         connectionStability: false,
         routingEfficiency: false
       },
@@ -102,6 +131,22 @@ export class TestOrchestrator {
         sampleCount: 100,
         burstTests: true
       },
+      bufferbloatTests: {
+        enabled: true,
+        target: 'Cloudflare',
+        idleSamples: 10,
+        probeInterval: 200
+      },
+      servers: {
+        selectedId: null,
+        useForLatency: true
+      },
+      interference: {
+        enabled: true,
+        baselineSamples: 5,
+        maxBaselineLatency: 150,
+        baselineFactor: 2
+      },
       advancedTests: {
         enabled: false,
         patternDetection: false,
@@ -116,19 +161,198 @@ export class TestOrchestrator {
     this.config = { ...this.config, ...newConfig };
     
     // Update test module configs
-    this.speedTests.updateConfig(this.config.downloadTests, this.config.uploadTests);
-    this.latencyTests.updateConfig(this.config.latencyTests);
-    this.securityTests.updateConfig(this.config.securityTests);
-    this.protocolTests.updateConfig(this.config.protocolTests);
+    this.pushModuleConfigs(this.config);
+    this.recommendationEngine.updateConfig(this.config.recommendations);
+  }
+
+  // Push a configuration down to every test module
+  pushModuleConfigs(config) {
+    this.speedTests.updateConfig(config.downloadTests, config.uploadTests);
+    this.latencyTests.updateConfig(config.latencyTests);
+    this.securityTests.updateConfig(config.securityTests);
+    this.protocolTests.updateConfig(config.protocolTests);
+    this.interferenceMonitor.updateConfig(config.interference);
+  }
+
+  // 🗺️ TEST PLANS - Execution plan for each test mode
+  // Presets mirror SettingsController.selectPreset, budgets mirror EpicOverlay.selectTestMode
+  getTestPlans() {
+    return {
+      quick: {
+        label: 'Quick Test',
+        timeBudget: 30000,
+        phases: { security: true, latency: true, speed: true, bufferbloat: false, protocols: false, gaming: false },
+        config: {
+          downloadTests: { enabled: true, mode: 'fixed', fileSizes: ['1MB'], iterations: 1, parallelConnections: 2, timeout: 10000 },
+          uploadTests: { enabled: true, fileSizes: ['1MB'], iterations: 1, parallelConnections: 1, timeout: 10000 },
+          latencyTests: { enabled: true, sampleCount: 10 },
+          securityTests: { dnsLeakTest: false, webrtcLeakTest: false, sslAnalysis: false, threatDetection: false }
+        }
+      },
+      standard: {
+        label: 'Standard Test',
+        timeBudget: 120000,
+        phases: { security: true, latency: true, speed: true, bufferbloat: true, protocols: true, gaming: false },
+        config: {
+          downloadTests: { enabled: true, fileSizes: ['1MB', '5MB', '10MB'], iterations: 3, parallelConnections: 4 },
+          uploadTests: { enabled: true, fileSizes: ['1MB', '5MB'], iterations: 2, parallelConnections: 2 },
+          latencyTests: { enabled: true, sampleCount: 20 },
+          protocolTests: { enabled: true, ipv6Testing: false, cdnTesting: true, dnsPerformance: false, dohBenchmark: false }
+        }
+      },
+      thorough: {
+        label: 'Thorough Analysis',
+        timeBudget: 300000,
+        phases: { security: true, latency: true, speed: true, bufferbloat: true, protocols: true, gaming: false },
+        config: {
+          // Duration-based download: ramps until throughput settles, then samples for 15 seconds
+          downloadTests: { enabled: true, mode: 'adaptive', sampleDuration: 15 },
+          uploadTests: { enabled: true, fileSizes: ['1MB', '5MB', '10MB'], iterations: 3, parallelConnections: 4 },
+          latencyTests: { enabled: true, sampleCount: 50 },
+          securityTests: { dnsLeakTest: true, sslAnalysis: true },
+          protocolTests: { enabled: true, ipv6Testing: true, cdnTesting: true, dnsPerformance: true, dohBenchmark: true }
+        }
+      },
+      gaming: {
+        label: 'Gaming Optimized',
+        timeBudget: 180000,
+        phases: { security: true, latency: true, speed: true, bufferbloat: true, protocols: false, gaming: true },
+        config: {
+          downloadTests: { enabled: true, fileSizes: ['5MB', '10MB'], iterations: 2, parallelConnections: 4 },
+          uploadTests: { enabled: true, fileSizes: ['1MB', '5MB'], iterations: 2, parallelConnections: 2 },
+          latencyTests: { enabled: true, sampleCount: 100 },
+          gamingTests: { enabled: true }
+        }
+      }
+    };
+  }
+
+  // Resolve a test mode into a plan - unknown modes run the user's own configuration
+  resolveTestPlan(mode = 'standard') {
+    const plan = this.getTestPlans()[mode];
+    
+    if (plan) {
+      return { mode, ...plan };
+    }
+    
+    return {
+      mode: 'custom',
+      requestedMode: mode,
+      label: 'Custom Configuration',
+      timeBudget: null,
+      phases: {
+        security: true,
+        latency: this.config.latencyTests?.enabled !== false,
+        speed: !!(this.config.downloadTests?.enabled || this.config.uploadTests?.enabled),
+        bufferbloat: this.config.bufferbloatTests?.enabled !== false,
+        protocols: !!this.config.protocolTests?.enabled,
+        gaming: !!this.config.gamingTests?.enabled
+      },
+      config: {}
+    };
+  }
+
+  // Build the run configuration for a plan: defaults <- user config <- plan overrides
+  buildRunConfig(plan) {
+    const defaults = this.getDefaultConfig();
+    const runConfig = {};
+    const sections = new Set([
+      ...Object.keys(defaults),
+      ...Object.keys(this.config),
+      ...Object.keys(plan.config)
+    ]);
+    
+    sections.forEach(section => {
+      runConfig[section] = {
+        ...defaults[section],
+        ...this.config[section],
+        ...plan.config[section]
+      };
+    });
+    
+    return runConfig;
+  }
+
+  // Point speed and latency tests at the selected self-hosted server, if any
+  async applySelectedServer() {
+    const { selectedId, useForLatency } = this.runConfig.servers;
+    this.activeServer = await this.serverRegistry.resolveSelectedServer(selectedId);
+    
+    this.speedTests.setServer(this.activeServer);
+    this.latencyTests.setServer(useForLatency ? this.activeServer : null);
+  }
+
+  // Check whether the plan's time budget has been used up
+  isOverBudget(startTime) {
+    if (!this.activePlan?.timeBudget) return false;
+    return (performance.now() - startTime) >= this.activePlan.timeBudget;
+  }
+
+  // Decide whether a phase runs, recording phases skipped for time
+  shouldRunPhase(phase, startTime) {
+    if (!this.activePlan.phases[phase]) return false;
+    
+    if (this.isOverBudget(startTime)) {
+      console.warn(`⏱️ Skipping ${phase} phase - ${this.activePlan.label} time budget exhausted`);
+      this.activePlan.skippedPhases.push(phase);
+      return false;
+    }
+    
+    return true;
+  }
+
+  // Describe what a finished run actually executed
+  describeTestPlan(duration) {
+    const plan = this.activePlan;
+    const config = this.runConfig;
+    
+    return {
+      mode: plan.mode,
+      requestedMode: plan.requestedMode || plan.mode,
+      label: plan.label,
+      timeBudget: plan.timeBudget,
+      elapsed: Math.round(duration),
+      phases: [...plan.executedPhases],
+      skippedPhases: [...plan.skippedPhases],
+      server: this.activeServer ? { id: this.activeServer.id, name: this.activeServer.name } : null,
+      latencySamples: plan.executedPhases.includes('latency') ? config.latencyTests.sampleCount : 0,
+      download: plan.executedPhases.includes('speed') && config.downloadTests.enabled ? (
+        config.downloadTests.mode === 'adaptive' ? {
+          mode: 'adaptive',
+          sampleDuration: config.downloadTests.sampleDuration
+        } : {
+          mode: 'fixed',
+          fileSizes: [...config.downloadTests.fileSizes],
+          iterations: config.downloadTests.iterations,
+          parallelConnections: config.downloadTests.parallelConnections
+        }
+      ) : null,
+      upload: plan.executedPhases.includes('speed') && config.uploadTests.enabled ? {
+        fileSizes: [...config.uploadTests.fileSizes],
+        iterations: config.uploadTests.iterations,
+        parallelConnections: config.uploadTests.parallelConnections
+      } : null
+    };
   }
 
   // 🚀 MAIN NETWORK ANALYSIS WITH REAL-TIME PROGRESS
-  async runCompleteAnalysis() {
-    console.log('🚀 Starting Network Analysis with Test Orchestrator...');
+  async runCompleteAnalysis(mode = 'standard') {
+    console.log(`🚀 Starting ${mode} Network Analysis with Test Orchestrator...`);
     this.metrics = {};
     this.overallProgress = 0;
     this.currentPhase = 'initializing';
     
+    // Resolve the execution plan for this mode and push it to the test modules
+    this.activePlan = { ...this.resolveTestPlan(mode), executedPhases: [], skippedPhases: [] };
+    this.runConfig = this.buildRunConfig(this.activePlan);
+    this.pushModuleConfigs(this.runConfig);
+    await this.applySelectedServer();
+    
+    // Look for media playback or a busy link before anything loads it
+    const interference = this.runConfig.interference.enabled
+      ? await this.interferenceMonitor.snapshot(() => this.latencyTests.measureSingleLatency(this.getBufferbloatTarget()))
+      : null;
+    
     const startTime = performance.now();
     
     // Calculate total steps for progress tracking
@@ -142,15 +366,18 @@ export class TestOrchestrator {
 
     try {
       // Phase 1: Security & Basic Info (10% of total)
-      this.currentPhase = 'security';
-      this.updateProgress('phase', 0, 'Running security analysis...');
-      await this.securityTests.runAnalysis();
-      this.metrics.security = this.securityTests.getResults();
-      completedSteps += 2;
-      updateOverallProgress();
+      if (this.shouldRunPhase('security', startTime)) {
+        this.currentPhase = 'security';
+        this.updateProgress('phase', 0, 'Running security analysis...');
+        await this.securityTests.runAnalysis();
+        this.metrics.security = this.securityTests.getResults();
+        this.activePlan.executedPhases.push('security');
+        completedSteps += 2;
+        updateOverallProgress();
+      }
 
       // Phase 2: Latency Testing (15% of total)
-      if (this.config.latencyTests.enabled) {
+      if (this.shouldRunPhase('latency', startTime)) {
         this.currentPhase = 'latency';
         this.updateProgress('phase', 0, '⚡ Measuring network latency...');
         
@@ -161,12 +388,14 @@ export class TestOrchestrator {
         
         await this.latencyTests.runLatencyAnalysis();
         this.metrics.latency = this.latencyTests.getResults();
+        this.activePlan.executedPhases.push('latency');
         completedSteps += 3;
         updateOverallProgress();
       }
 
       // Phase 3: Speed Testing (60% of total)
-      if (this.config.downloadTests.enabled || this.config.uploadTests.enabled) {
+      if (this.shouldRunPhase('speed', startTime) &&
+          (this.runConfig.downloadTests.enabled || this.runConfig.uploadTests.enabled)) {
         this.currentPhase = 'speed';
         this.updateProgress('phase', 0, '🚀 Running speed tests...');
         
@@ -179,26 +408,66 @@ export class TestOrchestrator {
           this.updateSpeed(update.speed, update.type);
         });
         
-        await this.speedTests.runSpeedAnalysis();
+        // Bufferbloat: idle baseline first, then keep probing while the speed test saturates the link
+        const measureBufferbloat = this.shouldRunPhase('bufferbloat', startTime);
+        let loadedProbe = null;
+        
+        if (measureBufferbloat) {
+          this.updateProgress('phase', 0, '📶 Measuring idle latency baseline...');
+          const idleSamples = await this.collectIdleLatency();
+          completedSteps += 1;
+          updateOverallProgress();
+          
+          loadedProbe = this.startLoadedLatencyProbe();
+          loadedProbe.samples.idle = idleSamples;
+        }
+        
+        try {
+          await this.speedTests.runSpeedAnalysis();
+        } finally {
+          if (loadedProbe) await loadedProbe.stop();
+        }
+        
         this.metrics.speed = this.speedTests.getResults();
+        this.activePlan.executedPhases.push('speed');
+        
+        if (loadedProbe) {
+          this.metrics.bufferbloat = this.summarizeBufferbloat(loadedProbe.samples);
+          this.activePlan.executedPhases.push('bufferbloat');
+        }
+        
         completedSteps += 12;
         updateOverallProgress();
       }
 
       // Phase 4: Protocol Testing (15% of total) - Optional
-      if (this.config.protocolTests.enabled) {
+      if (this.shouldRunPhase('protocols', startTime)) {
         this.currentPhase = 'protocols';
         this.updateProgress('phase', 0, '🌐 Testing network protocols...');
         
         await this.protocolTests.runProtocolAnalysis();
         this.metrics.protocols = this.protocolTests.getResults();
+        this.activePlan.executedPhases.push('protocols');
         completedSteps += 3;
         updateOverallProgress();
       }
 
+      // Phase 5: Gaming Latency (burst, consistency & load) - Gaming mode
+      if (this.shouldRunPhase('gaming', startTime)) {
+        this.currentPhase = 'gaming';
+        this.updateProgress('phase', 0, '🎮 Testing gaming performance...');
+        
+        const gamingResults = await this.latencyTests.runGamingLatencyTest();
+        this.metrics.gaming = this.summarizeGamingLatency(gamingResults);
+        this.activePlan.executedPhases.push('gaming');
+        completedSteps += 4;
+        updateOverallProgress();
+      }
+
       // Final Phase: Analysis Complete
       this.currentPhase = 'complete';
       const duration = performance.now() - startTime;
+      this.metrics.contamination = interference ? await this.interferenceMonitor.evaluate(interference) : null;
       
       // Generate comprehensive results
       const results = this.generateFinalResults(duration);
@@ -210,6 +479,7 @@ export class TestOrchestrator {
 
     } catch (error) {
       console.error('❌ Network analysis failed:', error);
+      this.currentPhase = 'error';
       this.updateProgress('error', 0, `Error: ${error.message}`);
       throw error;
     }
@@ -217,13 +487,142 @@ export class TestOrchestrator {
 
   // Calculate total steps for progress tracking
   calculateTotalSteps() {
-    let steps = 2; // Security tests
+    const phases = this.activePlan.phases;
+    let steps = 0;
+    
+    if (phases.security) steps += 2;
+    if (phases.latency) steps += 3;
+    if (phases.speed && (this.runConfig.downloadTests.enabled || this.runConfig.uploadTests.enabled)) {
+      steps += 12;
+      if (phases.bufferbloat) steps += 1;
+    }
+    if (phases.protocols) steps += 3;
+    if (phases.gaming) steps += 4;
     
-    if (this.config.latencyTests.enabled) steps += 3;
-    if (this.config.downloadTests.enabled || this.config.uploadTests.enabled) steps += 12;
-    if (this.config.protocolTests.enabled) steps += 3;
+    return Math.max(1, steps);
+  }
+
+  // Get the latency target used for bufferbloat probes
+  getBufferbloatTarget() {
+    const targets = this.latencyTests.getLatencyTargets();
+    return targets.find(t => t.name === this.runConfig.bufferbloatTests.target) || targets[0];
+  }
+
+  // Collect idle latency samples before the link is loaded
+  async collectIdleLatency() {
+    const config = this.runConfig.bufferbloatTests;
+    const target = this.getBufferbloatTarget();
+    const samples = [];
+    
+    for (let i = 0; i < config.idleSamples; i++) {
+      const latency = await this.latencyTests.measureSingleLatency(target);
+      if (latency !== null) samples.push(latency);
+      await new Promise(resolve => setTimeout(resolve, config.probeInterval));
+    }
     
-    return steps;
+    return samples;
+  }
+
+  // Probe latency in the background, tagging samples with the active speed test direction
+  startLoadedLatencyProbe() {
+    const config = this.runConfig.bufferbloatTests;
+    const target = this.getBufferbloatTarget();
+    const samples = { idle: [], download: [], upload: [] };
+    let running = true;
+    
+    const loop = (async () => {
+      while (running) {
+        const direction = this.speedTests.activeDirection;
+        const loadedAtStart = this.speedTests.transfersInFlight > 0;
+        const latency = await this.latencyTests.measureSingleLatency(target);
+        const loaded = loadedAtStart && this.speedTests.transfersInFlight > 0;
+        
+        // Keep only probes that ran while a transfer was moving data - not in the pauses between rounds
+        // or during the upload roundtrip measurement - and discard ones that straddled a direction change
+        if (latency !== null && loaded && direction && direction === this.speedTests.activeDirection) {
+          samples[direction].push(latency);
+          this.updateSpeed(latency, 'loadedLatency');
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, config.probeInterval));
+      }
+    })();
+    
+    return {
+      samples,
+      stop: async () => {
+        running = false;
+        await loop;
+      }
+    };
+  }
+
+  // Summarize idle vs loaded latency into a bufferbloat grade and responsiveness figure
+  summarizeBufferbloat(samples) {
+    const describe = (values) => {
+      if (values.length === 0) return null;
+      const sorted = [...values].sort((a, b) => a - b);
+      return {
+        samples: values.length,
+        median: this.latencyTests.calculateMedian(sorted),
+        p95: this.latencyTests.calculatePercentile(sorted, 95)
+      };
+    };
+    
+    const idle = describe(samples.idle);
+    const download = describe(samples.download);
+    const upload = describe(samples.upload);
+    
+    if (download && idle) download.increase = Math.max(0, download.median - idle.median);
+    if (upload && idle) upload.increase = Math.max(0, upload.median - idle.median);
+    
+    const increases = [download?.increase, upload?.increase].filter(v => v !== undefined);
+    const worstIncrease = increases.length > 0 ? Math.max(...increases) : null;
+    
+    // Responsiveness in round-trips per minute under working conditions
+    const loaded = describe([...samples.download, ...samples.upload]);
+    const rpm = loaded && loaded.median > 0 ? Math.round(60000 / loaded.median) : null;
+    
+    return {
+      idle,
+      download,
+      upload,
+      worstIncrease,
+      grade: worstIncrease !== null ? this.calculateBufferbloatGrade(worstIncrease) : null,
+      rpm
+    };
+  }
+
+  // Grade added latency under load (thresholds in ms)
+  calculateBufferbloatGrade(increase) {
+    if (increase < 30) return 'A';
+    if (increase < 60) return 'B';
+    if (increase < 200) return 'C';
+    if (increase < 400) return 'D';
+    return 'F';
+  }
+
+  // Summarize gaming latency results for display and scoring
+  summarizeGamingLatency(gamingResults) {
+    if (!gamingResults) return null;
+    
+    const samples = [
+      ...(gamingResults.burstTest?.samples || []),
+      ...(gamingResults.consistencyTest?.samples || []),
+      ...(gamingResults.loadTest?.samples || [])
+    ];
+    
+    if (samples.length === 0) return { ...gamingResults, average: 0, p99: 0, consistency: 0 };
+    
+    const sorted = [...samples].sort((a, b) => a - b);
+    
+    return {
+      ...gamingResults,
+      average: samples.reduce((a, b) => a + b, 0) / samples.length,
+      p99: this.latencyTests.calculatePercentile(sorted, 99),
+      consistency: gamingResults.consistencyTest?.consistencyScore ?? this.latencyTests.calculateConsistencyScore(samples),
+      loadDegradation: gamingResults.loadTest?.degradation || 0
+    };
   }
 
   // Generate final comprehensive results
@@ -232,13 +631,14 @@ export class TestOrchestrator {
       timestamp: Date.now(),
       duration: Math.round(duration),
       version: '3.0',
-      testType: 'comprehensive',
+      testType: this.describeTestPlan(duration),
       
       // Core metrics
       downloadSpeed: this.metrics.speed?.download || null,
       uploadSpeed: this.metrics.speed?.upload || null,
       latency: this.metrics.latency?.overall || null,
       jitter: this.metrics.latency?.jitter || null,
+      packetLoss: this.metrics.latency?.packetLoss || null,
       
       // Security analysis
       security: this.metrics.security || null,
@@ -246,244 +646,51 @@ export class TestOrchestrator {
       // Protocol analysis
       protocols: this.metrics.protocols || null,
       
-      // Performance scoring
-      overallScore: this.calculateOverallScore(),
-      networkGrade: this.calculateNetworkGrade(),
+      // Latency under load (bufferbloat)
+      bufferbloat: this.metrics.bufferbloat || null,
       
-      // Capability assessment
-      capabilities: this.assessNetworkCapabilities(),
+      // Gaming latency analysis (gaming mode)
+      gamingLatency: this.metrics.gaming || null,
       
-      // AI-ready insights
-      insights: this.generateInsights(),
+      // Other activity that may have skewed this run
+      contamination: this.metrics.contamination || null,
       
-      // Recommendations
-      recommendations: this.generateRecommendations()
+      // Per-sample measurements, kept so scores can be recomputed when scoring changes
+      raw: this.collectRawSamples()
     };
 
-    return results;
-  }
-
-  // Calculate overall network performance score
-  calculateOverallScore() {
-    let score = 0;
-    let weight = 0;
-
-    // Speed scoring (40% weight)
-    if (this.metrics.speed?.download) {
-      const dlSpeed = this.metrics.speed.download.overall.average;
-      if (dlSpeed >= 100) score += 40;
-      else if (dlSpeed >= 50) score += 30;
-      else if (dlSpeed >= 25) score += 20;
-      else if (dlSpeed >= 10) score += 10;
-      weight += 40;
-    }
-
-    // Latency scoring (30% weight)
-    if (this.metrics.latency?.overall) {
-      const latency = this.metrics.latency.overall.average;
-      if (latency < 20) score += 30;
-      else if (latency < 50) score += 25;
-      else if (latency < 100) score += 15;
-      else if (latency < 200) score += 5;
-      weight += 30;
-    }
-
-    // Security scoring (20% weight)
-    if (this.metrics.security) {
-      const securityScore = this.calculateSecurityScore();
-      score += (securityScore * 0.2);
-      weight += 20;
-    }
-
-    // Protocol efficiency scoring (10% weight)
-    if (this.metrics.protocols) {
-      const protocolScore = this.calculateProtocolScore();
-      score += (protocolScore * 0.1);
-      weight += 10;
-    }
-
-    return weight > 0 ? Math.round(score / weight * 100) : 0;
-  }
-
-  // Calculate security score
-  calculateSecurityScore() {
-    let score = 50; // Base score
-    const security = this.metrics.security;
-    
-    if (security.vpnStatus === 'Connected') score += 25;
-    if (security.warpStatus === 'Connected') score += 20;
-    if (!security.captivePortal) score += 5;
-    
-    return Math.min(100, score);
-  }
-
-  // Calculate protocol efficiency score
-  calculateProtocolScore() {
-    if (!this.metrics.protocols) return 50;
-    
-    let score = 0;
-    let tests = 0;
-    
-    if (this.metrics.protocols.ipv6?.supported) {
-      score += 30;
-      tests++;
-    }
-    
-    if (this.metrics.protocols.cdn?.averageSpeed > 50) {
-      score += 40;
-      tests++;
-    }
-    
-    if (this.metrics.protocols.dns?.averageTime < 50) {
-      score += 30;
-      tests++;
-    }
-    
-    return tests > 0 ? score / tests : 50;
-  }
-
-  // Calculate network grade
-  calculateNetworkGrade() {
-    const score = this.calculateOverallScore();
-    
-    const grades = [
-      { min: 95, grade: 'A+', description: 'Exceptional Network Performance' },
-      { min: 90, grade: 'A', description: 'Excellent Network Performance' },
-      { min: 85, grade: 'A-', description: 'Very Good Network Performance' },
-      { min: 80, grade: 'B+', description: 'Good Network Performance' },
-      { min: 75, grade: 'B', description: 'Above Average Performance' },
-      { min: 70, grade: 'B-', description: 'Decent Network Performance' },
-      { min: 65, grade: 'C+', description: 'Average Network Performance' },
-      { min: 60, grade: 'C', description: 'Acceptable Network Performance' },
-      { min: 55, grade: 'C-', description: 'Below Average Performance' },
-      { min: 50, grade: 'D+', description: 'Poor Network Performance' },
-      { min: 45, grade: 'D', description: 'Very Poor Performance' },
-      { min: 0, grade: 'F', description: 'Failing Network Performance' }
-    ];
+    // Performance scoring and capability assessment, weighted by the active scoring profile
+    const scored = { ...results, ...scoreResults(results, resolveScoringProfile(this.config.scoring)) };
     
-    return grades.find(g => score >= g.min) || grades[grades.length - 1];
+    // Insights and recommendations from the rule set, which can test capabilities as well as measurements
+    return { ...scored, ...this.recommendationEngine.evaluate(scored) };
   }
 
-  // Assess network capabilities
-  assessNetworkCapabilities() {
-    const dlSpeed = this.metrics.speed?.download?.overall?.average || 0;
-    const ulSpeed = this.metrics.speed?.upload?.overall?.average || 0;
-    const latency = this.metrics.latency?.overall?.average || 100;
-    const jitter = this.metrics.latency?.jitter?.average || 0;
-    
+  // Every latency probe in the order it ran (failed probes have latency null), every throughput sample,
+  // and whether each connection stability probe got through
+  collectRawSamples() {
     return {
-      streaming4K: dlSpeed >= 25 && latency < 50,
-      streaming1080p: dlSpeed >= 5 && latency < 100,
-      gaming: latency < 50 && jitter < 20,
-      competitiveGaming: latency < 20 && jitter < 10,
-      videoConferencing: dlSpeed >= 3 && ulSpeed >= 2 && latency < 150,
-      remoteWork: dlSpeed >= 10 && ulSpeed >= 5 && latency < 100,
-      basicBrowsing: dlSpeed >= 1 && latency < 200,
-      fileSharing: ulSpeed >= 10,
-      cloudBackup: ulSpeed >= 25
+      latency: this.metrics.latency?.probes || [],
+      download: this.metrics.speed?.download?.overall?.speeds || [],
+      upload: this.metrics.speed?.upload?.overall?.speeds || [],
+      stability: (this.metrics.protocols?.stability?.tests || []).map(test => ({
+        timestamp: test.timestamp,
+        latency: test.latency,
+        ok: test.success
+      }))
     };
   }
 
-  // Generate AI-ready insights
-  generateInsights() {
-    const insights = [];
-    const dlSpeed = this.metrics.speed?.download?.overall?.average || 0;
-    const ulSpeed = this.metrics.speed?.upload?.overall?.average || 0;
-    const latency = this.metrics.latency?.overall?.average || 100;
-    const jitter = this.metrics.latency?.jitter?.average || 0;
-    
-    // Speed insights
-    if (dlSpeed >= 100) {
-      insights.push('🚀 Excellent download speed - perfect for any online activity!');
-    } else if (dlSpeed < 10) {
-      insights.push('⚠️ Download speed may impact HD streaming and large downloads.');
-    }
-    
-    if (ulSpeed >= 50) {
-      insights.push('📤 Outstanding upload speed - ideal for content creators!');
-    } else if (ulSpeed < 5) {
-      insights.push('📤 Upload speed may limit video calls and cloud backups.');
-    }
-    
-    // Latency insights
-    if (latency < 20) {
-      insights.push('⚡ Ultra-low latency - excellent for competitive gaming!');
-    } else if (latency > 100) {
-      insights.push('⏱️ Higher latency detected - may affect real-time applications.');
-    }
-    
-    // Jitter insights
-    if (jitter > 30) {
-      insights.push('📊 Network jitter detected - may impact voice/video quality.');
-    }
-    
-    // Security insights
-    if (this.metrics.security?.vpnStatus === 'Connected') {
-      insights.push('🛡️ VPN detected - your connection is secured and private.');
-    }
-    
-    if (this.metrics.security?.captivePortal) {
-      insights.push('🌐 Captive portal detected - you may need to complete login.');
-    }
-    
-    return insights;
-  }
-
-  // Generate actionable recommendations
-  generateRecommendations() {
-    const recommendations = [];
-    const dlSpeed = this.metrics.speed?.download?.overall?.average || 0;
-    const ulSpeed = this.metrics.speed?.upload?.overall?.average || 0;
-    const latency = this.metrics.latency?.overall?.average || 100;
-    
-    if (dlSpeed < 25) {
-      recommendations.push({
-        type: 'speed',
-        priority: 'high',
-        title: 'Consider Internet Upgrade',
-        description: 'Your current download speed may limit HD streaming and large downloads.',
-        action: 'Contact your ISP about faster plans'
-      });
-    }
-    
-    if (latency > 100) {
-      recommendations.push({
-        type: 'latency',
-        priority: 'medium',
-        title: 'Optimize Network Path',
-        description: 'High latency may affect real-time applications.',
-        action: 'Try connecting via ethernet or moving closer to router'
-      });
-    }
-    
-    if (ulSpeed < 5) {
-      recommendations.push({
-        type: 'upload',
-        priority: 'medium',
-        title: 'Upload Speed Limitation',
-        description: 'Low upload speeds may impact video calls and cloud syncing.',
-        action: 'Consider upgrading your internet plan'
-      });
-    }
-    
-    if (!this.metrics.security?.vpnStatus || this.metrics.security.vpnStatus === 'Disconnected') {
-      recommendations.push({
-        type: 'security',
-        priority: 'low',
-        title: 'Consider VPN Protection',
-        description: 'A VPN can enhance your privacy and security online.',
-        action: 'Enable VPN or WARP for additional protection'
-      });
-    }
-    
-    return recommendations;
-  }
-
   // Get current test results
   getResults() {
     return this.metrics;
   }
 
+  // Whether an analysis is currently in progress
+  isRunning() {
+    return !['idle', 'complete', 'stopped', 'error'].includes(this.currentPhase);
+  }
+
   // Get test configuration
   getConfig() {
     return this.config;
@@ -495,6 +702,7 @@ export class TestOrchestrator {
     this.latencyTests.stop();
     this.securityTests.stop();
     this.protocolTests.stop();
+    this.offscreenRunner.cancelAll();
     
     this.currentPhase = 'stopped';
     this.updateProgress('stopped', 0, 'Tests stopped by user');
@@ -0,0 +1,289 @@
+// ⏰ TEST SCHEDULER - Recurring background tests through chrome.alarms
+// One one-shot alarm per schedule, re-armed after every run so times of day stay exact
+
+import { Storage } from '../shared/storage.js';
+
+const ALARM_PREFIX = 'scheduledTest:';
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export class TestScheduler {
+  constructor({ runTest, isBusy = () => false }) {
+    // runTest(mode, schedule) runs the analysis and resolves with the saved history record
+    this.runTest = runTest;
+    this.isBusy = isBusy;
+    this.running = false;
+
+    this.config = {
+      lateThreshold: 2 * MINUTE,   // An alarm firing later than this counts as a missed run
+      maxCatchUpAge: DAY,          // Missed runs older than this are always skipped
+      busyRetryDelay: 5 * MINUTE,  // Retry delay when another test is running
+      idleRetryDelay: 5 * MINUTE,  // Retry delay while the user is active
+      maxIdleWait: 60 * MINUTE,    // Run anyway after waiting this long for the machine to go idle
+      idleDetectionSeconds: 60,
+      minIntervalMinutes: 5
+    };
+  }
+
+  static isScheduleAlarm(name) {
+    return name.startsWith(ALARM_PREFIX);
+  }
+
+  getAlarmName(id) {
+    return `${ALARM_PREFIX}${id}`;
+  }
+
+  getDefaultSchedule() {
+    return {
+      name: 'Scheduled test',
+      enabled: true,
+      mode: 'quick',
+      type: 'interval',     // 'interval' or 'times'
+      intervalMinutes: 60,
+      times: ['09:00'],     // Local HH:MM, used when type is 'times'
+      weekdays: [],         // 0 = Sunday; empty means every day
+      catchUp: 'once',      // 'once' runs a single catch-up after missed runs, 'skip' waits for the next slot
+      waitForIdle: true     // Hold the run until the machine is idle so streaming or downloads don't skew it
+    };
+  }
+
+  async getSchedules() {
+    return Storage.loadSchedules();
+  }
+
+  // Validate and store a schedule, then arm its alarm
+  async saveSchedule(schedule) {
+    const normalized = this.normalizeSchedule(schedule);
+    const saved = await Storage.saveSchedule({
+      ...normalized,
+      state: { ...schedule.state, nextRun: null }
+    });
+
+    return this.arm(saved, Date.now());
+  }
+
+  async removeSchedule(id) {
+    await chrome.alarms.clear(this.getAlarmName(id));
+    return Storage.deleteSchedule(id);
+  }
+
+  normalizeSchedule(schedule) {
+    const normalized = { ...this.getDefaultSchedule(), ...schedule };
+
+    if (!['quick', 'standard', 'thorough', 'gaming', 'custom'].includes(normalized.mode)) {
+      throw new Error(`Unknown test mode: ${normalized.mode}`);
+    }
+
+    if (normalized.type === 'interval') {
+      normalized.intervalMinutes = Number(normalized.intervalMinutes);
+      if (!(normalized.intervalMinutes >= this.config.minIntervalMinutes)) {
+        throw new Error(`Interval must be at least ${this.config.minIntervalMinutes} minutes`);
+      }
+    } else if (normalized.type === 'times') {
+      normalized.times = [...new Set(normalized.times)].filter(t => /^([01]\d|2[0-3]):[0-5]\d$/.test(t)).sort();
+      if (normalized.times.length === 0) throw new Error('At least one time of day (HH:MM) is required');
+    } else {
+      throw new Error(`Unknown schedule type: ${normalized.type}`);
+    }
+
+    normalized.weekdays = [...new Set(normalized.weekdays.map(Number))]
+      .filter(d => Number.isInteger(d) && d >= 0 && d <= 6)
+      .sort();
+
+    if (!['once', 'skip'].includes(normalized.catchUp)) normalized.catchUp = 'once';
+    normalized.waitForIdle = normalized.waitForIdle !== false;
+
+    return normalized;
+  }
+
+  isAllowedDay(schedule, date) {
+    return schedule.weekdays.length === 0 || schedule.weekdays.includes(date.getDay());
+  }
+
+  // First run time strictly after `after` (ms), in local time
+  computeNextRun(schedule, after) {
+    if (schedule.type === 'interval') {
+      const next = new Date(after + schedule.intervalMinutes * MINUTE);
+
+      // Outside the chosen weekdays, start at midnight of the next allowed day
+      for (let i = 0; i < 7 && !this.isAllowedDay(schedule, next); i++) {
+        next.setDate(next.getDate() + 1);
+        next.setHours(0, 0, 0, 0);
+      }
+      return next.getTime();
+    }
+
+    const day = new Date(after);
+    day.setHours(0, 0, 0, 0);
+
+    for (let offset = 0; offset <= 7; offset++) {
+      if (this.isAllowedDay(schedule, day)) {
+        for (const time of schedule.times) {
+          const [hours, minutes] = time.split(':').map(Number);
+          const candidate = new Date(day);
+          candidate.setHours(hours, minutes, 0, 0);
+          if (candidate.getTime() > after) return candidate.getTime();
+        }
+      }
+      day.setDate(day.getDate() + 1);
+    }
+
+    return null;
+  }
+
+  // Create the alarm for the schedule's next run and remember when it is due
+  async arm(schedule, after) {
+    const alarmName = this.getAlarmName(schedule.id);
+    await chrome.alarms.clear(alarmName);
+
+    const nextRun = schedule.enabled ? this.computeNextRun(schedule, after) : null;
+    if (nextRun) {
+      chrome.alarms.create(alarmName, { when: nextRun });
+    }
+
+    // Back on the regular slots - any deferred run is dropped
+    return Storage.saveSchedule({ ...schedule, state: { ...schedule.state, nextRun, pendingRun: null, deferredSince: null } });
+  }
+
+  // Re-create alarms on startup and apply the catch-up policy to runs missed while the browser was closed
+  async syncAlarms() {
+    const schedules = await this.getSchedules();
+    const ids = new Set(schedules.map(s => s.id));
+    const now = Date.now();
+
+    // Drop alarms whose schedule no longer exists
+    const alarms = await chrome.alarms.getAll();
+    await Promise.all(alarms
+      .filter(a => TestScheduler.isScheduleAlarm(a.name) && !ids.has(a.name.slice(ALARM_PREFIX.length)))
+      .map(a => chrome.alarms.clear(a.name)));
+
+    for (const schedule of schedules) {
+      const alarm = await chrome.alarms.get(this.getAlarmName(schedule.id));
+      const nextRun = schedule.state?.nextRun;
+
+      if (!schedule.enabled) {
+        if (alarm || nextRun) await this.arm(schedule, now);
+      } else if (nextRun && nextRun < now - this.config.lateThreshold) {
+        // Due while the browser was closed - Chrome doesn't always keep or replay the alarm
+        await chrome.alarms.clear(this.getAlarmName(schedule.id));
+        await this.handleDue(schedule, nextRun);
+      } else if (!alarm && schedule.state?.pendingRun) {
+        // A deferred run keeps its retry time instead of moving to the next slot
+        chrome.alarms.create(this.getAlarmName(schedule.id), { when: Math.max(nextRun, now) });
+      } else if (!alarm) {
+        await this.arm(schedule, nextRun && nextRun > now ? nextRun - 1 : now);
+      }
+    }
+  }
+
+  async handleAlarm(alarm) {
+    const id = alarm.name.slice(ALARM_PREFIX.length);
+    const schedule = (await this.getSchedules()).find(s => s.id === id);
+
+    if (!schedule || !schedule.enabled) {
+      await chrome.alarms.clear(alarm.name);
+      return;
+    }
+
+    await this.handleDue(schedule, alarm.scheduledTime);
+  }
+
+  // Run a due schedule, or skip it according to the catch-up policy
+  async handleDue(schedule, dueTime) {
+    // A deferred run fires after its slot - resume it with the dueTime and catch-up details it started with
+    const pendingRun = schedule.state?.pendingRun;
+    if (pendingRun) return this.execute(schedule, { ...pendingRun });
+
+    const now = Date.now();
+    const late = now - dueTime > this.config.lateThreshold;
+
+    if (late) {
+      // Everything that was missed collapses into at most one run
+      const { missedRuns, lastMissed } = this.countMissedRuns(schedule, dueTime, now);
+      const tooOld = now - lastMissed > this.config.maxCatchUpAge;
+
+      if (schedule.catchUp === 'skip' || tooOld) {
+        console.log(`⏰ Skipping ${missedRuns} missed run(s) of "${schedule.name}" (${tooOld ? 'too old' : 'skip policy'})`);
+        return this.arm({ ...schedule, state: { ...schedule.state, lastSkipped: now, missedRuns } }, now);
+      }
+
+      console.log(`⏰ Catching up "${schedule.name}" after ${missedRuns} missed run(s)`);
+      return this.execute(schedule, { dueTime, catchUp: true, missedRuns });
+    }
+
+    return this.execute(schedule, { dueTime, catchUp: false, missedRuns: 0 });
+  }
+
+  // Number of slots between the first missed run and now, plus the most recent one
+  countMissedRuns(schedule, dueTime, now) {
+    let missedRuns = 1;
+    let lastMissed = dueTime;
+    let next = this.computeNextRun(schedule, dueTime);
+
+    while (next && next <= now && missedRuns < 1000) {
+      missedRuns++;
+      lastMissed = next;
+      next = this.computeNextRun(schedule, next);
+    }
+
+    return { missedRuns, lastMissed };
+  }
+
+  // Push the schedule's alarm back without touching its regular slots, keeping the run to resume
+  async defer(schedule, run, delay, state = {}) {
+    const when = Date.now() + delay;
+    chrome.alarms.create(this.getAlarmName(schedule.id), { when });
+    return Storage.saveSchedule({ ...schedule, state: { ...schedule.state, ...state, pendingRun: run, nextRun: when } });
+  }
+
+  // 'locked' counts as idle - nobody is using the connection
+  async isMachineIdle() {
+    try {
+      return (await chrome.idle.queryState(this.config.idleDetectionSeconds)) !== 'active';
+    } catch (error) {
+      console.warn('Idle state unavailable:', error.message);
+      return true;
+    }
+  }
+
+  async execute(schedule, run) {
+    if (this.running || this.isBusy()) {
+      console.log(`⏰ Test already running, retrying "${schedule.name}" later`);
+      return this.defer(schedule, run, this.config.busyRetryDelay);
+    }
+
+    const deferredSince = schedule.state?.deferredSince || Date.now();
+    if (schedule.waitForIdle && !(await this.isMachineIdle())) {
+      if (Date.now() - deferredSince < this.config.maxIdleWait) {
+        console.log(`⏰ User active, holding "${schedule.name}" until idle`);
+        return this.defer(schedule, run, this.config.idleRetryDelay, { deferredSince });
+      }
+      console.log(`⏰ Still active after ${Math.round(this.config.maxIdleWait / MINUTE)} min, running "${schedule.name}" anyway`);
+    }
+    // Time spent holding for idle, separate from dueTime which stays the slot the run belongs to
+    run.idleWait = schedule.state?.deferredSince ? Date.now() - schedule.state.deferredSince : 0;
+
+    this.running = true;
+    const state = { ...schedule.state, lastRun: Date.now(), lastCatchUp: run.catchUp, missedRuns: run.missedRuns, deferredSince: null };
+
+    try {
+      console.log(`⏰ Running scheduled ${schedule.mode} test "${schedule.name}"`);
+      const record = await this.runTest(schedule.mode, { ...schedule, run });
+      state.lastStatus = 'success';
+      state.lastRecordId = record?.id || null;
+      state.lastError = null;
+    } catch (error) {
+      console.error(`❌ Scheduled test "${schedule.name}" failed:`, error);
+      state.lastStatus = 'error';
+      state.lastError = error.message;
+    } finally {
+      this.running = false;
+    }
+
+    // Re-read so edits made while the test ran aren't overwritten
+    const current = (await this.getSchedules()).find(s => s.id === schedule.id);
+    if (!current) return null;
+
+    return this.arm({ ...current, state: { ...current.state, ...state } }, Date.now());
+  }
+}
@@ -1,11 +1,32 @@
 // 📡 CONNECTIVITY TESTS MODULE - ENHANCED
 // Lightweight connectivity testing, badge management, uptime tracking, and ISP detection
 
+import { ConnectivityLog } from '../connectivity-log.js';
+import { buildAvailabilityReport } from '../availability-report.js';
+import { Utils } from '../../shared/utils.js';
+import { ResultFields } from '../../shared/result-schema.js';
+
+// 🏷️ BADGE STATES - Color and text per connectivity state
+const BADGE_STATES = {
+  online: { color: '#50c878', text: '✓', status: 'Online' },
+  degraded: { color: '#ffa500', text: '!', status: 'Degraded' },
+  'dns-failure': { color: '#8e44ad', text: 'DNS', status: 'DNS failure' },
+  'captive-portal': { color: '#4a90e2', text: 'AUTH', status: 'Captive portal' },
+  offline: { color: '#ff0000', text: '✗', status: 'Offline' }
+};
+
 export class ConnectivityTests {
+  static ALARM_NAME = 'connectivityCheck';
+  static CHECK_PERIOD_MINUTES = 0.5; // Chrome's minimum alarm period
+
   constructor() {
     this.lastConnectivityCheck = null;
     this.connectivityHistory = [];
     this.monitoringInterval = null;
+    this.checkCallback = null;
+    this.lastTest = null;      // Summary of the latest saved test, for the badge and tooltip
+    this.testProgress = null;  // 0-100 while a test is running
+    this.networkProfile = null; // Id of the network profile samples and outages belong to
     
     // 🕐 UPTIME TRACKING
     this.connectionStartTime = null;
@@ -16,71 +37,267 @@ export class ConnectivityTests {
     // 📊 NETWORK INFO CACHE
     this.cachedNetworkInfo = null;
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+    
+    // 🛰️ PROBE SET - Offline needs a quorum of internet probes to fail
+    this.config = {
+      probes: {
+        google: true,
+        cloudflare: true,
+        microsoft: true
+      },
+      customProbeUrl: null,
+      gatewayUrl: null,        // e.g. http://192.168.1.1/ - tells a LAN problem from an ISP one
+      offlineQuorum: 2,        // Failed internet probes needed to call the network offline
+      probeTimeout: 1500,
+      degradedLatency: 500,    // Median probe latency above this counts as degraded
+      
+      // 🏷️ BADGE - What the toolbar badge shows while online
+      badge: {
+        mode: 'status',                    // 'status', 'latency', 'download' or 'grade'
+        latencyThresholds: [20, 50, 100],  // ms - upper bounds of excellent / good / fair
+        speedThresholds: [100, 50, 25]     // Mbps - lower bounds of excellent / good / fair
+      }
+    };
+    
+    // 📜 PERSISTENT LOG
+    this.log = new ConnectivityLog();
+    this.restoring = this.restoreState();
   }
 
-  // 🚀 STEALTH CONNECTIVITY CHECK - Ultra lightweight for badge updates
-  async stealthConnectivityCheck() {
+  // Update configuration
+  updateConfig(newConfig) {
+    this.config = {
+      ...this.config,
+      ...newConfig,
+      badge: { ...this.config.badge, ...newConfig.badge }
+    };
+    if (this.lastConnectivityCheck) this.renderBadge();
+  }
+
+  // Called with every check, including the open outage if there is one
+  setCheckCallback(callback) {
+    this.checkCallback = callback;
+  }
+
+  setNetworkProfile(id) {
+    this.networkProfile = id;
+  }
+
+  // 🛰️ INTERNET PROBES - Each must answer with the expected response to count as reachable
+  getInternetProbes() {
+    const probes = [];
+    
+    if (this.config.probes.google) {
+      probes.push({ name: 'Google', url: 'https://www.google.com/generate_204', expect: { status: 204 } });
+    }
+    if (this.config.probes.cloudflare) {
+      probes.push({ name: 'Cloudflare', url: 'https://cp.cloudflare.com/generate_204', expect: { status: 204 } });
+    }
+    if (this.config.probes.microsoft) {
+      probes.push({ name: 'Microsoft', url: 'http://www.msftconnecttest.com/connecttest.txt', expect: { text: 'Microsoft Connect Test' } });
+    }
+    if (this.config.customProbeUrl) {
+      probes.push({ name: 'Custom', url: this.config.customProbeUrl, expect: { reachable: true } });
+    }
+    
+    return probes;
+  }
+
+  // Probe a URL; resolves with { name, url, ok, latency, error } and never throws
+  async runProbe({ name, url, expect }, method = 'GET') {
     const start = performance.now();
+    // Reachability probes may target hosts without a host permission - an opaque answer is enough
+    const mode = expect.reachable ? 'no-cors' : 'cors';
+    
     try {
-      await fetch('https://www.google.com/generate_204', {
-        method: 'HEAD',
-        cache: 'no-cache',
-        signal: AbortSignal.timeout(1000) // 1 second timeout
+      const response = await fetch(url, {
+        method,
+        cache: 'no-store',
+        // Cross-origin no-cors requests fail outright unless redirects are followed;
+        // cors probes stop at the redirect so a portal shows up as opaqueredirect
+        redirect: mode === 'no-cors' ? 'follow' : 'manual',
+        mode,
+        signal: AbortSignal.timeout(this.config.probeTimeout)
       });
       const latency = performance.now() - start;
       
-      const currentTime = Date.now();
-      const wasConnected = this.lastConnectivityCheck?.connected || false;
-      
-      this.lastConnectivityCheck = { 
-        latency, 
-        timestamp: currentTime, 
-        connected: true 
-      };
-
-      // 🕐 TRACK CONNECTION START/RECOVERY
-      if (!wasConnected) {
-        // Connection restored or first time
-        if (this.connectionStartTime === null) {
-          // First connection
-          this.connectionStartTime = currentTime;
-          console.log('📶 Initial connection established');
-        } else {
-          // Connection recovered from drop
-          this.connectionDrops++;
-          this.lastDropTime = currentTime;
-          this.connectionStartTime = currentTime; // Reset uptime counter
-          console.log(`📶 Connection recovered (Drop #${this.connectionDrops})`);
-        }
+      let error = null;
+      if (response.type === 'opaqueredirect') {
+        error = 'Redirected';
+      } else if (expect.status && response.status !== expect.status) {
+        error = `HTTP ${response.status}, expected ${expect.status}`;
+      } else if (expect.text && !(await response.text()).includes(expect.text)) {
+        error = 'Unexpected response body';
       }
       
-      return latency;
+      return { name, url, ok: !error, latency: Math.round(latency), error, redirected: response.type === 'opaqueredirect' };
     } catch (error) {
-      const wasConnected = this.lastConnectivityCheck?.connected || false;
-      
-      this.lastConnectivityCheck = { 
-        latency: null, 
-        timestamp: Date.now(), 
-        connected: false 
+      return {
+        name,
+        url,
+        ok: false,
+        latency: null,
+        error: error.name === 'TimeoutError' ? `Timed out after ${this.config.probeTimeout}ms` : error.message
       };
+    }
+  }
 
-      if (wasConnected) {
-        console.log('📶 Connection dropped');
+  // 🧭 CLASSIFY - Run the probe set and decide between online, degraded, DNS failure, captive portal and offline
+  async checkConnectivityState() {
+    const internetProbes = this.getInternetProbes();
+    const quorum = Math.max(1, Math.min(this.config.offlineQuorum, internetProbes.length));
+    
+    // An IP-literal probe needs no DNS; the gateway is only reported, never counted
+    const [internet, ipProbe, gateway] = await Promise.all([
+      Promise.all(internetProbes.map(probe => this.runProbe(probe, probe.expect.text ? 'GET' : 'HEAD'))),
+      this.runProbe({ name: 'Cloudflare IP', url: 'https://1.1.1.1/cdn-cgi/trace', expect: { status: 200 } }, 'HEAD'),
+      this.config.gatewayUrl
+        ? this.runProbe({ name: 'Gateway', url: this.config.gatewayUrl, expect: { reachable: true } }, 'HEAD')
+        : Promise.resolve(null)
+    ]);
+    
+    const failures = internet.filter(p => !p.ok);
+    const latencies = internet.filter(p => p.ok).map(p => p.latency).sort((a, b) => a - b);
+    const latency = latencies.length > 0 ? latencies[Math.floor(latencies.length / 2)] : null;
+    
+    // Only look for a captive portal once something is failing
+    const captive = failures.length > 0 ? await this.checkCaptivePortalProbe() : false;
+    
+    let state = 'online';
+    if (failures.length >= quorum) {
+      state = captive ? 'captive-portal' : ipProbe.ok ? 'dns-failure' : 'offline';
+    } else if (captive) {
+      state = 'captive-portal';
+    } else if (failures.length > 0 || (latency !== null && latency > this.config.degradedLatency)) {
+      state = 'degraded';
+    }
+    
+    return {
+      state,
+      latency,
+      probes: [...internet, ipProbe, ...(gateway ? [gateway] : [])],
+      failures,
+      quorum,
+      lanReachable: gateway ? gateway.ok : null
+    };
+  }
+
+  // Plain-HTTP probe that portals intercept - anything but a clean 204 means a login page is in the way
+  async checkCaptivePortalProbe() {
+    const result = await this.runProbe({ name: 'Portal check', url: 'http://clients3.google.com/generate_204', expect: { status: 204 } });
+    return !result.ok && result.latency !== null;
+  }
+
+  // 🚀 STEALTH CONNECTIVITY CHECK - Lightweight multi-probe check for badge updates
+  async stealthConnectivityCheck() {
+    await this.restoring;
+    
+    const check = await this.checkConnectivityState();
+    const currentTime = Date.now();
+    const firstCheck = !this.lastConnectivityCheck;
+    const wasConnected = this.lastConnectivityCheck?.connected || false;
+    const connected = check.state === 'online' || check.state === 'degraded';
+    const latency = connected ? check.latency : null;
+    
+    this.lastConnectivityCheck = {
+      latency,
+      timestamp: currentTime,
+      connected,
+      state: check.state,
+      failures: check.failures.map(p => p.name),
+      lanReachable: check.lanReachable
+    };
+    
+    this.connectivityHistory.push(this.lastConnectivityCheck);
+    if (this.connectivityHistory.length > 100) this.connectivityHistory.shift();
+    
+    // 📜 PERSIST - Samples and outages survive service worker restarts
+    const firstFailure = check.failures[0];
+    await this.log.recordSample({
+      timestamp: currentTime,
+      latency,
+      connected,
+      state: check.state,
+      probe: firstFailure?.url || null,
+      error: firstFailure?.error || null,
+      failedProbes: check.failures.map(({ name, url, error }) => ({ name, url, error })),
+      profile: this.networkProfile
+    });
+    
+    // 🕐 TRACK CONNECTION START/RECOVERY
+    if (connected && !wasConnected) {
+      if (firstCheck) {
+        console.log('📶 Initial connection established');
+      } else {
+        console.log(`📶 Connection recovered (Drop #${this.connectionDrops + 1})`);
       }
-      
-      return null; // offline or blocked
+    } else if (!connected && wasConnected) {
+      console.log(`📶 Connection dropped (${check.state}, ${check.failures.length}/${check.quorum} probes failed)`);
+    }
+    
+    const { state } = await this.log.load();
+    this.applyLogState(state);
+    
+    if (this.checkCallback) {
+      await this.checkCallback({ ...this.lastConnectivityCheck, outage: state.openOutage });
+    }
+    
+    return latency; // null when offline, captive or DNS is broken
+  }
+
+  // 📜 RESTORE - Pick up uptime and drop counts from the persistent log
+  async restoreState() {
+    const log = await this.log.load();
+    this.applyLogState(log.state);
+    
+    const lastSample = log.samples[log.samples.length - 1];
+    if (lastSample) {
+      this.lastConnectivityCheck = {
+        ...lastSample,
+        state: lastSample.state || (lastSample.connected ? 'online' : 'offline')
+      };
+      this.connectivityHistory = log.samples.slice(-100);
     }
   }
 
+  applyLogState(state) {
+    this.connectionStartTime = state.online ? state.onlineSince : null;
+    this.connectionDrops = state.drops;
+    this.lastDropTime = state.lastDropTime;
+  }
+
+  // 📜 OUTAGE LOG - For popup and dashboard
+  async getConnectivityLog(options) {
+    await this.restoring;
+    return this.log.getLog(options);
+  }
+
+  // 📈 AVAILABILITY REPORT - 24h / 7d / 30d uptime, MTBF and MTTR, optionally for one network profile
+  async getAvailabilityReport({ profile = null } = {}) {
+    await this.restoring;
+    const log = await this.log.load();
+    if (!profile) return buildAvailabilityReport(log);
+    
+    const openOutage = log.state.openOutage?.profile === profile ? log.state.openOutage : null;
+    return buildAvailabilityReport({
+      ...log,
+      coverage: log.coverage.filter(span => span.profile === profile),
+      outages: log.outages.filter(outage => outage.profile === profile),
+      state: { ...log.state, openOutage }
+    });
+  }
+
   // ⚡ QUICK CONNECTIVITY CHECK - For popup instant tests
   async runQuickConnectivityCheck() {
     const latency = await this.stealthConnectivityCheck();
+    const state = this.lastConnectivityCheck.state;
     
     if (latency === null) {
       return {
         connected: false,
         latency: null,
-        status: 'Offline',
+        state,
+        status: BADGE_STATES[state].status,
         uptime: this.getFormattedUptime(),
         timestamp: Date.now()
       };
@@ -93,7 +310,8 @@ export class ConnectivityTests {
     return {
       connected: true,
       latency: Math.round(latency),
-      status: status,
+      state,
+      status: state === 'degraded' ? BADGE_STATES.degraded.status : status,
       uptime: this.getFormattedUptime(),
       timestamp: Date.now()
     };
@@ -143,6 +361,10 @@ export class ConnectivityTests {
   // 🎨 GET WIFI ICON COLOR - Based on security status
   async getWiFiIconColor(testOrchestrator) {
     try {
+      const state = this.lastConnectivityCheck?.state;
+      if (state && state !== 'online') {
+        return BADGE_STATES[state].color;
+      }
       if (!this.lastConnectivityCheck?.connected) {
         return '#ff0000'; // Red - Disconnected
       }
@@ -155,37 +377,108 @@ export class ConnectivityTests {
   }
   }
 
-  // 🏷️ SIMPLE BADGE UPDATE - Green = connected, Red = disconnected
+  // 🏷️ BADGE UPDATE - Check, then redraw badge and tooltip
   async updateBadge() {
-  console.log('🏷️ Updating badge...');
-  const latency = await this.stealthConnectivityCheck();
-  
-  if (latency === null) {
-    console.log('🔴 Setting RED badge - offline');
-    chrome.action.setBadgeBackgroundColor({ color: '#ff0000' });
-    chrome.action.setBadgeText({ text: '✗' }); // ADD VISIBLE TEXT
-  } else {
-    console.log('🟢 Setting GREEN badge - online', latency + 'ms');
-    chrome.action.setBadgeBackgroundColor({ color: '#50c878' });
-    chrome.action.setBadgeText({ text: '✓' }); // ADD VISIBLE TEXT
+    await this.stealthConnectivityCheck();
+    this.renderBadge();
+  }
+
+  // Remember the latest test for the download and grade badge modes; null forgets it
+  setLastTest(record) {
+    this.lastTest = record?.results ? {
+      timestamp: record.timestamp,
+      mode: record.mode,
+      download: ResultFields.download(record),
+      latency: ResultFields.latency(record),
+      grade: ResultFields.grade(record),
+      ip: ResultFields.ip(record),
+      isp: ResultFields.provider(record)
+    } : null;
+    if (this.lastConnectivityCheck) this.renderBadge();
   }
-}
 
-  // 🔄 START MONITORING - Runs every 3 seconds
+  // Show test progress on the badge; null when the test ends
+  setTestProgress(percent) {
+    this.testProgress = percent;
+    if (this.lastConnectivityCheck) this.renderBadge();
+  }
+
+  // Badge text and color - test progress first, then problems, then the chosen mode
+  getBadge() {
+    const { state, latency } = this.lastConnectivityCheck;
+    const { mode, latencyThresholds, speedThresholds } = this.config.badge;
+    
+    if (this.testProgress !== null) {
+      return { color: '#4a90e2', text: `${Math.round(this.testProgress)}%` };
+    }
+    if (state !== 'online' && state !== 'degraded') {
+      return BADGE_STATES[state];
+    }
+    
+    if (mode === 'latency' && latency !== null) {
+      return {
+        color: Utils.getLatencyColor(latency, latencyThresholds),
+        text: latency >= 1000 ? '1s+' : String(Math.round(latency))
+      };
+    }
+    if (mode === 'download' && this.lastTest?.download !== null && this.lastTest?.download !== undefined) {
+      const download = this.lastTest.download;
+      return {
+        color: Utils.getSpeedColor(download, speedThresholds),
+        text: download >= 1000 ? `${(download / 1000).toFixed(1)}G` : String(Math.round(download))
+      };
+    }
+    if (mode === 'grade' && this.lastTest?.grade) {
+      return { color: Utils.getGradeColor(this.lastTest.grade), text: this.lastTest.grade };
+    }
+    
+    return BADGE_STATES[state];
+  }
+
+  // 💬 TOOLTIP - ISP, IP, uptime and the last test at a glance
+  getTooltip() {
+    const { state, latency } = this.lastConnectivityCheck;
+    const info = this.cachedNetworkInfo || {};
+    const isp = info.isp || this.lastTest?.isp;
+    const ip = info.ip || this.lastTest?.ip;
+    
+    const lines = [
+      `Wi-Fi Kickstart – ${BADGE_STATES[state].status}${latency !== null ? ` (${Math.round(latency)}ms)` : ''}`
+    ];
+    if (this.testProgress !== null) lines.push(`Test running: ${Math.round(this.testProgress)}%`);
+    if (isp) lines.push(`ISP: ${isp}`);
+    if (ip) lines.push(`IP: ${ip}`);
+    lines.push(`Uptime: ${this.getFormattedUptime()}`);
+    
+    if (this.lastTest) {
+      const parts = [
+        this.lastTest.download !== null ? `↓ ${Utils.formatSpeed(this.lastTest.download)}` : null,
+        this.lastTest.latency !== null ? `${Math.round(this.lastTest.latency)}ms` : null,
+        this.lastTest.grade
+      ].filter(Boolean);
+      lines.push(`Last test: ${parts.join(' · ') || this.lastTest.mode} (${Utils.formatTimestamp(this.lastTest.timestamp, 'relative')})`);
+    }
+    
+    return lines.join('\n');
+  }
+
+  renderBadge() {
+    const badge = this.getBadge();
+    chrome.action.setBadgeBackgroundColor({ color: badge.color });
+    chrome.action.setBadgeText({ text: badge.text });
+    chrome.action.setTitle({ title: this.getTooltip() });
+  }
+
+  // 🔄 START MONITORING - Runs every 30 seconds
+  // The alarm listener lives at the top level of background.js so it survives service worker restarts
   startNetworkMonitoring() {
     console.log('📡 Starting connectivity monitoring...');
     
     // Initial check
     this.updateBadge();
     
-    // Check every 3 seconds using alarm (efficient)
-    chrome.alarms.create('connectivityCheck', { periodInMinutes: 0.05 }); // 3 seconds
-    
-    chrome.alarms.onAlarm.addListener((alarm) => {
-      if (alarm.name === 'connectivityCheck') {
-        this.updateBadge();
-      }
-    });
+    // Chrome won't fire alarms more often than every 30 seconds
+    chrome.alarms.create(ConnectivityTests.ALARM_NAME, { periodInMinutes: ConnectivityTests.CHECK_PERIOD_MINUTES });
   }
 
   // 🛡️ CAPTIVE PORTAL CHECK
@@ -219,6 +512,7 @@ export class ConnectivityTests {
           latency: quickCheck.latency,
           connected: quickCheck.connected,
           status: quickCheck.status,
+          state: quickCheck.state,
           uptime: quickCheck.uptime,
           timestamp: Date.now()
         };
@@ -266,6 +560,7 @@ export class ConnectivityTests {
         latency: quickCheck.latency,
         connected: quickCheck.connected,
         status: quickCheck.status,
+        state: quickCheck.state,
         uptime: quickCheck.uptime,
         drops: this.connectionDrops,
         timestamp: Date.now()
@@ -285,7 +580,7 @@ export class ConnectivityTests {
 
   // 🛑 STOP MONITORING
   stopNetworkMonitoring() {
-    chrome.alarms.clear('connectivityCheck');
+    chrome.alarms.clear(ConnectivityTests.ALARM_NAME);
     if (this.monitoringInterval) {
       clearInterval(this.monitoringInterval);
       this.monitoringInterval = null;
@@ -293,10 +588,9 @@ export class ConnectivityTests {
   }
 
   // 🔄 RESET UPTIME - For testing or manual reset
-  resetUptime() {
-    this.connectionStartTime = Date.now();
-    this.connectionDrops = 0;
-    this.lastDropTime = null;
+  async resetUptime() {
+    await this.restoring;
+    this.applyLogState(await this.log.resetCounters());
     console.log('📶 Uptime counter reset');
   }
 
@@ -0,0 +1,233 @@
+// 🧭 DOH BENCHMARK MODULE - DNS-over-HTTPS Resolver Benchmark
+// Times RFC 8484 wireformat / JSON queries against public and custom resolvers
+
+// Uncached names go under a zone that isn't DNSSEC-signed - in a signed zone, resolvers answer random
+// labels from cached NSEC ranges (RFC 8198 aggressive negative caching) without a recursive lookup
+const UNSIGNED_ZONE = 'google.com';
+
+export class DoHBenchmark {
+  // transport(url, init) stands in for fetch - tests pass a local DoH stand-in that answers without the network
+  constructor({ transport = null } = {}) {
+    this.results = {};
+    this.setTransport(transport);
+
+    this.config = {
+      resolvers: [
+        { name: 'Cloudflare', url: 'https://cloudflare-dns.com/dns-query', format: 'wire' },
+        { name: 'Google', url: 'https://dns.google/dns-query', format: 'wire' },
+        { name: 'Quad9', url: 'https://dns.quad9.net/dns-query', format: 'wire' }
+      ],
+      customResolver: null,
+      cachedNames: ['google.com', 'youtube.com', 'facebook.com', 'amazon.com', 'wikipedia.org'],
+      uncachedZone: null,   // A zone you control; null uses UNSIGNED_ZONE
+      samples: 5,
+      timeout: 3000
+    };
+  }
+
+  // Update configuration
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+
+  // Replace the HTTP transport; null goes back to fetch
+  setTransport(transport) {
+    this.transport = transport || ((url, init) => fetch(url, init));
+  }
+
+  // Get resolvers to benchmark, including the custom one
+  getResolvers() {
+    const resolvers = [...this.config.resolvers];
+    const custom = this.config.customResolver;
+
+    if (custom?.url) {
+      resolvers.push({ name: custom.name || 'Custom', format: 'wire', ...custom });
+    }
+
+    return resolvers;
+  }
+
+  // Benchmark every resolver with cached and uncached names
+  async runBenchmark() {
+    console.log('🧭 Starting DoH resolver benchmark...');
+    const resolvers = [];
+
+    for (const resolver of this.getResolvers()) {
+      resolvers.push(await this.benchmarkResolver(resolver));
+    }
+
+    const usable = resolvers.filter(r => r.median !== null && r.failureRate < 20);
+    const recommended = usable.length > 0
+      ? usable.reduce((fastest, current) => current.median < fastest.median ? current : fastest)
+      : null;
+
+    this.results = {
+      resolvers,
+      recommended: recommended ? { name: recommended.name, url: recommended.url, median: recommended.median } : null
+    };
+
+    return this.results;
+  }
+
+  // Benchmark a single resolver
+  async benchmarkResolver(resolver) {
+    const { samples } = this.config;
+    const cached = [];
+    const uncached = [];
+    let queries = 0;
+    let failures = 0;
+
+    // Warm-up query so connection setup isn't counted against the resolver
+    await this.query(resolver, this.config.cachedNames[0]);
+
+    for (let i = 0; i < samples; i++) {
+      // Cached: ask for a popular name twice and time the second answer
+      const name = this.config.cachedNames[i % this.config.cachedNames.length];
+      await this.query(resolver, name);
+      const cachedResult = await this.query(resolver, name);
+
+      // Uncached: a random label forces a recursive lookup (NXDOMAIN is a valid answer)
+      const uncachedResult = await this.query(resolver, this.randomName());
+
+      [[cachedResult, cached], [uncachedResult, uncached]].forEach(([result, bucket]) => {
+        queries++;
+        if (result.success) {
+          bucket.push(result.time);
+        } else {
+          failures++;
+        }
+      });
+    }
+
+    const all = [...cached, ...uncached];
+
+    return {
+      name: resolver.name,
+      url: resolver.url,
+      format: resolver.format,
+      cached: this.describeSamples(cached),
+      uncached: this.describeSamples(uncached),
+      median: all.length > 0 ? this.percentile(all, 50) : null,
+      p95: all.length > 0 ? this.percentile(all, 95) : null,
+      queries,
+      failures,
+      failureRate: queries > 0 ? Math.round((failures / queries) * 100) : 100
+    };
+  }
+
+  // Send one DoH query and time it
+  async query(resolver, name) {
+    const startTime = performance.now();
+
+    try {
+      const { url, headers } = resolver.format === 'json'
+        ? this.buildJsonRequest(resolver.url, name)
+        : this.buildWireRequest(resolver.url, name);
+
+      const response = await this.transport(url, {
+        method: 'GET',
+        headers,
+        cache: 'no-store',
+        signal: AbortSignal.timeout(this.config.timeout)
+      });
+
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const rcode = resolver.format === 'json'
+        ? (await response.json()).Status
+        : this.parseWireRcode(await response.arrayBuffer());
+
+      const time = performance.now() - startTime;
+
+      // NOERROR and NXDOMAIN are answers; SERVFAIL/REFUSED count as failures
+      if (rcode !== 0 && rcode !== 3) throw new Error(`DNS rcode ${rcode}`);
+
+      return { success: true, time, rcode };
+
+    } catch (error) {
+      console.warn(`DoH query to ${resolver.name} for ${name} failed:`, error.message);
+      return { success: false, time: null, error: error.message };
+    }
+  }
+
+  // Build an RFC 8484 GET request
+  buildWireRequest(resolverUrl, name) {
+    const url = new URL(resolverUrl);
+    url.searchParams.set('dns', this.encodeBase64Url(this.encodeQuery(name)));
+
+    return { url: url.toString(), headers: { Accept: 'application/dns-message' } };
+  }
+
+  // Build a JSON API request (Google / Cloudflare style)
+  buildJsonRequest(resolverUrl, name) {
+    const url = new URL(resolverUrl);
+    url.searchParams.set('name', name);
+    url.searchParams.set('type', 'A');
+
+    return { url: url.toString(), headers: { Accept: 'application/dns-json' } };
+  }
+
+  // Encode an A/IN query in DNS wireformat (ID 0 as RFC 8484 recommends for caching)
+  encodeQuery(name) {
+    const labels = name.split('.').filter(Boolean);
+    const length = 12 + labels.reduce((sum, label) => sum + label.length + 1, 0) + 1 + 4;
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint16(2, 0x0100); // Recursion desired
+    view.setUint16(4, 1);      // One question
+
+    let offset = 12;
+    labels.forEach(label => {
+      bytes[offset++] = label.length;
+      for (let i = 0; i < label.length; i++) bytes[offset++] = label.charCodeAt(i);
+    });
+    bytes[offset++] = 0;
+
+    view.setUint16(offset, 1);     // QTYPE A
+    view.setUint16(offset + 2, 1); // QCLASS IN
+
+    return bytes;
+  }
+
+  // Read the response code from a wireformat answer
+  parseWireRcode(buffer) {
+    if (buffer.byteLength < 12) throw new Error('Truncated DNS response');
+    return new DataView(buffer).getUint16(2) & 0x000f;
+  }
+
+  // Base64url without padding
+  encodeBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // Random name under the uncached zone
+  randomName() {
+    return `wk-${Math.random().toString(36).substr(2, 10)}.${this.config.uncachedZone || UNSIGNED_ZONE}`;
+  }
+
+  // Median / p95 summary for a bucket of timings
+  describeSamples(samples) {
+    if (samples.length === 0) return { samples: 0, median: null, p95: null };
+
+    return {
+      samples: samples.length,
+      median: this.percentile(samples, 50),
+      p95: this.percentile(samples, 95)
+    };
+  }
+
+  // Nearest-rank percentile, rounded to 0.1ms
+  percentile(samples, percentile) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1);
+    return Math.round(sorted[Math.max(0, index)] * 10) / 10;
+  }
+
+  // Get current results
+  getResults() {
+    return this.results;
+  }
+}
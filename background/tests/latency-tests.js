@@ -1,12 +1,15 @@
 // ⚡ LATENCY TESTS MODULE - Ping, Jitter & Network Response Testing
 // Professional latency measurement with multiple targets and statistical analysis
 
+import { getResourceTiming, breakdownTiming, uniqueProbeUrl, summarizePhases } from './probe-timing.js';
+
 export class LatencyTests {
   constructor() {
     this.results = {};
     this.isRunning = false;
     this.progressCallback = null;
     this.abortController = null;
+    this.server = null;
     
     this.config = {
       enabled: true,
@@ -22,6 +25,11 @@ export class LatencyTests {
     this.progressCallback = callback;
   }
 
+  // Measure against a self-hosted server instead of the built-in targets (null to reset)
+  setServer(server) {
+    this.server = server;
+  }
+
   // Update configuration
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
@@ -51,9 +59,10 @@ export class LatencyTests {
       const sampleCount = this.config.sampleCount;
       const results = {
         targets: {},
-        overall: { samples: [], average: 0, min: 0, max: 0, median: 0 },
+        overall: { samples: [], timings: [], average: 0, min: 0, max: 0, median: 0 },
         jitter: { samples: [], average: 0, max: 0 },
-        packetLoss: { sent: 0, received: 0, percentage: 0 }
+        packetLoss: { sent: 0, received: 0, percentage: 0 },
+        probes: []  // { target, latency, ok } per sample, in order
       };
 
       let totalSamples = 0;
@@ -66,22 +75,31 @@ export class LatencyTests {
         }
 
         const target = targets[i % targets.length];
-        const latency = await this.measureSingleLatency(target);
+        const sample = await this.measureLatencySample(target);
+        const latency = sample?.latency ?? null;
 
         if (latency !== null) {
           // Initialize target results if needed
           if (!results.targets[target.name]) {
-            results.targets[target.name] = { samples: [], average: 0, min: 0, max: 0 };
+            results.targets[target.name] = { samples: [], timings: [], average: 0, min: 0, max: 0 };
           }
 
-          // Store results
+          // Store results with the phase breakdown for this sample
+          const timing = { latency, ...sample.timing };
           results.targets[target.name].samples.push(latency);
+          results.targets[target.name].timings.push(timing);
           results.overall.samples.push(latency);
+          results.overall.timings.push(timing);
           results.packetLoss.received++;
 
           console.log(`⚡ Latency to ${target.name}: ${Math.round(latency)}ms`);
         }
 
+        results.probes.push({
+          target: target.name,
+          latency: latency !== null ? Math.round(latency * 10) / 10 : null,
+          ok: latency !== null
+        });
         results.packetLoss.sent++;
         totalSamples++;
 
@@ -97,6 +115,7 @@ export class LatencyTests {
 
       // Calculate statistics
       this.calculateLatencyStatistics(results);
+      results.phaseBreakdown = summarizePhases(results.overall.timings);
       this.calculateJitter(results);
       this.calculatePacketLoss(results);
 
@@ -117,13 +136,20 @@ export class LatencyTests {
 
   // Measure latency to a single target
   async measureSingleLatency(target) {
+    const sample = await this.measureLatencySample(target);
+    return sample ? sample.latency : null;
+  }
+
+  // Measure latency to a target along with its resource timing breakdown
+  async measureLatencySample(target) {
     const startTime = performance.now();
+    const probeUrl = uniqueProbeUrl(target.url);
 
     try {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
 
-      const response = await fetch(target.url, {
+      await fetch(probeUrl, {
         method: 'HEAD',
         cache: 'no-cache',
         mode: 'no-cors',
@@ -133,14 +159,16 @@ export class LatencyTests {
       clearTimeout(timeoutId);
       const latency = performance.now() - startTime;
 
-      return latency;
+      // no-cors responses usually hide the phase detail - breakdownTiming reports why
+      const timing = breakdownTiming(await getResourceTiming(probeUrl), latency);
+      return { latency, timing };
 
     } catch (error) {
       // For CORS errors, we still get timing info
       if (error.name !== 'AbortError') {
         const latency = performance.now() - startTime;
         if (latency < this.config.timeout) {
-          return latency;
+          return { latency, timing: breakdownTiming(null, latency) };
         }
       }
       
@@ -151,6 +179,10 @@ export class LatencyTests {
 
   // Get latency test targets
   getLatencyTargets() {
+    if (this.server) {
+      return [{ name: this.server.name, url: this.server.urls.empty }];
+    }
+
     const targets = [
       { name: 'Google', url: 'https://www.google.com/favicon.ico' },
       { name: 'Cloudflare', url: 'https://www.cloudflare.com/favicon.ico' },
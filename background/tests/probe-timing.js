@@ -0,0 +1,112 @@
+// ⏱️ PROBE TIMING - Resource Timing breakdown for network probes
+// Splits a fetch into DNS, TCP connect, TLS, request (TTFB) and response phases
+
+let bufferConfigured = false;
+
+// Make sure probe entries don't get dropped when the resource timing buffer fills
+function configureTimingBuffer() {
+  if (bufferConfigured || typeof performance.setResourceTimingBufferSize !== 'function') return;
+
+  performance.setResourceTimingBufferSize(1000);
+  performance.addEventListener?.('resourcetimingbufferfull', () => {
+    performance.clearResourceTimings();
+  });
+  bufferConfigured = true;
+}
+
+// Add a unique query parameter so the probe's timing entry can be found by name
+export function uniqueProbeUrl(url) {
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}_probe=${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+}
+
+// Find the resource timing entry for a URL - entries can land a tick after the fetch resolves
+export async function getResourceTiming(url) {
+  configureTimingBuffer();
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const entries = performance.getEntriesByName(url, 'resource');
+    if (entries.length > 0) return entries[entries.length - 1];
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  return null;
+}
+
+// Break a timing entry into phases, falling back to the fetch duration when phases are hidden
+export function breakdownTiming(entry, fetchDuration) {
+  if (!entry) {
+    return {
+      source: 'fetch',
+      total: fetchDuration,
+      phases: null,
+      reason: 'No resource timing entry'
+    };
+  }
+
+  // Cross-origin responses without Timing-Allow-Origin (and no-cors requests) zero out the detail
+  if (!entry.requestStart) {
+    return {
+      source: 'fetch',
+      total: entry.duration || fetchDuration,
+      phases: null,
+      reason: 'Timing detail restricted (no-cors or missing Timing-Allow-Origin)'
+    };
+  }
+
+  const secure = entry.secureConnectionStart > 0;
+  const phases = {
+    dns: entry.domainLookupEnd - entry.domainLookupStart,
+    connect: (secure ? entry.secureConnectionStart : entry.connectEnd) - entry.connectStart,
+    tls: secure ? entry.connectEnd - entry.secureConnectionStart : 0,
+    request: entry.responseStart - entry.requestStart,
+    response: entry.responseEnd - entry.responseStart
+  };
+
+  Object.keys(phases).forEach(key => {
+    phases[key] = Math.max(0, Math.round(phases[key] * 10) / 10);
+  });
+
+  return {
+    source: 'resource-timing',
+    total: entry.duration,
+    phases,
+    reusedConnection: entry.connectStart === entry.connectEnd,
+    skippedLookup: entry.domainLookupStart === entry.domainLookupEnd, // Reused connection or cached answer
+    protocol: entry.nextHopProtocol || null
+  };
+}
+
+// Fetch a probe URL and return the response alongside its phase breakdown
+export async function timedFetch(url, options = {}) {
+  const probeUrl = uniqueProbeUrl(url);
+  const startTime = performance.now();
+
+  const response = await fetch(probeUrl, options);
+
+  // Responses must be fully read before the timing entry is complete
+  if (options.method !== 'HEAD') {
+    await response.arrayBuffer().catch(() => null);
+  }
+
+  const duration = performance.now() - startTime;
+  const timing = breakdownTiming(await getResourceTiming(probeUrl), duration);
+
+  return { response, duration, timing };
+}
+
+// Average each phase across samples that have a breakdown
+export function summarizePhases(timings) {
+  const measured = timings.filter(t => t?.phases);
+  if (measured.length === 0) {
+    return { measuredSamples: 0, totalSamples: timings.length, phases: null };
+  }
+
+  const phases = {};
+  ['dns', 'connect', 'tls', 'request', 'response'].forEach(key => {
+    const sum = measured.reduce((total, t) => total + t.phases[key], 0);
+    phases[key] = Math.round((sum / measured.length) * 10) / 10;
+  });
+
+  return { measuredSamples: measured.length, totalSamples: timings.length, phases };
+}
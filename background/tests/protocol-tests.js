@@ -1,17 +1,25 @@
 // 🌐 PROTOCOL TESTS MODULE - IPv6, CDN, DNS & Advanced Network Protocol Testing
 // Professional protocol analysis for modern network capabilities
 
+import { timedFetch, summarizePhases } from './probe-timing.js';
+import { DoHBenchmark } from './doh-benchmark.js';
+
 export class ProtocolTests {
   constructor() {
     this.results = {};
     this.isRunning = false;
     this.progressCallback = null;
+    this.dohBenchmark = new DoHBenchmark();
     
     this.config = {
       enabled: false,
       ipv6Testing: true,
       cdnTesting: true,
       dnsPerformance: true,
+      dohBenchmark: false,
+      dohResolvers: null,
+      dohCustomResolver: null,
+      dohUncachedZone: null,   // Zone for the benchmark's cold queries - kept apart from the DNS leak zone, whose nameserver logs lookups
       http3Testing: false,
       connectionStability: false,
       routingEfficiency: false
@@ -23,9 +31,21 @@ export class ProtocolTests {
     this.progressCallback = callback;
   }
 
+  // Route the DoH benchmark through another transport, e.g. a local stand-in resolver in tests
+  setDohTransport(transport) {
+    this.dohBenchmark.setTransport(transport);
+  }
+
   // Update configuration
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
+    
+    // Resolver list, custom resolver and cold-query zone are forwarded to the DoH benchmark
+    this.dohBenchmark.updateConfig({
+      ...(this.config.dohResolvers ? { resolvers: this.config.dohResolvers } : {}),
+      customResolver: this.config.dohCustomResolver,
+      uncachedZone: this.config.dohUncachedZone
+    });
   }
 
   // Send progress update
@@ -74,6 +94,14 @@ export class ProtocolTests {
         this.updateProgress('protocols', Math.round((completedTests / totalTests) * 100));
       }
 
+      // DoH Resolver Benchmark
+      if (this.config.dohBenchmark) {
+        this.updateProgress('protocols', 0, 'Benchmarking DNS-over-HTTPS resolvers...');
+        this.results.doh = await this.dohBenchmark.runBenchmark();
+        completedTests++;
+        this.updateProgress('protocols', Math.round((completedTests / totalTests) * 100));
+      }
+
       // HTTP/3 Testing (if enabled)
       if (this.config.http3Testing) {
         this.updateProgress('protocols', 0, 'Testing HTTP/3 support...');
@@ -100,7 +128,6 @@ export class ProtocolTests {
 
       // Generate protocol efficiency score
       this.results.protocolScore = this.calculateProtocolScore();
-      this.results.recommendations = this.generateProtocolRecommendations();
 
       console.log('✅ Protocol analysis completed successfully');
       return this.results;
@@ -133,17 +160,13 @@ export class ProtocolTests {
       let totalLatency = 0;
 
       for (const test of ipv6Tests) {
-        const startTime = performance.now();
-        
         try {
-          const response = await fetch(test.url, {
+          const { response, duration: latency, timing } = await timedFetch(test.url, {
             method: 'HEAD',
             cache: 'no-cache',
             signal: AbortSignal.timeout(5000)
           });
 
-          const latency = performance.now() - startTime;
-
           if (response.ok) {
             successfulTests++;
             totalLatency += latency;
@@ -152,7 +175,8 @@ export class ProtocolTests {
               name: test.name,
               success: true,
               latency: Math.round(latency),
-              status: response.status
+              status: response.status,
+              timing
             });
 
             results.supported = true;
@@ -161,7 +185,8 @@ export class ProtocolTests {
               name: test.name,
               success: false,
               error: `HTTP ${response.status}`,
-              latency: Math.round(latency)
+              latency: Math.round(latency),
+              timing
             });
           }
 
@@ -181,6 +206,8 @@ export class ProtocolTests {
         results.reliability = Math.round((successfulTests / ipv6Tests.length) * 100);
       }
 
+      results.phaseBreakdown = summarizePhases(results.tests.map(t => t.timing));
+
       return results;
 
     } catch (error) {
@@ -305,31 +332,39 @@ export class ProtocolTests {
 
       let totalTime = 0;
       let successfulTests = 0;
+      let measuredTests = 0;
 
       for (const test of dnsTests) {
-        const startTime = performance.now();
-
         try {
-          // DNS resolution test via HTTP request
-          const response = await fetch(`https://${test.domain}`, {
+          const { response, duration, timing } = await timedFetch(`https://${test.domain}`, {
             method: 'HEAD',
             cache: 'no-cache',
             signal: AbortSignal.timeout(5000)
           });
 
-          const resolutionTime = performance.now() - startTime;
+          // A reused connection or cached answer never asks the resolver, so its 0ms lookup is left out
+          const cached = Boolean(timing.phases && timing.skippedLookup);
+
+          // Real resolver time when the phase is visible, otherwise the full round-trip
+          const resolutionTime = timing.phases ? timing.phases.dns : duration;
 
           const testResult = {
             domain: test.domain,
             success: true,
-            time: Math.round(resolutionTime),
-            status: response.status
+            time: cached ? null : Math.round(resolutionTime),
+            measurement: cached ? 'cached' : timing.phases ? 'dns-lookup' : 'round-trip',
+            status: response.status,
+            timing
           };
 
           results.tests.push(testResult);
-          totalTime += resolutionTime;
           successfulTests++;
 
+          if (!cached) {
+            totalTime += resolutionTime;
+            measuredTests++;
+          }
+
         } catch (error) {
           results.tests.push({
             domain: test.domain,
@@ -342,11 +377,11 @@ export class ProtocolTests {
 
       // Calculate results
       if (successfulTests > 0) {
-        results.averageTime = Math.round(totalTime / successfulTests);
+        results.averageTime = measuredTests > 0 ? Math.round(totalTime / measuredTests) : null;
         results.reliability = Math.round((successfulTests / dnsTests.length) * 100);
         
         // Find fastest resolution
-        const successfulDNS = results.tests.filter(t => t.success);
+        const successfulDNS = results.tests.filter(t => t.success && t.time !== null);
         if (successfulDNS.length > 0) {
           results.fastestResolution = successfulDNS.reduce((fastest, current) => 
             current.time < fastest.time ? current : fastest
@@ -354,6 +389,9 @@ export class ProtocolTests {
         }
       }
 
+      results.phaseBreakdown = summarizePhases(results.tests.map(t => t.timing));
+      results.measurement = results.tests.some(t => t.measurement === 'round-trip') ? 'round-trip' : 'dns-lookup';
+
       return results;
 
     } catch (error) {
@@ -589,6 +627,7 @@ export class ProtocolTests {
     if (this.config.ipv6Testing) tests++;
     if (this.config.cdnTesting) tests++;
     if (this.config.dnsPerformance) tests++;
+    if (this.config.dohBenchmark) tests++;
     if (this.config.http3Testing) tests++;
     if (this.config.connectionStability) tests++;
     if (this.config.routingEfficiency) tests++;
@@ -640,53 +679,6 @@ export class ProtocolTests {
     return Math.max(0, Math.min(100, Math.round(score)));
   }
 
-  // Generate protocol-specific recommendations
-  generateProtocolRecommendations() {
-    const recommendations = [];
-
-    if (!this.results.ipv6?.supported) {
-      recommendations.push({
-        type: 'protocol',
-        priority: 'low',
-        title: 'Enable IPv6 Support',
-        description: 'IPv6 can provide better connectivity and future-proofing.',
-        action: 'Contact your ISP about IPv6 support'
-      });
-    }
-
-    if (this.results.cdn?.averageSpeed < 25) {
-      recommendations.push({
-        type: 'performance',
-        priority: 'medium',
-        title: 'Optimize CDN Usage',
-        description: 'CDN performance is below optimal levels.',
-        action: `Consider using ${this.results.cdn?.recommendedCDN || 'faster CDN providers'}`
-      });
-    }
-
-    if (this.results.dns?.averageTime > 100) {
-      recommendations.push({
-        type: 'performance',
-        priority: 'medium',
-        title: 'Optimize DNS Settings',
-        description: 'DNS resolution is slower than optimal.',
-        action: 'Try faster DNS servers like 1.1.1.1 or 8.8.8.8'
-      });
-    }
-
-    if (this.results.stability?.successRate < 95) {
-      recommendations.push({
-        type: 'reliability',
-        priority: 'high',
-        title: 'Improve Connection Stability',
-        description: 'Network connection reliability is below recommended levels.',
-        action: 'Check network hardware or contact ISP'
-      });
-    }
-
-    return recommendations;
-  }
-
   // Get current results
   getResults() {
     return this.results;
@@ -2,10 +2,22 @@
 // Professional security analysis for network privacy and threat detection
 
 export class SecurityTests {
+  // Probes that need a page context, run through the offscreen document
+  static pageContextProbes = {
+    WEBRTC_CANDIDATES: {
+      reasons: ['WEB_RTC'],
+      justification: 'Gather WebRTC ICE candidates for the IP leak check',
+      timeout: 10000
+    }
+  };
+
   constructor() {
     this.results = {};
     this.isRunning = false;
     this.progressCallback = null;
+    this.dnsLeakReporter = null;
+    this.pageContextRunner = null;
+    this.webrtcGathering = null;
     
     this.config = {
       enabled: true,
@@ -14,10 +26,26 @@ export class SecurityTests {
       captivePortalCheck: true,
       threatDetection: false,
       dnsLeakTest: true,
+      dnsLeakZone: null,
+      dnsLeakReportUrl: null,
+      dnsLeakQueries: 6,
+      webrtcLeakTest: true,
+      stunServers: ['stun:stun.l.google.com:19302', 'stun:stun.cloudflare.com:3478'],
+      webrtcTimeout: 5000,
       sslAnalysis: true
     };
   }
 
+  // Runner executes a named probe in a page context: (type, payload) => Promise<result>
+  setPageContextRunner(runner) {
+    this.pageContextRunner = runner;
+  }
+
+  // Reporter receives (token, names) and resolves to [{ ip, asn, org, country }] seen by the zone's nameserver
+  setDNSLeakReporter(reporter) {
+    this.dnsLeakReporter = reporter;
+  }
+
   setProgressCallback(callback) {
     this.progressCallback = callback;
   }
@@ -41,6 +69,7 @@ export class SecurityTests {
     console.log('🛡️ Starting comprehensive security analysis...');
     this.isRunning = true;
     this.results = {};
+    this.webrtcGathering = null;
 
     try {
       let completedTests = 0;
@@ -79,6 +108,13 @@ export class SecurityTests {
         this.updateProgress('security', Math.round((completedTests / totalTests) * 100));
       }
 
+      if (this.config.webrtcLeakTest) {
+        this.updateProgress('security', 0, 'Checking for WebRTC IP leaks...');
+        this.results.webrtcLeak = await this.checkWebRTCLeak();
+        completedTests++;
+        this.updateProgress('security', Math.round((completedTests / totalTests) * 100));
+      }
+
       if (this.config.sslAnalysis) {
         this.updateProgress('security', 0, 'Analyzing SSL/TLS security...');
         this.results.sslAnalysis = await this.analyzeSSL();
@@ -94,7 +130,6 @@ export class SecurityTests {
       }
 
       this.results.securityScore = this.calculateSecurityScore();
-      this.results.recommendations = this.generateSecurityRecommendations();
 
       console.log('✅ Security analysis completed successfully');
       return this.results;
@@ -128,6 +163,7 @@ export class SecurityTests {
             return {
               ip: data.ip || data.query,
               isp: data.org || data.as,
+              asn: this.normalizeASN(data.asn || data.as || data.org),
               city: data.city,
               region: data.region || data.regionName,
               country: data.country_name || data.country,
@@ -229,32 +265,98 @@ export class SecurityTests {
     }
   }
 
+  async gatherWebRTCCandidates() {
+    if (!this.pageContextRunner) {
+      throw new Error('WebRTC needs a page context - no runner available');
+    }
+
+    // detectVPN and the leak check share one gathering per run
+    if (!this.webrtcGathering) {
+      this.webrtcGathering = this.pageContextRunner('WEBRTC_CANDIDATES', {
+        stunServers: this.config.stunServers,
+        timeout: this.config.webrtcTimeout
+      });
+      this.webrtcGathering.catch(() => { this.webrtcGathering = null; });
+    }
+
+    return this.webrtcGathering;
+  }
+
   async checkWebRTCBlocking() {
-    return new Promise((resolve) => {
-      try {
-        const pc = new RTCPeerConnection({ iceServers: [] });
-        let blocked = true;
-
-        pc.onicecandidate = (event) => {
-          if (event.candidate && event.candidate.candidate) {
-            blocked = false;
-            pc.close();
-            resolve(false);
-          }
-        };
+    try {
+      const { candidates } = await this.gatherWebRTCCandidates();
+      return candidates.length === 0;
+    } catch (error) {
+      console.warn('WebRTC blocking check unavailable:', error.message);
+      return null;
+    }
+  }
 
-        pc.createDataChannel('test');
-        pc.createOffer().then(offer => pc.setLocalDescription(offer));
+  async checkWebRTCLeak() {
+    try {
+      const { candidates } = await this.gatherWebRTCCandidates();
+      const networkInfo = this.results.networkInfo || await this.getNetworkInfo();
+      const publicIp = networkInfo.ip && networkInfo.ip !== 'Unknown' ? networkInfo.ip : null;
+      const vpnActive = this.isVPNActive();
+
+      // Every address a page could read from the candidates, including srflx related addresses
+      const exposed = new Map();
+      const addAddress = (address, candidateType) => {
+        if (!address || address === '0.0.0.0' || address === '::') return;
+        const entry = exposed.get(address) || { ip: address, kind: this.classifyAddress(address), candidateTypes: [] };
+        if (!entry.candidateTypes.includes(candidateType)) entry.candidateTypes.push(candidateType);
+        exposed.set(address, entry);
+      };
 
-        setTimeout(() => {
-          pc.close();
-          resolve(blocked);
-        }, 2000);
+      candidates.forEach(candidate => {
+        addAddress(candidate.address, candidate.type);
+        addAddress(candidate.relatedAddress, `${candidate.type}-related`);
+      });
 
-      } catch (error) {
-        resolve(true);
-      }
-    });
+      const addresses = [...exposed.values()];
+      const publicAddresses = addresses.filter(a => a.kind === 'public');
+
+      // Behind a VPN the only public address should be the VPN exit
+      const leakedAddresses = vpnActive && publicIp
+        ? publicAddresses.filter(a => a.ip !== publicIp)
+        : [];
+
+      return {
+        tested: true,
+        stunServers: this.config.stunServers,
+        candidateCount: candidates.length,
+        candidateTypes: [...new Set(candidates.map(c => c.type))],
+        addresses,
+        mdnsObfuscated: addresses.some(a => a.kind === 'mdns'),
+        publicIp,
+        vpnActive,
+        leakDetected: leakedAddresses.length > 0,
+        leakedAddresses: leakedAddresses.map(a => a.ip)
+      };
+
+    } catch (error) {
+      console.warn('WebRTC leak check failed:', error.message);
+      return { tested: false, leakDetected: false, error: error.message };
+    }
+  }
+
+  classifyAddress(address) {
+    if (address.endsWith('.local')) return 'mdns';
+
+    if (address.includes(':')) {
+      const lower = address.toLowerCase();
+      if (lower === '::1' || lower.startsWith('fe80') || lower.startsWith('fc') || lower.startsWith('fd')) return 'private';
+      return 'public';
+    }
+
+    const [a, b] = address.split('.').map(Number);
+    if (a === 10 || a === 127) return 'private';
+    if (a === 172 && b >= 16 && b <= 31) return 'private';
+    if (a === 192 && b === 168) return 'private';
+    if (a === 169 && b === 254) return 'private';
+    if (a === 100 && b >= 64 && b <= 127) return 'private'; // Carrier-grade NAT
+
+    return 'public';
   }
 
   async detectWARP() {
@@ -341,21 +443,90 @@ export class SecurityTests {
   }
 
   async checkDNSLeak() {
+    const zone = this.config.dnsLeakZone;
+    if (!zone || (!this.dnsLeakReporter && !this.config.dnsLeakReportUrl)) {
+      return { tested: false, leakDetected: false, reason: 'No DNS leak test zone configured' };
+    }
+
     try {
-      const response = await fetch('https://1.1.1.1/cdn-cgi/trace');
-      const text = await response.text();
-      
+      const token = `wk${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+      const names = Array.from({ length: this.config.dnsLeakQueries }, (_, i) => `${token}-${i}.${zone}`);
+
+      // Only the lookup matters - the requests themselves are expected to fail
+      await Promise.all(names.map(name =>
+        fetch(`https://${name}/`, {
+          mode: 'no-cors',
+          cache: 'no-store',
+          signal: AbortSignal.timeout(3000)
+        }).catch(() => null)
+      ));
+
+      // Give the nameserver a moment to log the queries
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      const seen = await this.fetchDNSLeakReport(token, names);
+      const networkInfo = this.results.networkInfo || await this.getNetworkInfo();
+      const publicAsn = networkInfo.asn || null;
+      const vpnActive = this.isVPNActive();
+
+      const resolvers = seen.map(resolver => ({
+        ...resolver,
+        asn: this.normalizeASN(resolver.asn),
+        matchesPublicAsn: publicAsn ? this.normalizeASN(resolver.asn) === publicAsn : null
+      }));
+
+      // Behind a VPN every resolver should sit in the same network as the VPN exit
+      const leakingResolvers = vpnActive && publicAsn
+        ? resolvers.filter(r => r.asn && r.asn !== publicAsn)
+        : [];
+
       return {
         tested: true,
-        method: 'Cloudflare trace',
-        leakDetected: false,
-        note: 'Browser-based DNS leak detection is limited'
+        method: 'Random subdomain lookup',
+        zone,
+        token,
+        queries: names.length,
+        resolvers,
+        publicIp: networkInfo.ip,
+        publicAsn,
+        vpnActive,
+        leakDetected: leakingResolvers.length > 0,
+        leakingResolvers,
+        note: vpnActive ? null : 'No VPN detected - resolvers outside your ISP network are not a leak'
       };
 
     } catch (error) {
       console.error('DNS leak test failed:', error);
-      return { tested: false, error: error.message };
+      return { tested: false, leakDetected: false, error: error.message };
+    }
+  }
+
+  async fetchDNSLeakReport(token, names) {
+    if (this.dnsLeakReporter) {
+      return await this.dnsLeakReporter(token, names) || [];
     }
+
+    const response = await fetch(this.config.dnsLeakReportUrl.replace('{token}', encodeURIComponent(token)), {
+      cache: 'no-store',
+      signal: AbortSignal.timeout(5000)
+    });
+
+    if (!response.ok) throw new Error(`Report endpoint returned HTTP ${response.status}`);
+
+    const report = await response.json();
+    return report.resolvers || [];
+  }
+
+  isVPNActive() {
+    const vpnStatus = this.results.vpnStatus?.status;
+    return vpnStatus === 'Likely Connected' || vpnStatus === 'Possibly Connected' ||
+      this.results.warpStatus === 'Connected';
+  }
+
+  normalizeASN(value) {
+    if (value === null || value === undefined) return null;
+    const match = String(value).trim().match(/^(?:AS)?(\d+)$|\bAS(\d+)\b/i);
+    return match ? `AS${match[1] || match[2]}` : null;
   }
 
   async analyzeSSL() {
@@ -526,6 +697,7 @@ export class SecurityTests {
     if (this.config.warpDetection) tests++;
     if (this.config.captivePortalCheck) tests++;
     if (this.config.dnsLeakTest) tests++;
+    if (this.config.webrtcLeakTest) tests++;
     if (this.config.sslAnalysis) tests++;
     if (this.config.threatDetection) tests++;
     
@@ -556,63 +728,15 @@ export class SecurityTests {
       score -= (this.results.threats.threatsDetected * 15);
     }
     
-    return Math.max(0, Math.min(100, Math.round(score)));
-  }
-
-  generateSecurityRecommendations() {
-    const recommendations = [];
-    
-    if (!this.results.vpnStatus?.status || this.results.vpnStatus.status === 'Not Detected') {
-      recommendations.push({
-        type: 'privacy',
-        priority: 'medium',
-        title: 'Consider Using a VPN',
-        description: 'A VPN can enhance your privacy and security online.',
-        action: 'Enable a trusted VPN service'
-      });
+    if (this.results.dnsLeak?.leakDetected) {
+      score -= 20;
     }
     
-    if (this.results.warpStatus !== 'Connected') {
-      recommendations.push({
-        type: 'privacy',
-        priority: 'low',
-        title: 'Enable Cloudflare WARP',
-        description: 'WARP provides additional privacy and may improve performance.',
-        action: 'Download and enable Cloudflare WARP'
-      });
+    if (this.results.webrtcLeak?.leakDetected) {
+      score -= 20;
     }
     
-    if (this.results.captivePortal?.detected) {
-      recommendations.push({
-        type: 'security',
-        priority: 'high',
-        title: 'Captive Portal Detected',
-        description: 'Complete the network login process for full internet access.',
-        action: 'Open browser and complete network authentication'
-      });
-    }
-    
-    if (this.results.sslAnalysis?.overallSecurity < 70) {
-      recommendations.push({
-        type: 'security',
-        priority: 'medium',
-        title: 'Improve HTTPS Security',
-        description: 'Some websites may have weak security configurations.',
-        action: 'Use HTTPS Everywhere browser extension'
-      });
-    }
-    
-    if (this.results.threats?.threatsDetected > 0) {
-      recommendations.push({
-        type: 'security',
-        priority: 'high',
-        title: 'Potential Network Threats Detected',
-        description: 'Your network connection may be compromised.',
-        action: 'Disconnect and use a different network or VPN'
-      });
-    }
-    
-    return recommendations;
+    return Math.max(0, Math.min(100, Math.round(score)));
   }
 
   getResults() {
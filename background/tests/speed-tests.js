@@ -8,6 +8,9 @@ export class SpeedTests {
     this.progressCallback = null;
     this.speedCallback = null;
     this.abortController = null;
+    this.activeDirection = null;
+    this.transfersInFlight = 0; // Download / upload requests moving test data right now
+    this.server = null;
     
     this.config = {
       download: {
@@ -16,14 +19,26 @@ export class SpeedTests {
         iterations: 3,
         parallelConnections: 4,
         timeout: 30000,
-        servers: ['cloudflare', 'google', 'amazon']
+        servers: ['cloudflare', 'google', 'amazon'],
+        mode: 'fixed',
+        initialPayload: '256KB',
+        maxPayload: '64MB',
+        maxStreams: 8,
+        stabilityThreshold: 0.1,
+        rampInterval: 1000,
+        rampTimeout: 10000,
+        sampleDuration: 10,
+        sampleInterval: 250,
+        warmupDuration: 1000
       },
       upload: {
         enabled: true,
         fileSizes: ['1MB', '5MB'],
         iterations: 2,
         parallelConnections: 2,
-        timeout: 30000
+        timeout: 30000,
+        chunkSize: '256KB',
+        roundtripSamples: 3
       }
     };
   }
@@ -38,6 +53,11 @@ export class SpeedTests {
     this.speedCallback = callback;
   }
 
+  // Use a self-hosted server instead of the built-in ones (null to reset)
+  setServer(server) {
+    this.server = server;
+  }
+
   // Update configuration
   updateConfig(downloadConfig, uploadConfig) {
     this.config.download = { ...this.config.download, ...downloadConfig };
@@ -81,6 +101,7 @@ export class SpeedTests {
       // Download speed tests
       if (this.config.download.enabled) {
         this.updateProgress('download', 0, 'Testing download speed...');
+        this.activeDirection = 'download';
         this.results.download = await this.measureDownloadSpeed();
         completedTests++;
         this.updateProgress('download', Math.round((completedTests / totalTests) * 100));
@@ -89,6 +110,7 @@ export class SpeedTests {
       // Upload speed tests
       if (this.config.upload.enabled) {
         this.updateProgress('upload', 0, 'Testing upload speed...');
+        this.activeDirection = 'upload';
         this.results.upload = await this.measureUploadSpeed();
         completedTests++;
         this.updateProgress('upload', 100);
@@ -105,16 +127,20 @@ export class SpeedTests {
     } finally {
       this.isRunning = false;
       this.abortController = null;
+      this.activeDirection = null;
     }
   }
 
-  // Measure download speed with multiple servers and file sizes
+  // Measure download speed with multiple servers, file sizes and parallel streams
   async measureDownloadSpeed() {
     const config = this.config.download;
+    if (config.mode === 'adaptive') return this.measureAdaptiveDownload();
+
     const servers = this.getDownloadServers();
     const results = {
       servers: {},
       fileSizes: {},
+      parallelConnections: config.parallelConnections,
       overall: { speeds: [], average: 0, peak: 0, min: 0 }
     };
 
@@ -122,7 +148,7 @@ export class SpeedTests {
     const totalTests = servers.length * config.fileSizes.length * config.iterations;
 
     for (const server of servers) {
-      results.servers[server.name] = { speeds: [], average: 0 };
+      results.servers[server.name] = { speeds: [], average: 0, bytes: 0, failedStreams: 0 };
 
       for (const fileSize of config.fileSizes) {
         if (!results.fileSizes[fileSize]) {
@@ -132,17 +158,18 @@ export class SpeedTests {
         for (let iteration = 0; iteration < config.iterations; iteration++) {
           if (this.abortController?.signal.aborted) throw new DOMException('Aborted', 'AbortError');
 
-          const url = this.buildDownloadUrl(server, fileSize);
-          const speed = await this.performDownloadTest(url, fileSize);
+          const round = await this.performParallelDownload(server, fileSize);
+          results.servers[server.name].bytes += round.bytes;
+          results.servers[server.name].failedStreams += round.failedStreams;
 
-          if (speed > 0) {
+          if (round.speed > 0) {
             // Update results
-            results.servers[server.name].speeds.push(speed);
-            results.fileSizes[fileSize].speeds.push(speed);
-            results.overall.speeds.push(speed);
+            results.servers[server.name].speeds.push(round.speed);
+            results.fileSizes[fileSize].speeds.push(round.speed);
+            results.overall.speeds.push(round.speed);
 
             // Real-time speed update
-            this.updateSpeed(speed, 'download');
+            this.updateSpeed(round.speed, 'download');
           }
 
           testCount++;
@@ -160,16 +187,193 @@ export class SpeedTests {
     return results;
   }
 
-  // Perform individual download test
-  async performDownloadTest(url, fileSize) {
+  // Adaptive download: grow payload and streams until throughput settles, then sample for a fixed duration
+  async measureAdaptiveDownload() {
+    const config = this.config.download;
+    // The first server must honour arbitrary payload sizes - Cloudflare serves the exact byte count,
+    // a self-hosted LibreSpeed garbage endpoint rounds it up to whole 1MB ckSize chunks
+    const server = this.getDownloadServers()[0];
+    const maxPayload = this.parseFileSize(config.maxPayload);
+    const timeline = { start: performance.now(), series: [] };
+
+    let payload = this.parseFileSize(config.initialPayload);
+    let streams = 1;
+    let previousSpeed = 0;
+    let flatRounds = 0;
+    let stable = false;
+
+    // Ramp phase - each round grows the load and checks whether throughput still rises
+    while (performance.now() - timeline.start < config.rampTimeout) {
+      const round = await this.runTimedDownload(server, payload, streams, config.rampInterval, 'ramp', timeline);
+      if (round.bytes === 0) break;
+
+      const gain = previousSpeed > 0 ? (round.speed - previousSpeed) / previousSpeed : 1;
+      previousSpeed = Math.max(previousSpeed, round.speed);
+      flatRounds = gain < config.stabilityThreshold ? flatRounds + 1 : 0;
+
+      const rampProgress = Math.min(1, (performance.now() - timeline.start) / config.rampTimeout);
+      this.updateProgress('download', Math.round(rampProgress * 30), 'ramp');
+
+      if (flatRounds >= 2) {
+        stable = true;
+        break;
+      }
+
+      // Requests that finish well inside a round are dominated by request overhead
+      if (round.averageRequestTime < config.rampInterval / 2 && payload < maxPayload) {
+        payload = Math.min(payload * 4, maxPayload);
+      } else if (streams < config.maxStreams) {
+        streams = Math.min(streams * 2, config.maxStreams);
+      }
+    }
+
+    const rampDuration = performance.now() - timeline.start;
+    console.log(`📈 Ramp ${stable ? 'settled' : 'timed out'} after ${Math.round(rampDuration)}ms: ${streams} streams x ${this.formatFileSize(payload)}`);
+
+    // Sampling phase - the first warmupDuration ms of fresh connections is slow-start and is dropped
+    const sampleMs = config.sampleDuration * 1000;
+    const sampleStart = performance.now() - timeline.start;
+    await this.runTimedDownload(server, payload, streams, sampleMs, 'sampling', timeline, (elapsed) => {
+      this.updateProgress('download', 30 + Math.round(Math.min(1, elapsed / sampleMs) * 70), 'sampling');
+    });
+
+    timeline.series.forEach(sample => {
+      if (sample.phase === 'sampling' && sample.time - sampleStart <= config.warmupDuration) {
+        sample.phase = 'warmup';
+      }
+    });
+
+    const speeds = timeline.series
+      .filter(sample => sample.phase === 'sampling')
+      .map(sample => sample.speed);
+
+    const results = {
+      mode: 'adaptive',
+      servers: { [server.name]: { speeds: [...speeds], average: 0 } },
+      fileSizes: {},
+      stable,
+      streams,
+      payload: this.formatFileSize(payload),
+      rampDuration: Math.round(rampDuration),
+      sampleDuration: config.sampleDuration,
+      series: timeline.series,
+      overall: { speeds, average: 0, peak: 0, min: 0 }
+    };
+
+    this.calculateAverages(results);
+    this.updateProgress('download', 100);
+
+    return results;
+  }
+
+  // Keep streams downloading back-to-back for a fixed duration, sampling aggregate throughput
+  async runTimedDownload(server, payload, streams, duration, phase, timeline, onTick = null) {
+    const config = this.config.download;
+    const roundController = new AbortController();
+    const streamBytes = new Array(streams).fill(0);
+    const sizeLabel = this.formatFileSize(payload);
+    const startTime = performance.now();
+    let lastBytes = 0;
+    let lastTime = startTime;
+    let requests = 0;
+    let requestTime = 0;
+
+    const totalBytes = () => streamBytes.reduce((a, b) => a + b, 0);
+
+    const sampler = setInterval(() => {
+      const now = performance.now();
+      const received = totalBytes();
+      const speed = this.calculateSpeed(received - lastBytes, now - lastTime);
+
+      timeline.series.push({ time: Math.round(now - timeline.start), speed, phase, streams });
+      this.updateSpeed(speed, 'download');
+      if (onTick) onTick(now - startTime);
+
+      lastBytes = received;
+      lastTime = now;
+    }, config.sampleInterval);
+
+    const stopper = setTimeout(() => roundController.abort(), duration);
+
+    try {
+      await Promise.all(streamBytes.map(async (_, index) => {
+        while (!roundController.signal.aborted) {
+          const completed = streamBytes[index];
+          const url = this.buildDownloadUrl(server, sizeLabel, index);
+          const outcome = await this.performDownloadTest(url, sizeLabel, (bytes) => {
+            streamBytes[index] = completed + bytes;
+          }, roundController.signal);
+
+          streamBytes[index] = completed + outcome.bytes;
+
+          if (outcome.success) {
+            requests++;
+            requestTime += outcome.duration;
+          } else if (!roundController.signal.aborted) {
+            break; // Stream is failing rather than being cut off at the deadline
+          }
+        }
+      }));
+    } finally {
+      clearInterval(sampler);
+      clearTimeout(stopper);
+    }
+
+    const elapsed = performance.now() - startTime;
+    const bytes = totalBytes();
+
+    return {
+      bytes,
+      speed: this.calculateSpeed(bytes, elapsed),
+      averageRequestTime: requests > 0 ? requestTime / requests : elapsed
+    };
+  }
+
+  // Run parallelConnections concurrent download streams and report aggregate throughput
+  async performParallelDownload(server, fileSize) {
+    const streamCount = Math.max(1, this.config.download.parallelConnections || 1);
+    const streamBytes = new Array(streamCount).fill(0);
+    const startTime = performance.now();
+
+    // Report combined throughput of all streams every 250ms
+    const reporter = setInterval(() => {
+      const received = streamBytes.reduce((a, b) => a + b, 0);
+      this.updateSpeed(this.calculateCurrentSpeed(received, performance.now() - startTime), 'download');
+    }, 250);
+
+    try {
+      const streams = streamBytes.map((_, index) => {
+        const url = this.buildDownloadUrl(server, fileSize, index);
+        return this.performDownloadTest(url, fileSize, (bytes) => {
+          streamBytes[index] = bytes;
+        });
+      });
+
+      const outcomes = await Promise.all(streams);
+      const duration = performance.now() - startTime;
+      const bytes = outcomes.reduce((sum, outcome) => sum + outcome.bytes, 0);
+      const failedStreams = outcomes.filter(outcome => !outcome.success).length;
+      const speed = failedStreams < streamCount ? this.calculateSpeed(bytes, duration) : 0;
+
+      console.log(`📥 ${server.name} ${fileSize} x${streamCount} streams: ${Math.round(duration)}ms = ${speed.toFixed(1)} Mbps`);
+      return { speed, bytes, duration, failedStreams };
+
+    } finally {
+      clearInterval(reporter);
+    }
+  }
+
+  // Perform individual download stream
+  async performDownloadTest(url, fileSize, onProgress = null, signal = null) {
     const startTime = performance.now();
-    const expectedBytes = this.parseFileSize(fileSize);
+    let receivedBytes = 0;
+    this.transfersInFlight++;
 
     try {
       const response = await fetch(url, {
         method: 'GET',
         cache: 'no-cache',
-        signal: AbortSignal.timeout(this.config.download.timeout)
+        signal: this.createSignal(this.config.download.timeout, signal)
       });
 
       if (!response.ok) throw new Error(`HTTP ${response.status}`);
@@ -178,41 +382,42 @@ export class SpeedTests {
       const reader = response.body?.getReader();
       if (!reader) throw new Error('ReadableStream not supported');
 
-      let receivedBytes = 0;
-      let lastProgressUpdate = startTime;
-
       while (true) {
         const { done, value } = await reader.read();
         if (done) break;
 
         receivedBytes += value.length;
-
-        // Update speed in real-time (every 250ms)
-        const now = performance.now();
-        if (now - lastProgressUpdate > 250) {
-          const currentSpeed = this.calculateCurrentSpeed(receivedBytes, now - startTime);
-          this.updateSpeed(currentSpeed, 'download');
-          lastProgressUpdate = now;
-        }
+        if (onProgress) onProgress(receivedBytes);
       }
 
-      const duration = performance.now() - startTime;
-      const speed = this.calculateSpeed(receivedBytes, duration);
-
-      console.log(`📥 Download test: ${fileSize} in ${Math.round(duration)}ms = ${speed.toFixed(1)} Mbps`);
-      return speed;
+      return { success: true, bytes: receivedBytes, duration: performance.now() - startTime };
 
     } catch (error) {
-      console.warn(`Download test failed for ${fileSize}:`, error.message);
-      return 0;
+      if (this.abortController?.signal.aborted) throw new DOMException('Aborted', 'AbortError');
+      if (!signal?.aborted) console.warn(`Download stream failed for ${fileSize}:`, error.message);
+      return { success: false, bytes: receivedBytes, duration: performance.now() - startTime };
+    } finally {
+      this.transfersInFlight--;
     }
   }
 
-  // Measure upload speed
+  // Combine the user stop signal and any caller signal with a per-request timeout
+  createSignal(timeout, extraSignal = null) {
+    const signals = [AbortSignal.timeout(timeout)];
+    if (this.abortController) signals.push(this.abortController.signal);
+    if (extraSignal) signals.push(extraSignal);
+    
+    return AbortSignal.any && signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+  }
+
+  // Measure upload speed with parallel chunked streams
   async measureUploadSpeed() {
     const config = this.config.upload;
     const results = {
       fileSizes: {},
+      parallelConnections: config.parallelConnections,
+      chunkSize: config.chunkSize,
+      roundtrip: await this.measureUploadRoundtrip(),   // Reported alongside, never subtracted from the speeds
       overall: { speeds: [], average: 0, peak: 0, min: 0 }
     };
 
@@ -225,14 +430,14 @@ export class SpeedTests {
       for (let iteration = 0; iteration < config.iterations; iteration++) {
         if (this.abortController?.signal.aborted) throw new DOMException('Aborted', 'AbortError');
 
-        const speed = await this.performUploadTest(fileSize);
+        const round = await this.performParallelUpload(fileSize);
 
-        if (speed > 0) {
-          results.fileSizes[fileSize].speeds.push(speed);
-          results.overall.speeds.push(speed);
+        if (round.speed > 0) {
+          results.fileSizes[fileSize].speeds.push(round.speed);
+          results.overall.speeds.push(round.speed);
 
           // Real-time speed update
-          this.updateSpeed(speed, 'upload');
+          this.updateSpeed(round.speed, 'upload');
         }
 
         testCount++;
@@ -249,35 +454,107 @@ export class SpeedTests {
     return results;
   }
 
-  // Perform individual upload test
-  async performUploadTest(fileSize) {
-    const data = this.generateTestData(fileSize);
+  // Measure the fixed cost of an upload request with empty POSTs
+  async measureUploadRoundtrip() {
+    const samples = [];
+
+    for (let i = 0; i < this.config.upload.roundtripSamples; i++) {
+      const startTime = performance.now();
+      if (await this.postUploadChunk(new Uint8Array(0))) {
+        samples.push(performance.now() - startTime);
+      }
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const median = sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+
+    console.log(`📤 Upload request roundtrip: ${Math.round(median)}ms`);
+    return { samples, median };
+  }
+
+  // Upload fileSize split across parallel streams of sequential chunk requests
+  async performParallelUpload(fileSize) {
+    const config = this.config.upload;
+    const streamCount = Math.max(1, config.parallelConnections || 1);
+    const perStream = Math.ceil(this.parseFileSize(fileSize) / streamCount);
+    const chunkBytes = Math.min(this.parseFileSize(config.chunkSize), perStream);
+    const chunk = this.generateTestData(chunkBytes);
+    const streamBytes = new Array(streamCount).fill(0);
+    const streamRequests = new Array(streamCount).fill(0);
     const startTime = performance.now();
 
+    // Report combined throughput of all streams every 250ms
+    const reporter = setInterval(() => {
+      const sent = streamBytes.reduce((a, b) => a + b, 0);
+      this.updateSpeed(this.calculateCurrentSpeed(sent, performance.now() - startTime), 'upload');
+    }, 250);
+
     try {
-      const response = await fetch('https://httpbin.org/post', {
+      const outcomes = await Promise.all(streamBytes.map(async (_, index) => {
+        while (streamBytes[index] < perStream) {
+          const size = Math.min(chunkBytes, perStream - streamBytes[index]);
+          const body = size === chunkBytes ? chunk : chunk.subarray(0, size);
+
+          if (!(await this.postUploadChunk(body))) return false;
+
+          streamBytes[index] += size;
+          streamRequests[index]++;
+        }
+        return true;
+      }));
+
+      const duration = performance.now() - startTime;
+      const bytes = streamBytes.reduce((a, b) => a + b, 0);
+      if (!outcomes.some(Boolean)) return { speed: 0, bytes, duration };
+
+      // Wall-clock throughput - the empty-POST roundtrip also includes server processing,
+      // so taking it out per chunk could overstate the speed
+      const speed = this.calculateSpeed(bytes, duration);
+
+      console.log(`📤 Upload ${fileSize} x${streamCount} streams (${Math.max(...streamRequests)} requests each): ${Math.round(duration)}ms = ${speed.toFixed(1)} Mbps`);
+      return { speed, bytes, duration };
+
+    } finally {
+      clearInterval(reporter);
+    }
+  }
+
+  // POST a single upload chunk, resolving once the server has received it
+  // Empty roundtrip POSTs carry no load, so only real chunks count as a transfer in flight
+  async postUploadChunk(body) {
+    const loading = body.length > 0;
+    if (loading) this.transfersInFlight++;
+
+    try {
+      const response = await fetch(this.getUploadUrl(), {
         method: 'POST',
-        body: data,
-        cache: 'no-cache',
-        signal: AbortSignal.timeout(this.config.upload.timeout)
+        body,
+        cache: 'no-store',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        signal: this.createSignal(this.config.upload.timeout)
       });
 
       if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-      const duration = performance.now() - startTime;
-      const speed = this.calculateSpeed(data.size || data.length, duration);
-
-      console.log(`📤 Upload test: ${fileSize} in ${Math.round(duration)}ms = ${speed.toFixed(1)} Mbps`);
-      return speed;
+      // Headers arriving means the body was received - skip downloading any echo
+      response.body?.cancel();
+      return true;
 
     } catch (error) {
-      console.warn(`Upload test failed for ${fileSize}:`, error.message);
-      return 0;
+      if (this.abortController?.signal.aborted) throw new DOMException('Aborted', 'AbortError');
+      console.warn(`Upload chunk failed (${body.length} bytes):`, error.message);
+      return false;
+    } finally {
+      if (loading) this.transfersInFlight--;
     }
   }
 
   // Get download server configurations
   getDownloadServers() {
+    if (this.server) {
+      return [{ name: this.server.name, type: 'librespeed', baseUrl: this.server.urls.garbage }];
+    }
+
     return [
       {
         name: 'Cloudflare',
@@ -294,27 +571,42 @@ export class SpeedTests {
     ];
   }
 
-  // Build download URL for server and file size
-  buildDownloadUrl(server, fileSize) {
+  // Get upload endpoint - the LibreSpeed empty endpoint accepts and discards POST bodies
+  getUploadUrl() {
+    if (this.server) return `${this.server.urls.empty}?r=${Date.now()}`;
+    return 'https://httpbin.org/post';
+  }
+
+  // Build download URL for server, file size and stream index
+  buildDownloadUrl(server, fileSize, stream = 0) {
     const bytes = this.parseFileSize(fileSize);
+    const cacheBust = `${Date.now()}-${stream}`;
+    
+    // LibreSpeed garbage endpoint streams ckSize chunks of 1MB
+    if (server.type === 'librespeed') {
+      return `${server.baseUrl}?ckSize=${Math.max(1, Math.ceil(bytes / (1024 * 1024)))}&r=${cacheBust}`;
+    }
     
     switch (server.name) {
       case 'Cloudflare':
-        return `${server.baseUrl}?bytes=${bytes}`;
+        return `${server.baseUrl}?bytes=${bytes}&cachebust=${cacheBust}`;
       case 'Google':
-        return `${server.baseUrl}?cachebust=${Date.now()}`;
+        return `${server.baseUrl}?cachebust=${cacheBust}`;
       default:
-        return `${server.baseUrl}/favicon.ico?cachebust=${Date.now()}`;
+        return `${server.baseUrl}/favicon.ico?cachebust=${cacheBust}`;
     }
   }
 
-  // Generate test data for uploads
-  generateTestData(fileSize) {
-    const bytes = this.parseFileSize(fileSize);
-    const chunk = 'a'.repeat(1024); // 1KB chunk
-    const chunks = Math.ceil(bytes / 1024);
+  // Generate incompressible test data for uploads
+  generateTestData(bytes) {
+    const data = new Uint8Array(bytes);
+    
+    // getRandomValues fills at most 64KB per call
+    for (let offset = 0; offset < bytes; offset += 65536) {
+      crypto.getRandomValues(data.subarray(offset, Math.min(offset + 65536, bytes)));
+    }
     
-    return new Blob([chunk.repeat(chunks)], { type: 'text/plain' });
+    return data;
   }
 
   // Parse file size string to bytes
@@ -330,6 +622,12 @@ export class SpeedTests {
     return Math.round(size * (units[unit] || 1024 * 1024));
   }
 
+  // Format byte count as a file size string
+  formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024 && bytes % (1024 * 1024) === 0) return `${bytes / (1024 * 1024)}MB`;
+    return `${Math.round(bytes / 1024)}KB`;
+  }
+
   // Calculate speed in Mbps
   calculateSpeed(bytes, milliseconds) {
     const megabits = (bytes * 8) / (1024 * 1024);
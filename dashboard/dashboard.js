@@ -3,15 +3,21 @@
 
 import { EpicOverlay } from './epic-overlay.js';
 import { VisibilityPanel } from './visibility-panel.js';
+import { RESULT_SCHEMA_VERSION, ResultFields } from '../shared/result-schema.js';
 
 // Dashboard Controller Class
 class DashboardController {
   constructor() {
     this.charts = {};
     this.testHistory = [];
+    this.testsTotal = 0;
+    this.outages = [];
+    this.availabilityReport = null;
+    this.networkProfiles = [];
     this.currentMetrics = {};
     this.epicOverlay = null;
     this.updateInterval = null;
+    this.connectivityInterval = null;
     this.settings = {
       chartUpdateInterval: 5000,
       chartDataPoints: 50,
@@ -19,8 +25,12 @@ class DashboardController {
       compactMode: false,
       showNotifications: true,
       autoRefresh: true,
-      defaultTestMode: 'standard'
+      defaultTestMode: 'standard',
+      includeContaminated: false,
+      networkProfile: 'all',
+      chartRange: 'recent'  // 'recent' plots the last chartDataPoints tests, otherwise a number of days
     };
+    this.chartSeries = null;
     this.sortableInstances = [];
     this.visibilityPanel = null;
   }
@@ -168,9 +178,14 @@ setTimeout(() => {
     // Load network info
     await this.loadNetworkInfo();
     
-    // Load test history
+    // Load network profiles, then history filtered to the chosen one
+    await this.loadNetworkProfiles();
     await this.loadTestHistory();
     
+    // Load outage log and availability report
+    await this.loadOutageLog();
+    await this.loadAvailabilityReport();
+    
     // Initialize charts
     this.initializeCharts();
     
@@ -218,6 +233,8 @@ setTimeout(() => {
     document.getElementById('showNotifications').checked = this.settings.showNotifications;
     document.getElementById('autoRefresh').checked = this.settings.autoRefresh;
     document.getElementById('defaultTestMode').value = this.settings.defaultTestMode;
+    document.getElementById('includeContaminated').checked = this.settings.includeContaminated;
+    document.getElementById('chartRange').value = this.settings.chartRange;
   }
 
   // Setup event listeners
@@ -264,6 +281,14 @@ setTimeout(() => {
       this.exportData();
     });
     
+    document.getElementById('exportAvailabilityCsv').addEventListener('click', () => {
+      this.exportAvailability('csv');
+    });
+    
+    document.getElementById('exportAvailabilityJson').addEventListener('click', () => {
+      this.exportAvailability('json');
+    });
+    
     document.getElementById('clearHistory').addEventListener('click', () => {
       this.clearHistory();
     });
@@ -318,6 +343,31 @@ setTimeout(() => {
       this.saveSettings();
     });
     
+    document.getElementById('includeContaminated').addEventListener('change', (e) => {
+      this.settings.includeContaminated = e.target.checked;
+      this.saveSettings();
+      this.updateStatistics();
+    });
+    
+    document.getElementById('networkProfileFilter').addEventListener('change', async (e) => {
+      this.settings.networkProfile = e.target.value;
+      this.saveSettings();
+      await this.loadTestHistory();
+      await this.loadOutageLog();
+      await this.loadAvailabilityReport();
+    });
+    
+    document.getElementById('renameNetworkBtn').addEventListener('click', () => {
+      this.renameNetworkProfile();
+    });
+    
+    document.getElementById('chartRange').addEventListener('change', async (e) => {
+      this.settings.chartRange = e.target.value;
+      this.saveSettings();
+      await this.loadChartSeries();
+      this.updateChartsWithHistory();
+    });
+    
     document.getElementById('openFullSettings').addEventListener('click', () => {
       chrome.runtime.sendMessage({ type: 'OPEN_SETTINGS' });
     });
@@ -407,6 +457,34 @@ setTimeout(() => {
       options: this.getChartOptions('Speed (Mbps)')
     });
     
+    // Throughput Ramp Chart (adaptive download series of the latest test)
+    this.charts.ramp = new Chart(document.getElementById('rampChart'), {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [
+          {
+            label: 'Ramp-up',
+            data: [],
+            borderColor: '#ffa500',
+            backgroundColor: 'rgba(255, 165, 0, 0.1)',
+            tension: 0.3,
+            pointRadius: 0
+          },
+          {
+            label: 'Sampled',
+            data: [],
+            borderColor: '#4a90e2',
+            backgroundColor: 'rgba(74, 144, 226, 0.1)',
+            fill: true,
+            tension: 0.3,
+            pointRadius: 0
+          }
+        ]
+      },
+      options: this.getChartOptions('Throughput (Mbps)')
+    });
+    
     // Latency Distribution Chart
     this.charts.latency = new Chart(document.getElementById('latencyChart'), {
       type: 'line',
@@ -639,9 +717,14 @@ setTimeout(() => {
 // Load test history - FIXED VERSION
   async loadTestHistory() {
     try {
-      const response = await chrome.runtime.sendMessage({ type: 'GET_TEST_HISTORY' });
+      const response = await chrome.runtime.sendMessage({
+        type: 'QUERY_RESULTS',
+        query: { networkProfile: this.getNetworkFilter(), limit: 100 }
+      });
       if (response && response.success) {
-        this.testHistory = response.history || [];
+        this.testHistory = response.records;
+        this.testsTotal = response.total;
+        await this.loadChartSeries();
         this.updateChartsWithHistory();
         this.updateStatistics();
       } else {
@@ -654,36 +737,204 @@ setTimeout(() => {
     }
   }
 
+  // Trend charts over a date range - the background answers with single runs, or hourly and daily
+  // rollups once the range is long
+  async loadChartSeries() {
+    if (this.settings.chartRange === 'recent') {
+      this.chartSeries = null;
+      return;
+    }
+    
+    try {
+      const to = Date.now();
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_RESULT_SERIES',
+        query: {
+          from: to - Number(this.settings.chartRange) * 24 * 60 * 60 * 1000,
+          to,
+          networkProfile: this.getNetworkFilter()
+        }
+      });
+      this.chartSeries = response?.success ? { resolution: response.resolution, points: response.points } : null;
+    } catch (error) {
+      console.error('Failed to load chart series:', error);
+      this.chartSeries = null;
+    }
+  }
+
+  // Load known networks into the header filter
+  async loadNetworkProfiles() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_NETWORK_PROFILES' });
+      if (!response?.success) return;
+      
+      this.networkProfiles = response.profiles;
+      if (!this.networkProfiles.some(profile => profile.id === this.settings.networkProfile)) {
+        this.settings.networkProfile = 'all';
+      }
+      
+      const select = document.getElementById('networkProfileFilter');
+      select.innerHTML = '<option value="all">All networks</option>';
+      [...this.networkProfiles].sort((a, b) => b.lastSeen - a.lastSeen).forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.id === response.currentId ? `${profile.name} (current)` : profile.name;
+        option.title = [profile.isp, profile.asn ? `AS${profile.asn}` : null, profile.location].filter(Boolean).join(' · ');
+        select.appendChild(option);
+      });
+      select.value = this.settings.networkProfile;
+    } catch (error) {
+      console.error('Failed to load network profiles:', error);
+    }
+  }
+
+  // Selected network profile id, or null for all networks
+  getNetworkFilter() {
+    return this.settings.networkProfile === 'all' ? null : this.settings.networkProfile;
+  }
+
+  async renameNetworkProfile() {
+    const profile = this.networkProfiles.find(p => p.id === this.getNetworkFilter());
+    if (!profile) {
+      this.showNotification('Choose a network to rename first.', 'warning');
+      return;
+    }
+    
+    const name = prompt('Network name', profile.name);
+    if (!name || name.trim() === profile.name) return;
+    
+    const response = await chrome.runtime.sendMessage({ type: 'RENAME_NETWORK_PROFILE', id: profile.id, name });
+    if (response?.success) {
+      await this.loadNetworkProfiles();
+      this.showNotification(`Network renamed to "${response.profile.name}"`, 'success');
+    } else {
+      this.showNotification(response?.error || 'Rename failed.', 'error');
+    }
+  }
+
+  // Load outages from the persistent connectivity log
+  async loadOutageLog() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_CONNECTIVITY_LOG',
+        since: Date.now() - 24 * 60 * 60 * 1000,
+        profile: this.getNetworkFilter()
+      });
+      if (!response?.success) return;
+      
+      this.outages = response.log.outages;
+      this.updateElement('outages24h', this.outages.length);
+      
+      const element = document.getElementById('outages24h');
+      if (element) {
+        const downtime = this.outages.reduce((total, outage) => total + outage.duration, 0);
+        element.title = this.outages.length > 0
+          ? `${this.formatUptime(downtime)} offline in total\n` + this.outages.slice(-5).map(outage =>
+              `${this.formatTime(outage.start)} - ${outage.end ? this.formatUptime(outage.duration) : 'ongoing'} (${outage.probe?.error || 'probe failed'})`
+            ).join('\n')
+          : 'No outages in the last 24 hours';
+      }
+    } catch (error) {
+      console.error('Failed to load outage log:', error);
+    }
+  }
+
+  // Load availability figures computed from the connectivity log
+  async loadAvailabilityReport() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_AVAILABILITY_REPORT',
+        profile: this.getNetworkFilter()
+      });
+      if (!response?.success) return;
+      
+      this.availabilityReport = response.report;
+      this.renderAvailability();
+    } catch (error) {
+      console.error('Failed to load availability report:', error);
+    }
+  }
+
+  // Fill the availability cards
+  renderAvailability() {
+    const periods = this.availabilityReport?.periods || {};
+    
+    document.querySelectorAll('#availabilityGrid [data-period]').forEach(card => {
+      const period = periods[card.dataset.period];
+      const value = card.querySelector('.stat-value');
+      const detail = card.querySelector('.stat-detail');
+      
+      if (!period || period.availability === null) {
+        value.textContent = '--';
+        detail.textContent = 'No monitoring data yet';
+        card.title = '';
+        return;
+      }
+      
+      value.textContent = `${period.availability}%`;
+      detail.textContent = [
+        `MTBF ${period.mtbf !== null ? this.formatUptime(period.mtbf) : '--'}`,
+        `MTTR ${period.mttr !== null ? this.formatUptime(period.mttr) : '--'}`,
+        `Longest ${period.longestOutage ? this.formatUptime(period.longestOutage.duration) : '--'}`,
+        `Monitored ${period.coverage}% · Unknown ${this.formatUptime(period.unknown)}`
+      ].join(' · ');
+      card.title = `${period.failures} outage(s), ${this.formatUptime(period.downtime)} down out of ${this.formatUptime(period.monitored)} monitored`;
+    });
+  }
+
   // Update charts with history data
   updateChartsWithHistory() {
-    if (this.testHistory.length === 0) return;
+    if (this.testHistory.length === 0 && !this.chartSeries?.points.length) return;
     
     // Get last N data points
     const dataPoints = this.testHistory.slice(0, this.settings.chartDataPoints).reverse();
     
-    // Update performance chart
-    const performanceLabels = dataPoints.map(d => this.formatTime(d.timestamp));
-    const downloadSpeeds = dataPoints.map(d => d.results?.downloadSpeed?.overall?.average || 0);
-    const uploadSpeeds = dataPoints.map(d => d.results?.uploadSpeed?.overall?.average || 0);
-    
-    this.charts.performance.data.labels = performanceLabels;
-    this.charts.performance.data.datasets[0].data = downloadSpeeds;
-    this.charts.performance.data.datasets[1].data = uploadSpeeds;
-    this.charts.performance.update();
+    if (this.chartSeries) {
+      this.updateTrendCharts(this.chartSeries);
+    } else {
+      this.updateRecentTrendCharts(dataPoints);
+    }
     
     // Update speed test history chart
     const speedLabels = dataPoints.slice(-10).map(d => this.formatTime(d.timestamp));
-    const speedDownloads = dataPoints.slice(-10).map(d => d.results?.downloadSpeed?.overall?.average || 0);
-    const speedUploads = dataPoints.slice(-10).map(d => d.results?.uploadSpeed?.overall?.average || 0);
+    const speedDownloads = dataPoints.slice(-10).map(d => ResultFields.download(d) || 0);
+    const speedUploads = dataPoints.slice(-10).map(d => ResultFields.upload(d) || 0);
     
     this.charts.speed.data.labels = speedLabels;
     this.charts.speed.data.datasets[0].data = speedDownloads;
     this.charts.speed.data.datasets[1].data = speedUploads;
     this.charts.speed.update();
     
+    // Update throughput ramp chart
+    this.updateRampChart();
+    
+    // Update provider chart
+    this.updateProviderChart();
+    
+    // Update quality chart with latest data
+    if (dataPoints.length > 0) {
+      this.updateQualityChart(dataPoints[dataPoints.length - 1]);
+    }
+  }
+
+  // Performance, latency and score charts from the last chartDataPoints tests
+  updateRecentTrendCharts(dataPoints) {
+    const performanceLabels = dataPoints.map(d => this.formatTime(d.timestamp));
+    const downloadSpeeds = dataPoints.map(d => ResultFields.download(d) || 0);
+    const uploadSpeeds = dataPoints.map(d => ResultFields.upload(d) || 0);
+    
+    // Contaminated tests are drawn as crosses
+    const pointStyles = dataPoints.map(d => this.isContaminated(d) ? 'crossRot' : 'circle');
+    
+    this.charts.performance.data.labels = performanceLabels;
+    this.charts.performance.data.datasets[0].data = downloadSpeeds;
+    this.charts.performance.data.datasets[1].data = uploadSpeeds;
+    this.charts.performance.data.datasets.forEach(dataset => { dataset.pointStyle = pointStyles; });
+    this.charts.performance.update();
+    
     // Update latency chart
-    const latencyData = dataPoints.map(d => d.results?.latency?.overall?.average || 0);
-    const jitterData = dataPoints.map(d => d.results?.jitter?.average || 0);
+    const latencyData = dataPoints.map(d => ResultFields.latency(d) || 0);
+    const jitterData = dataPoints.map(d => ResultFields.jitter(d) || 0);
     
     this.charts.latency.data.labels = performanceLabels;
     this.charts.latency.data.datasets[0].data = latencyData;
@@ -691,19 +942,46 @@ setTimeout(() => {
     this.charts.latency.update();
     
     // Update score chart
-    const scores = dataPoints.map(d => d.results?.overallScore || 0);
+    const scores = dataPoints.map(d => ResultFields.score(d) || 0);
     
     this.charts.score.data.labels = performanceLabels;
     this.charts.score.data.datasets[0].data = scores;
     this.charts.score.update();
+  }
+
+  // Performance, latency and score charts from a date-range series, plotted at each bucket's median
+  // Contaminated runs are left out of rollups, so they show as gaps here
+  updateTrendCharts({ resolution, points }) {
+    const labels = points.map(point => this.formatBucket(point.start, resolution === 'raw' ? point.period : resolution));
+    const medians = metric => points.map(point => point.metrics[metric]?.median ?? null);
+    
+    this.charts.performance.data.labels = labels;
+    this.charts.performance.data.datasets[0].data = medians('download');
+    this.charts.performance.data.datasets[1].data = medians('upload');
+    this.charts.performance.data.datasets.forEach(dataset => { dataset.pointStyle = 'circle'; });
+    this.charts.performance.update();
     
-    // Update provider chart
-    this.updateProviderChart();
+    this.charts.latency.data.labels = labels;
+    this.charts.latency.data.datasets[0].data = medians('latency');
+    this.charts.latency.data.datasets[1].data = medians('jitter');
+    this.charts.latency.update();
     
-    // Update quality chart with latest data
-    if (dataPoints.length > 0) {
-      this.updateQualityChart(dataPoints[dataPoints.length - 1].results);
-    }
+    this.charts.score.data.labels = labels;
+    this.charts.score.data.datasets[0].data = medians('score');
+    this.charts.score.update();
+  }
+
+  // Update throughput ramp chart from the most recent adaptive test
+  updateRampChart() {
+    const latest = this.testHistory.find(test => ResultFields.downloadSeries(test).length);
+    if (!latest) return;
+    
+    const series = ResultFields.downloadSeries(latest);
+    
+    this.charts.ramp.data.labels = series.map(sample => `${(sample.time / 1000).toFixed(1)}s`);
+    this.charts.ramp.data.datasets[0].data = series.map(sample => sample.phase === 'sampling' ? null : sample.speed);
+    this.charts.ramp.data.datasets[1].data = series.map(sample => sample.phase === 'sampling' ? sample.speed : null);
+    this.charts.ramp.update();
   }
 
   // Update provider performance chart
@@ -711,7 +989,7 @@ setTimeout(() => {
     const providers = {};
     
     this.testHistory.forEach(test => {
-      const provider = test.results?.networkInfo?.provider || 'Unknown';
+      const provider = ResultFields.provider(test) || 'Unknown';
       providers[provider] = (providers[provider] || 0) + 1;
     });
     
@@ -721,14 +999,14 @@ setTimeout(() => {
   }
 
   // Update quality radar chart
-  updateQualityChart(results) {
-    if (!results) return;
+  updateQualityChart(test) {
+    if (!test) return;
     
-    const speedScore = Math.min(100, (results.downloadSpeed?.overall?.average || 0) / 100 * 100);
-    const latencyScore = Math.max(0, 100 - (results.latency?.overall?.average || 100));
-    const stabilityScore = results.connectionStability?.stabilityScore || 0;
-    const jitterScore = Math.max(0, 100 - (results.jitter?.average || 0));
-    const packetLossScore = Math.max(0, 100 - (results.packetLoss?.percentage || 0) * 10);
+    const speedScore = Math.min(100, (ResultFields.download(test) || 0) / 100 * 100);
+    const latencyScore = Math.max(0, 100 - (ResultFields.latency(test) ?? 100));
+    const stabilityScore = ResultFields.stability(test) || 0;
+    const jitterScore = Math.max(0, 100 - (ResultFields.jitter(test) || 0));
+    const packetLossScore = Math.max(0, 100 - (ResultFields.packetLoss(test) || 0) * 10);
     
     this.charts.quality.data.datasets[0].data = [
       speedScore,
@@ -751,17 +1029,21 @@ setTimeout(() => {
       return;
     }
     
-    // Calculate averages
+    // Calculate averages - tests run alongside streaming or downloads are left out unless asked for
     let totalLatency = 0;
     let totalSpeed = 0;
     let bestScore = 0;
     let validTests = 0;
     
-    this.testHistory.forEach(test => {
+    const averaged = this.settings.includeContaminated
+      ? this.testHistory
+      : this.testHistory.filter(test => !this.isContaminated(test));
+    
+    averaged.forEach(test => {
       if (test.results) {
-        const latency = test.results.latency?.overall?.average;
-        const speed = test.results.downloadSpeed?.overall?.average;
-        const score = test.results.overallScore;
+        const latency = ResultFields.latency(test);
+        const speed = ResultFields.download(test);
+        const score = ResultFields.score(test);
         
         if (latency) totalLatency += latency;
         if (speed) totalSpeed += speed;
@@ -777,7 +1059,7 @@ setTimeout(() => {
     this.updateElement('avgLatency', `${avgLatency}ms`);
     this.updateElement('avgSpeed', `${avgSpeed} Mbps`);
     this.updateElement('bestScore', bestScore);
-    this.updateElement('testsRun', this.testHistory.length);
+    this.updateElement('testsRun', Math.max(this.testsTotal, this.testHistory.length));
     
     if (this.testHistory.length > 0) {
       const lastTest = this.testHistory[0];
@@ -802,6 +1084,12 @@ setTimeout(() => {
     this.updateInterval = setInterval(() => {
       this.updateRealTimeMetrics();
     }, this.settings.chartUpdateInterval);
+    
+    // The outage log and availability report only change with the monitor's 30-second checks
+    this.connectivityInterval = setInterval(async () => {
+      await this.loadOutageLog();
+      await this.loadAvailabilityReport();
+    }, 30000);
   }
 
   // Stop real-time updates
@@ -810,6 +1098,10 @@ setTimeout(() => {
       clearInterval(this.updateInterval);
       this.updateInterval = null;
     }
+    if (this.connectivityInterval) {
+      clearInterval(this.connectivityInterval);
+      this.connectivityInterval = null;
+    }
   }
 
   // Restart real-time updates
@@ -827,12 +1119,12 @@ setTimeout(() => {
     
     // Update other metrics from last test
     if (this.testHistory.length > 0) {
-      const lastTest = this.testHistory[0].results;
+      const lastTest = this.testHistory[0];
       
-      this.updateElement('currentSpeed', Math.round(lastTest.downloadSpeed?.overall?.average || 0));
-      this.updateElement('currentJitter', Math.round(lastTest.jitter?.average || 0));
-      this.updateElement('networkScore', lastTest.overallScore || '--');
-      this.updateElement('packetLoss', (lastTest.packetLoss?.percentage || 0).toFixed(1));
+      this.updateElement('currentSpeed', Math.round(ResultFields.download(lastTest) || 0));
+      this.updateElement('currentJitter', Math.round(ResultFields.jitter(lastTest) || 0));
+      this.updateElement('networkScore', ResultFields.score(lastTest) ?? '--');
+      this.updateElement('packetLoss', (ResultFields.packetLoss(lastTest) || 0).toFixed(1));
       
       // Update connection quality
       const quality = this.calculateQuality(lastTest);
@@ -857,11 +1149,16 @@ setTimeout(() => {
     }
   }
 
+  // Whether other activity on the machine skewed a test
+  isContaminated(test) {
+    return ResultFields.isContaminated(test);
+  }
+
   // Calculate connection quality
-  calculateQuality(results) {
-    if (!results) return 'Unknown';
+  calculateQuality(test) {
+    if (!test) return 'Unknown';
     
-    const score = results.overallScore || 0;
+    const score = ResultFields.score(test) || 0;
     
     if (score >= 90) return 'Excellent';
     if (score >= 75) return 'Good';
@@ -871,13 +1168,15 @@ setTimeout(() => {
   }
 
   // Handle test results from background
-  handleTestResults(results) {
-    // Add to history
+  async handleTestResults(results) {
+    // Add to history until the saved record is reloaded
     const entry = {
-      timestamp: new Date().toISOString(),
-      results,
-      score: results.overallScore,
-      grade: results.grade
+      id: `live-${Date.now()}`,
+      schemaVersion: RESULT_SCHEMA_VERSION,
+      timestamp: Date.now(),
+      tags: [],
+      contaminated: ResultFields.isContaminated(results),
+      results
     };
     
     this.testHistory.unshift(entry);
@@ -885,7 +1184,8 @@ setTimeout(() => {
       this.testHistory = this.testHistory.slice(0, 100);
     }
     
-    // Update UI
+    // Update UI - a date-range series is re-read so it includes this run
+    if (this.chartSeries) await this.loadChartSeries();
     this.updateChartsWithHistory();
     this.updateStatistics();
     this.updateRealTimeMetrics();
@@ -893,7 +1193,7 @@ setTimeout(() => {
     // Show notification
     if (this.settings.showNotifications) {
       this.showNotification(
-        `Test Complete! Score: ${results.overallScore}`,
+        `Test Complete! Score: ${ResultFields.score(results) ?? '--'}`,
         'success'
       );
     }
@@ -904,6 +1204,7 @@ setTimeout(() => {
     this.showNotification('Refreshing dashboard...', 'info');
     
     await this.loadNetworkInfo();
+    await this.loadNetworkProfiles();
     await this.loadTestHistory();
     this.updateRealTimeMetrics();
     
@@ -947,6 +1248,7 @@ setTimeout(() => {
     const titles = {
       performance: 'Network Performance Over Time',
       speed: 'Speed Test History',
+      ramp: 'Download Throughput Ramp',
       latency: 'Latency Distribution',
       score: 'Network Score Trend',
       provider: 'Provider Performance',
@@ -1129,6 +1431,50 @@ resizeCharts() {
     this.showNotification('Data exported successfully!', 'success');
   }
 
+  // Export the availability report - CSV has one row per day, JSON everything
+  async exportAvailability(format) {
+    await this.loadAvailabilityReport();
+    const report = this.availabilityReport;
+    if (!report) {
+      this.showNotification('No availability data yet.', 'warning');
+      return;
+    }
+    
+    let content;
+    let type;
+    if (format === 'csv') {
+      const seconds = ms => ms !== null ? Math.round(ms / 1000) : '';
+      const rows = [
+        ['date', 'availability_pct', 'monitored_s', 'unknown_s', 'downtime_s', 'outages', 'mtbf_s', 'mttr_s', 'longest_outage_s'],
+        ...report.daily.map(day => [
+          day.date,
+          day.availability ?? '',
+          seconds(day.monitored),
+          seconds(day.unknown),
+          seconds(day.downtime),
+          day.failures,
+          seconds(day.mtbf),
+          seconds(day.mttr),
+          seconds(day.longestOutage?.duration ?? null)
+        ])
+      ];
+      content = rows.map(row => row.join(',')).join('\n');
+      type = 'text/csv';
+    } else {
+      content = JSON.stringify(report, null, 2);
+      type = 'application/json';
+    }
+    
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `wifi-kickstart-availability-${new Date().toISOString().slice(0, 10)}.${format}`;
+    a.click();
+    
+    URL.revokeObjectURL(url);
+    this.showNotification('Availability report exported!', 'success');
+  }
+
   // Clear history
   async clearHistory() {
     if (confirm('Are you sure you want to clear all test history?')) {
@@ -1185,6 +1531,15 @@ resizeCharts() {
   }
 
   // Format time
+  // Label for a series point - a run or hourly bucket gets date and time, a daily bucket the date
+  formatBucket(timestamp, period) {
+    const date = new Date(timestamp);
+    if (period === 'day') {
+      return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
+    return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
   formatTime(timestamp) {
     const date = new Date(timestamp);
     const now = new Date();
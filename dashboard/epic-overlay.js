@@ -1,6 +1,8 @@
 // 🔥 EPIC SPEED TEST OVERLAY CONTROLLER V2.0
 // Real-time connection to Epic Engine for live progress and speed updates
 
+import { ResultFields } from '../shared/result-schema.js';
+
 export class EpicOverlay {
   constructor() {
     this.isVisible = false;
@@ -291,6 +293,8 @@ export class EpicOverlay {
       'info': '📡 Gathering network information...',
       'latency': '⚡ Measuring latency...',
       'download': '📥 Testing download speed...',
+      'ramp': '📈 Ramping up download streams...',
+      'sampling': '📥 Sampling stable download speed...',
       'upload': '📤 Testing upload speed...',
       'advanced': '🔬 Running advanced diagnostics...',
       'gaming': '🎮 Testing gaming performance...',
@@ -573,9 +577,12 @@ export class EpicOverlay {
       // Update phase indicator
       const phaseElement = document.getElementById('speedPhase');
       if (phaseElement && this.testPhase) {
-        if (this.testPhase === 'download') {
+        if (this.testPhase === 'download' || this.testPhase === 'sampling') {
           phaseElement.textContent = '↓ Download';
           phaseElement.style.color = '#4a90e2';
+        } else if (this.testPhase === 'ramp') {
+          phaseElement.textContent = '↗ Ramp-up';
+          phaseElement.style.color = '#ffa500';
         } else if (this.testPhase === 'upload') {
           phaseElement.textContent = '↑ Upload';
           phaseElement.style.color = '#50c878';
@@ -676,36 +683,47 @@ export class EpicOverlay {
     const metrics = [
       {
         label: 'Download Speed',
-        value: Math.round(results.downloadSpeed?.overall?.average || 0),
+        value: Math.round(ResultFields.download(results) || 0),
         unit: 'Mbps',
         icon: '📥'
       },
       {
         label: 'Upload Speed',
-        value: Math.round(results.uploadSpeed?.overall?.average || 0),
+        value: Math.round(ResultFields.upload(results) || 0),
         unit: 'Mbps',
         icon: '📤'
       },
       {
         label: 'Latency',
-        value: Math.round(results.latency?.overall?.average || 0),
+        value: Math.round(ResultFields.latency(results) || 0),
         unit: 'ms',
         icon: '⚡'
       },
       {
         label: 'Jitter',
-        value: Math.round(results.jitter?.average || 0),
+        value: Math.round(ResultFields.jitter(results) || 0),
         unit: 'ms',
         icon: '📊'
       },
       {
         label: 'Overall Score',
-        value: results.overallScore || 0,
-        unit: results.grade || '',
+        value: ResultFields.score(results) || 0,
+        unit: ResultFields.grade(results) || '',
         icon: '🏆'
       }
     ];
     
+    // Latency under load, when the bufferbloat phase ran
+    const bufferbloat = ResultFields.bufferbloat(results);
+    if (bufferbloat?.grade) {
+      metrics.push({
+        label: 'Bufferbloat',
+        value: bufferbloat.grade,
+        unit: '+' + Math.round(bufferbloat.worstIncrease) + 'ms · ' + (bufferbloat.rpm || '--') + ' RPM',
+        icon: '📶'
+      });
+    }
+    
     let html = '';
     metrics.forEach(metric => {
       html += '<div class="metric-card">';
@@ -801,7 +819,7 @@ export class EpicOverlay {
       results.dnsPerformance.tests.forEach(dns => {
         html += '<div class="data-row">';
         html += '<span class="data-label">' + dns.domain + '</span>';
-        html += '<span class="data-value">' + (dns.time ? dns.time + 'ms' : 'Failed') + '</span>';
+        html += '<span class="data-value">' + (!dns.success ? 'Failed' : dns.measurement === 'cached' ? 'Cached' : dns.time + 'ms' + (dns.measurement === 'round-trip' ? ' (RTT)' : '')) + '</span>';
         html += '</div>';
       });
       html += '</div>';
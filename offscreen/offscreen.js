@@ -0,0 +1,99 @@
+// 📄 OFFSCREEN DOCUMENT - Page context for probes the service worker can't run
+// Receives RUN_PROBE requests from OffscreenRunner and answers with the probe result
+
+// Probe implementations by name - each receives (payload, signal)
+const probes = {
+  WEBRTC_CANDIDATES: gatherCandidates
+};
+
+// Abort controllers for probes in flight, by request id
+const running = new Map();
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return false;
+
+  switch (message.type) {
+    case 'PING':
+      sendResponse({ ready: true, probes: Object.keys(probes) });
+      return false;
+
+    case 'CANCEL_PROBE':
+      running.get(message.id)?.abort();
+      running.delete(message.id);
+      return false;
+
+    case 'RUN_PROBE':
+      runProbe(message)
+        .then(result => sendResponse({ success: true, result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Will respond asynchronously
+  }
+
+  return false;
+});
+
+// Run a named probe with an abort signal the runner can trigger
+async function runProbe({ id, probe, payload }) {
+  const implementation = probes[probe];
+  if (!implementation) throw new Error(`Probe not available in offscreen document: ${probe}`);
+
+  const controller = new AbortController();
+  running.set(id, controller);
+
+  try {
+    return await implementation(payload || {}, controller.signal);
+  } finally {
+    running.delete(id);
+  }
+}
+
+// Gather ICE candidates against the configured STUN servers
+async function gatherCandidates({ stunServers = [], timeout = 5000 }, signal) {
+  const pc = new RTCPeerConnection({
+    iceServers: stunServers.length > 0 ? [{ urls: stunServers }] : []
+  });
+  const candidates = [];
+
+  try {
+    const complete = new Promise(resolve => {
+      pc.onicecandidate = (event) => {
+        if (!event.candidate) {
+          resolve();
+          return;
+        }
+        
+        const parsed = parseCandidate(event.candidate.candidate);
+        if (parsed) candidates.push(parsed);
+      };
+      signal.addEventListener('abort', resolve);
+    });
+
+    pc.createDataChannel('wifi-kickstart-probe');
+    await pc.setLocalDescription(await pc.createOffer());
+
+    // Gathering can hang on unreachable STUN servers - keep whatever arrived in time
+    await Promise.race([complete, new Promise(resolve => setTimeout(resolve, timeout))]);
+
+    return { candidates, gatheringState: pc.iceGatheringState };
+
+  } finally {
+    pc.close();
+  }
+}
+
+// Parse an ICE candidate line: foundation component protocol priority address port typ type ...
+function parseCandidate(line) {
+  const parts = line.replace(/^candidate:/, '').split(' ');
+  if (parts.length < 8) return null;
+
+  const typeIndex = parts.indexOf('typ');
+  const raddrIndex = parts.indexOf('raddr');
+
+  return {
+    protocol: parts[2].toLowerCase(),
+    address: parts[4],
+    port: parseInt(parts[5], 10),
+    type: typeIndex >= 0 ? parts[typeIndex + 1] : 'unknown',
+    relatedAddress: raddrIndex >= 0 ? parts[raddrIndex + 1] : null
+  };
+}
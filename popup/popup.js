@@ -1,6 +1,8 @@
 // 🚀 Wi-Fi Kickstart Popup - Tidied Up Version
 // Professional popup interface with auto-save and smart theme handling
 
+import { ResultFields } from '../shared/result-schema.js';
+
 // ⚙️ CONFIGURATION & STATE
 let isTestRunning = false;
 let lastTestResults = null;
@@ -210,7 +212,8 @@ async function updateNetworkInfo() {
           
           elements.networkDetails.textContent = `${displayIP} • UP ${uptime}`;
         } else {
-          elements.networkDetails.textContent = 'Disconnected';
+          // DNS failures and captive portals aren't a dead link - say which it is
+          elements.networkDetails.textContent = info.state && info.state !== 'offline' ? info.status : 'Disconnected';
           elements.networkDetails.title = 'No network connection';
         }
       }
@@ -225,12 +228,37 @@ async function updateNetworkInfo() {
       updateNetworkDisplayOffline();
     }
     
+    await updateOutageSummary();
+    
   } catch (error) {
     console.error('Failed to update network info:', error);
     updateNetworkDisplayOffline();
   }
 }
 
+// 📜 OUTAGE SUMMARY - Last 24 hours from the persistent connectivity log
+async function updateOutageSummary() {
+  if (!elements.networkDetails) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'GET_CONNECTIVITY_LOG',
+      since: Date.now() - 24 * 60 * 60 * 1000
+    });
+    const outages = response?.log?.outages || [];
+    if (outages.length === 0) return;
+    
+    const last = outages[outages.length - 1];
+    const lastText = last.end
+      ? `last at ${new Date(last.start).toLocaleTimeString()} for ${Math.round(last.duration / 1000)}s`
+      : `ongoing since ${new Date(last.start).toLocaleTimeString()}`;
+    
+    elements.networkDetails.title += ` • ${outages.length} outage${outages.length === 1 ? '' : 's'} in 24h, ${lastText}`;
+  } catch (error) {
+    console.error('Failed to load outage log:', error);
+  }
+}
+
 // 📶 UPDATE NETWORK DISPLAY - OFFLINE STATE
 function updateNetworkDisplayOffline() {
   if (elements.wifiIcon) {
@@ -585,9 +613,9 @@ function startConnectionMonitoring() {
 
 async function loadLastTestResults() {
   try {
-    const response = await chrome.runtime.sendMessage({ type: 'GET_TEST_HISTORY' });
-    if (response && response.success && response.history && response.history.length > 0) {
-      const lastTest = response.history[0];
+    const response = await chrome.runtime.sendMessage({ type: 'QUERY_RESULTS', query: { limit: 1 } });
+    if (response && response.success && response.records.length > 0) {
+      const lastTest = response.records[0];
       if (lastTest.results) {
         lastTestResults = lastTest.results;
         updateTestResults(lastTest.results);
@@ -635,25 +663,25 @@ function updateTestResults(results) {
   if (!results) return;
   
   // Update download speed
-  const downloadSpeed = results.downloadSpeed?.overall?.average || results.speed?.download?.average || 0;
+  const downloadSpeed = ResultFields.download(results) || 0;
   if (elements.downloadSpeed) {
     elements.downloadSpeed.textContent = Math.round(downloadSpeed);
   }
   
   // Update upload speed
-  const uploadSpeed = results.uploadSpeed?.overall?.average || results.speed?.upload?.average || 0;
+  const uploadSpeed = ResultFields.upload(results) || 0;
   if (elements.uploadSpeed) {
     elements.uploadSpeed.textContent = Math.round(uploadSpeed);
   }
   
   // Update latency
-  const latency = results.latency?.overall?.average || results.latency?.average || 0;
+  const latency = ResultFields.latency(results) || 0;
   if (elements.latencyValue) {
     elements.latencyValue.textContent = Math.round(latency);
   }
   
   // Update network score
-  const networkScore = results.overallScore || 0;
+  const networkScore = ResultFields.score(results) || 0;
   if (elements.networkScore) {
     elements.networkScore.textContent = Math.round(networkScore);
     elements.networkScore.style.color = getScoreColor(networkScore);
@@ -667,7 +695,7 @@ function updateTestResults(results) {
   updateScoreCardStyling(elements.networkScoreCard, networkScore);
   
   // Update privacy score if available
-  const privacyScore = results.privacyScore || results.securityScore || 0;
+  const privacyScore = ResultFields.securityScore(results) || 0;
   if (elements.privacyScore) {
     elements.privacyScore.textContent = Math.round(privacyScore);
     elements.privacyScore.style.color = getScoreColor(privacyScore);
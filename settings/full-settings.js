@@ -6,6 +6,7 @@
   const settingsConfig = {
     // Download Tests
     downloadEnabled: true,
+    adaptiveDownload: false, // Duration-based download instead of fixed file sizes
     downloadSizes: ['256KB', '512KB', '1MB', '5MB', '10MB'],
     downloadIterations: 3,
     downloadConnections: 4,
@@ -42,8 +43,10 @@
     highContrast: false,
     
     // Data Management
-    historyRetention: 30,
-    maxTestsStored: 100,
+    rawResultDays: 30,    // Days of full results before they are rolled up by hour; 0 never rolls up
+    hourlyRollupDays: 180, // Days of hourly rollups before they are rolled up by day
+    historyRetention: 0,  // Days; 0 keeps results and rollups forever
+    maxTestsStored: 0,    // Full results kept; 0 means no limit
     
     // Current State
     isDirty: false,
@@ -97,6 +100,23 @@
     // Data management
     setupDataManagement();
     
+    // Speed test servers
+    setupServerManagement();
+    
+    // Privacy leak tests
+    setupLeakTestSettings();
+    
+    // Scheduled background tests
+    setupScheduleManagement();
+    
+    // Scoring profiles
+    setupScoringSettings();
+    
+    // Connectivity monitoring probes
+    setupProbeSettings();
+    setupAlertSettings();
+    setupBadgeSettings();
+    
     // Footer actions
     setupFooterActions();
     
@@ -338,6 +358,13 @@
       });
     }
 
+    // Recompute scores
+    const rescoreHistoryBtn = panel.querySelector('#rescoreHistoryBtn');
+    if (rescoreHistoryBtn) {
+      rescoreHistoryBtn.addEventListener('click', () => rescoreHistory());
+      watchRescore();
+    }
+
     // Clear data
     const clearOldDataBtn = panel.querySelector('#clearOldDataBtn');
     if (clearOldDataBtn) {
@@ -356,6 +383,200 @@
         }
       });
     }
+
+    updateDataStats();
+  }
+
+  // Self-hosted speed test servers
+  function setupServerManagement() {
+    const addServerBtn = panel.querySelector('#addServerBtn');
+    if (addServerBtn) {
+      addServerBtn.addEventListener('click', addServer);
+    }
+
+    const checkServersBtn = panel.querySelector('#checkServersBtn');
+    if (checkServersBtn) {
+      checkServersBtn.addEventListener('click', () => checkServerHealth());
+    }
+
+    const activeServer = panel.querySelector('#activeServer');
+    if (activeServer) {
+      activeServer.addEventListener('change', () => selectServer(activeServer.value));
+    }
+
+    const serverList = panel.querySelector('#serverList');
+    if (serverList) {
+      serverList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-server-action]');
+        if (!button) return;
+        
+        const { serverAction, serverId } = button.dataset;
+        if (serverAction === 'check') {
+          checkServerHealth(serverId);
+        } else if (serverAction === 'grant') {
+          grantServerPermission(serverId);
+        } else if (serverAction === 'remove' && confirm('Remove this server?')) {
+          removeServer(serverId);
+        }
+      });
+    }
+
+    loadServers();
+
+    const saveDohResolverBtn = panel.querySelector('#saveDohResolverBtn');
+    if (saveDohResolverBtn) {
+      saveDohResolverBtn.addEventListener('click', saveDohResolver);
+    }
+  }
+
+  // Privacy leak test settings (stored in the background config)
+  function setupLeakTestSettings() {
+    const saveDnsLeakBtn = panel.querySelector('#saveDnsLeakBtn');
+    if (saveDnsLeakBtn) {
+      saveDnsLeakBtn.addEventListener('click', saveDnsLeakSettings);
+    }
+
+    chrome.runtime.sendMessage({ type: 'GET_CONFIG' }).then(response => {
+      const security = response?.config?.securityTests || {};
+      const zoneInput = panel.querySelector('#dnsLeakZone');
+      const reportInput = panel.querySelector('#dnsLeakReportUrl');
+      if (zoneInput) zoneInput.value = security.dnsLeakZone || '';
+      if (reportInput) reportInput.value = security.dnsLeakReportUrl || '';
+    }).catch(error => console.error('Error loading leak test settings:', error));
+  }
+
+  // Scheduled background tests
+  function setupScheduleManagement() {
+    const addScheduleBtn = panel.querySelector('#addScheduleBtn');
+    if (addScheduleBtn) {
+      addScheduleBtn.addEventListener('click', addSchedule);
+    }
+
+    const scheduleType = panel.querySelector('#scheduleType');
+    if (scheduleType) {
+      scheduleType.addEventListener('change', () => {
+        panel.querySelector('#scheduleIntervalRow').style.display = scheduleType.value === 'interval' ? '' : 'none';
+        panel.querySelector('#scheduleTimesRow').style.display = scheduleType.value === 'times' ? '' : 'none';
+      });
+    }
+
+    panel.querySelectorAll('.weekday-tag').forEach(tag => {
+      tag.addEventListener('click', () => tag.classList.toggle('active'));
+    });
+
+    const scheduleList = panel.querySelector('#scheduleList');
+    if (scheduleList) {
+      scheduleList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-schedule-action]');
+        if (!button) return;
+        
+        const { scheduleAction, scheduleId } = button.dataset;
+        if (scheduleAction === 'toggle') {
+          toggleSchedule(scheduleId);
+        } else if (scheduleAction === 'remove' && confirm('Remove this schedule?')) {
+          removeSchedule(scheduleId);
+        }
+      });
+    }
+
+    loadSchedules();
+  }
+
+  // Connectivity monitoring probes (stored in the background config)
+  function setupProbeSettings() {
+    const saveProbesBtn = panel.querySelector('#saveProbesBtn');
+    if (saveProbesBtn) {
+      saveProbesBtn.addEventListener('click', saveProbeSettings);
+    }
+
+    chrome.runtime.sendMessage({ type: 'GET_CONFIG' }).then(response => {
+      const connectivity = response?.config?.connectivity || {};
+      const probes = { google: true, cloudflare: true, microsoft: true, ...connectivity.probes };
+      
+      panel.querySelector('#probeGoogle').checked = probes.google;
+      panel.querySelector('#probeCloudflare').checked = probes.cloudflare;
+      panel.querySelector('#probeMicrosoft').checked = probes.microsoft;
+      panel.querySelector('#customProbeUrl').value = connectivity.customProbeUrl || '';
+      panel.querySelector('#gatewayUrl').value = connectivity.gatewayUrl || '';
+      panel.querySelector('#offlineQuorum').value = connectivity.offlineQuorum || 2;
+    }).catch(error => console.error('Error loading probe settings:', error));
+  }
+
+  function setupBadgeSettings() {
+    const saveBadgeBtn = panel.querySelector('#saveBadgeBtn');
+    if (saveBadgeBtn) {
+      saveBadgeBtn.addEventListener('click', saveBadgeSettings);
+    }
+
+    chrome.runtime.sendMessage({ type: 'GET_CONFIG' }).then(response => {
+      const badge = response?.config?.badge;
+      if (!badge) return;
+      
+      if (badge.mode) panel.querySelector('#badgeMode').value = badge.mode;
+      (badge.latencyThresholds || []).forEach((value, i) => {
+        panel.querySelectorAll('.badge-latency-threshold')[i].value = value;
+      });
+      (badge.speedThresholds || []).forEach((value, i) => {
+        panel.querySelectorAll('.badge-speed-threshold')[i].value = value;
+      });
+    }).catch(error => console.error('Error loading badge settings:', error));
+  }
+
+  function setupAlertSettings() {
+    const saveAlertsBtn = panel.querySelector('#saveAlertsBtn');
+    if (saveAlertsBtn) {
+      saveAlertsBtn.addEventListener('click', saveAlertSettings);
+    }
+
+    chrome.runtime.sendMessage({ type: 'GET_ALERT_CONFIG' }).then(response => {
+      const config = response?.config;
+      if (!config) return;
+      
+      panel.querySelector('#alertsEnabled').checked = config.enabled;
+      panel.querySelector('#alertSound').checked = config.sound;
+      panel.querySelector('#quietHoursEnabled').checked = config.quietHours.enabled;
+      panel.querySelector('#quietHoursStart').value = config.quietHours.start;
+      panel.querySelector('#quietHoursEnd').value = config.quietHours.end;
+      
+      config.rules.forEach(rule => {
+        const block = panel.querySelector(`[data-alert-rule="${rule.id}"]`);
+        if (!block) return;
+        
+        block.querySelector('[data-field="enabled"]').checked = rule.enabled;
+        block.querySelector('[data-field="cooldownMinutes"]').value = rule.cooldownMinutes;
+        const threshold = block.querySelector('[data-field="threshold"]');
+        if (threshold) threshold.value = rule.threshold;
+      });
+    }).catch(error => console.error('Error loading alert settings:', error));
+  }
+
+  function setupScoringSettings() {
+    const profileSelect = panel.querySelector('#scoringProfile');
+    if (!profileSelect) return;
+    
+    // Switching the select shows that profile; nothing is saved until Save Scoring
+    profileSelect.addEventListener('change', () => renderScoringProfile(profileSelect.value));
+    
+    panel.querySelector('#saveScoringBtn').addEventListener('click', saveScoringSettings);
+    panel.querySelector('#resetScoringProfileBtn').addEventListener('click', () => {
+      renderScoringProfile(profileSelect.value, scoring.defaults[profileSelect.value]);
+      showNotification('Built-in values restored - save to keep them');
+    });
+    
+    loadScoringProfiles();
+    
+    // Recommendation rules share the panel
+    panel.querySelector('#saveRecommendationRulesBtn').addEventListener('click', saveRecommendationRules);
+    panel.querySelector('#exportRecommendationRulesBtn').addEventListener('click', exportRecommendationRules);
+    
+    const importRulesFile = panel.querySelector('#importRecommendationRulesFile');
+    panel.querySelector('#importRecommendationRulesBtn').addEventListener('click', () => importRulesFile.click());
+    importRulesFile.addEventListener('change', (e) => {
+      if (e.target.files[0]) importRecommendationRules(e.target.files[0]);
+      e.target.value = '';
+    });
+    
+    loadRecommendationRules();
   }
 
   // Footer actions
@@ -473,6 +694,19 @@
   function saveConfiguration() {
     try {
       localStorage.setItem('wifiKickstart_fullSettings', JSON.stringify(settingsConfig));
+      // The background keeps its own copy of these; other download settings are left as they are
+      chrome.runtime.sendMessage({ type: 'GET_CONFIG' })
+        .then(response => chrome.runtime.sendMessage({
+          type: 'UPDATE_CONFIG',
+          config: {
+            results: getRetentionPolicy(),
+            downloadTests: {
+              ...response?.config?.downloadTests,
+              mode: settingsConfig.adaptiveDownload ? 'adaptive' : 'fixed'
+            }
+          }
+        }))
+        .catch(error => console.error('Error saving test configuration:', error));
       console.log('Configuration saved successfully');
     } catch (error) {
       console.error('Error saving configuration:', error);
@@ -484,6 +718,9 @@
     const downloadEnabled = panel.querySelector('#downloadEnabled');
     if (downloadEnabled) downloadEnabled.checked = settingsConfig.downloadEnabled;
     
+    const adaptiveDownload = panel.querySelector('#adaptiveDownload');
+    if (adaptiveDownload) adaptiveDownload.checked = settingsConfig.adaptiveDownload;
+    
     const downloadIterations = panel.querySelector('#downloadIterations');
     if (downloadIterations) downloadIterations.value = settingsConfig.downloadIterations;
     
@@ -540,6 +777,12 @@
     if (highContrast) highContrast.checked = settingsConfig.highContrast;
 
     // Data settings
+    const rawResultDays = panel.querySelector('#rawResultDays');
+    if (rawResultDays) rawResultDays.value = settingsConfig.rawResultDays;
+    
+    const hourlyRollupDays = panel.querySelector('#hourlyRollupDays');
+    if (hourlyRollupDays) hourlyRollupDays.value = settingsConfig.hourlyRollupDays;
+    
     const historyRetention = panel.querySelector('#historyRetention');
     if (historyRetention) historyRetention.value = settingsConfig.historyRetention;
     
@@ -560,6 +803,9 @@
     const downloadEnabled = panel.querySelector('#downloadEnabled');
     if (downloadEnabled) settingsConfig.downloadEnabled = downloadEnabled.checked;
     
+    const adaptiveDownload = panel.querySelector('#adaptiveDownload');
+    if (adaptiveDownload) settingsConfig.adaptiveDownload = adaptiveDownload.checked;
+    
     const downloadIterations = panel.querySelector('#downloadIterations');
     if (downloadIterations) settingsConfig.downloadIterations = parseInt(downloadIterations.value);
     
@@ -603,6 +849,12 @@
     if (highContrast) settingsConfig.highContrast = highContrast.checked;
 
     // Data settings
+    const rawResultDays = panel.querySelector('#rawResultDays');
+    if (rawResultDays) settingsConfig.rawResultDays = parseInt(rawResultDays.value);
+    
+    const hourlyRollupDays = panel.querySelector('#hourlyRollupDays');
+    if (hourlyRollupDays) settingsConfig.hourlyRollupDays = parseInt(hourlyRollupDays.value);
+    
     const historyRetention = panel.querySelector('#historyRetention');
     if (historyRetention) settingsConfig.historyRetention = parseInt(historyRetention.value);
     
@@ -739,12 +991,15 @@
     }
   }
 
-  // Data management functions
-  function exportAllData() {
+  // Data management functions - test results come from the background's results repository
+  async function exportAllData() {
     try {
+      const response = await chrome.runtime.sendMessage({ type: 'QUERY_RESULTS', query: { limit: 0 } });
+      const rollups = await chrome.runtime.sendMessage({ type: 'QUERY_ROLLUPS' });
       const data = {
         settings: settingsConfig,
-        testHistory: JSON.parse(localStorage.getItem('wifiKickstart_testHistory') || '[]'),
+        testHistory: response?.records || [],
+        resultRollups: rollups?.rollups || [],
         themes: JSON.parse(localStorage.getItem('wifiKickstart_customThemes') || '[]'),
         exportDate: new Date().toISOString(),
         version: '2.0'
@@ -766,7 +1021,7 @@
 
   function importData(file) {
     const reader = new FileReader();
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       try {
         const data = JSON.parse(e.target.result);
         
@@ -775,8 +1030,16 @@
           applySettingsToUI();
         }
         
-        if (data.testHistory) {
-          localStorage.setItem('wifiKickstart_testHistory', JSON.stringify(data.testHistory));
+        if (data.testHistory?.length > 0 || data.resultRollups?.length > 0) {
+          const response = await chrome.runtime.sendMessage({
+            type: 'IMPORT_RESULTS',
+            records: data.testHistory || [],
+            rollups: data.resultRollups || []
+          });
+          if (!response?.success) throw new Error(response?.error || 'Test results were not imported');
+          if (response.skipped > 0) {
+            showNotification(`${response.skipped} invalid test result(s) were skipped`, 'warning');
+          }
         }
         
         if (data.themes) {
@@ -784,6 +1047,7 @@
         }
         
         saveConfiguration();
+        updateDataStats();
         showNotification('Data imported successfully!');
         
       } catch (error) {
@@ -793,27 +1057,26 @@
     reader.readAsText(file);
   }
 
-  function clearOldData() {
+  // Retention policy for the results repository; 0 means no limit
+  function getRetentionPolicy() {
+    return {
+      rawDays: settingsConfig.rawResultDays || null,
+      hourlyDays: settingsConfig.hourlyRollupDays || null,
+      maxAgeDays: settingsConfig.historyRetention || null,
+      maxRecords: settingsConfig.maxTestsStored || null
+    };
+  }
+
+  async function clearOldData() {
     try {
-      const testHistory = JSON.parse(localStorage.getItem('wifiKickstart_testHistory') || '[]');
-      const retentionDays = settingsConfig.historyRetention;
-      
-      if (retentionDays === 0) {
+      const policy = getRetentionPolicy();
+      if (!policy.rawDays && !policy.maxAgeDays && !policy.maxRecords) {
         showNotification('Retention set to forever, no data to clear');
         return;
       }
       
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
-      
-      const filteredHistory = testHistory.filter(test => {
-        return new Date(test.timestamp) > cutoffDate;
-      });
-      
-      localStorage.setItem('wifiKickstart_testHistory', JSON.stringify(filteredHistory));
-      
-      const deletedCount = testHistory.length - filteredHistory.length;
-      showNotification(`Cleared ${deletedCount} old test records`);
+      const response = await chrome.runtime.sendMessage({ type: 'APPLY_RETENTION', policy });
+      showNotification(`Summarized or cleared ${response?.deleted || 0} old test records`);
       updateDataStats();
       
     } catch (error) {
@@ -821,9 +1084,9 @@
     }
   }
 
-  function clearAllData() {
+  async function clearAllData() {
     try {
-      localStorage.removeItem('wifiKickstart_testHistory');
+      await chrome.runtime.sendMessage({ type: 'CLEAR_HISTORY' });
       localStorage.removeItem('wifiKickstart_customThemes');
       
       showNotification('All data cleared successfully');
@@ -834,34 +1097,77 @@
     }
   }
 
-  function updateDataStats() {
+  // The background job rewrites every stored run; poll its progress while it runs
+  let rescoreTimer = null;
+
+  // profileId moves every run to that scoring profile; without it each run keeps its own
+  async function rescoreHistory(profileId = null) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'START_RESCORE', force: true, profileId });
+      if (!response?.success) throw new Error(response?.error || 'Rescore did not start');
+      renderRescoreStatus(response.status);
+      watchRescore();
+    } catch (error) {
+      showNotification('Error recomputing scores: ' + error.message, 'error');
+    }
+  }
+
+  async function watchRescore() {
+    clearTimeout(rescoreTimer);
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_RESCORE_STATUS' });
+      if (!response?.success) return;
+      
+      renderRescoreStatus(response.status);
+      if (response.status.state === 'running') {
+        rescoreTimer = setTimeout(watchRescore, 1000);
+      }
+    } catch (error) {
+      console.error('Failed to read rescore status:', error);
+    }
+  }
+
+  function renderRescoreStatus(status) {
+    const button = panel.querySelector('#rescoreHistoryBtn');
+    const label = panel.querySelector('#rescoreStatus');
+    if (button) button.disabled = status.state === 'running';
+    if (!label) return;
+    
+    const messages = {
+      running: `Rescoring… ${status.processed} of ${status.total} tests`,
+      complete: `${status.updated} tests scored with scoring v${status.scoringVersion}`,
+      cancelled: `Stopped after ${status.processed} of ${status.total} tests`,
+      error: `Rescore failed: ${status.error}`
+    };
+    label.textContent = messages[status.state] || '';
+  }
+
+  async function updateDataStats() {
     try {
-      const testHistory = JSON.parse(localStorage.getItem('wifiKickstart_testHistory') || '[]');
-      const customThemes = JSON.parse(localStorage.getItem('wifiKickstart_customThemes') || '[]');
+      const response = await chrome.runtime.sendMessage({ type: 'QUERY_RESULTS', query: { limit: 1 } });
+      const testCount = response?.total || 0;
+      const lastTest = response?.records?.[0];
       
-      // Calculate storage usage (rough estimate)
-      const historySize = new Blob([JSON.stringify(testHistory)]).size;
-      const themesSize = new Blob([JSON.stringify(customThemes)]).size;
-      const totalSize = historySize + themesSize;
+      // Results live in IndexedDB, so ask the browser for the origin's usage
+      const { usage = 0 } = await navigator.storage.estimate();
       
       const testsStored = panel.querySelector('#testsStored');
-      if (testsStored) testsStored.textContent = testHistory.length;
+      if (testsStored) testsStored.textContent = testCount;
       
       const storageUsed = panel.querySelector('#storageUsed');
-      if (storageUsed) storageUsed.textContent = `${(totalSize / 1024 / 1024).toFixed(2)} MB`;
+      if (storageUsed) storageUsed.textContent = `${(usage / 1024 / 1024).toFixed(2)} MB`;
       
       // Update sidebar stats
       const totalTestsRun = panel.querySelector('#totalTestsRun');
-      if (totalTestsRun) totalTestsRun.textContent = testHistory.length;
+      if (totalTestsRun) totalTestsRun.textContent = testCount;
       
       const totalDataStored = panel.querySelector('#totalDataStored');
-      if (totalDataStored) totalDataStored.textContent = `${(totalSize / 1024 / 1024).toFixed(1)} MB`;
+      if (totalDataStored) totalDataStored.textContent = `${(usage / 1024 / 1024).toFixed(1)} MB`;
       
       const lastTestTime = panel.querySelector('#lastTestTime');
-      if (lastTestTime && testHistory.length > 0) {
-        const lastTest = testHistory[testHistory.length - 1];
-        const lastDate = new Date(lastTest.timestamp);
-        lastTestTime.textContent = lastDate.toLocaleDateString();
+      if (lastTestTime && lastTest) {
+        lastTestTime.textContent = new Date(lastTest.timestamp).toLocaleDateString();
       }
       
     } catch (error) {
@@ -869,6 +1175,790 @@
     }
   }
 
+  // Speed test server functions
+  let customServers = [];
+
+  async function loadServers() {
+    try {
+      const [serversResponse, configResponse] = await Promise.all([
+        chrome.runtime.sendMessage({ type: 'GET_SERVERS' }),
+        chrome.runtime.sendMessage({ type: 'GET_CONFIG' })
+      ]);
+      
+      customServers = serversResponse?.servers || [];
+      renderServers(configResponse?.config?.servers?.selectedId || '');
+      
+      const customDohUrl = panel.querySelector('#customDohUrl');
+      if (customDohUrl) customDohUrl.value = configResponse?.config?.protocolTests?.dohCustomResolver?.url || '';
+    } catch (error) {
+      console.error('Error loading servers:', error);
+    }
+  }
+
+  function renderServers(selectedId) {
+    const activeServer = panel.querySelector('#activeServer');
+    if (activeServer) {
+      activeServer.length = 1; // Keep "Built-in servers"
+      customServers.forEach(server => {
+        activeServer.add(new Option(server.name, server.id, false, server.id === selectedId));
+      });
+    }
+
+    const serverList = panel.querySelector('#serverList');
+    if (!serverList) return;
+    serverList.innerHTML = '';
+
+    customServers.forEach(server => {
+      const health = server.health || { status: 'unchecked' };
+      const item = document.createElement('div');
+      item.className = 'server-item';
+      
+      const info = document.createElement('div');
+      info.className = 'server-info';
+      
+      const name = document.createElement('div');
+      name.className = 'server-name';
+      name.textContent = server.name;
+      
+      const meta = document.createElement('div');
+      meta.className = 'server-meta';
+      meta.textContent = server.url + (health.latency !== null && health.latency !== undefined ? ` · ${health.latency}ms` : '') +
+        (health.ip ? ` · ${health.ip}` : '');
+      
+      info.append(name, meta);
+      
+      const status = document.createElement('span');
+      status.className = `server-status ${health.status}`;
+      status.textContent = health.status.replace('-', ' ');
+      
+      item.append(info, status);
+      
+      const actions = health.status === 'no-permission'
+        ? [['grant', '🔓 Grant'], ['remove', '🗑️']]
+        : [['check', '🩺 Check'], ['remove', '🗑️']];
+      
+      actions.forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.className = 'btn secondary';
+        button.dataset.serverAction = action;
+        button.dataset.serverId = server.id;
+        button.textContent = label;
+        item.appendChild(button);
+      });
+      
+      serverList.appendChild(item);
+    });
+  }
+
+  async function addServer() {
+    const nameInput = panel.querySelector('#serverName');
+    const urlInput = panel.querySelector('#serverUrl');
+    const url = urlInput?.value.trim();
+    
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch {
+      showNotification('Please enter a valid server URL', 'error');
+      return;
+    }
+
+    try {
+      // Must run inside the click handler - permission prompts need a user gesture
+      const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+      if (!granted) {
+        showNotification('Permission denied - the server will be skipped until access is granted', 'warning');
+      }
+      
+      const response = await chrome.runtime.sendMessage({
+        type: 'ADD_SERVER',
+        server: { name: nameInput?.value.trim(), url }
+      });
+      
+      if (!response?.success) throw new Error(response?.error || 'Unknown error');
+      
+      nameInput.value = '';
+      urlInput.value = '';
+      showNotification(`Server added (${response.server.health.status})`);
+      loadServers();
+    } catch (error) {
+      showNotification('Error adding server: ' + error.message, 'error');
+    }
+  }
+
+  async function grantServerPermission(id) {
+    const server = customServers.find(s => s.id === id);
+    if (!server) return;
+    
+    const granted = await chrome.permissions.request({ origins: [`${new URL(server.url).origin}/*`] });
+    if (granted) {
+      checkServerHealth(id);
+    } else {
+      showNotification('Permission denied', 'warning');
+    }
+  }
+
+  async function checkServerHealth(id = null) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'CHECK_SERVER_HEALTH', id });
+      if (!response?.success) throw new Error(response?.error || 'Unknown error');
+      
+      const unhealthy = response.servers.filter(s => s.health?.status !== 'healthy').length;
+      showNotification(unhealthy === 0 ? 'All checked servers are healthy' : `${unhealthy} server(s) need attention`,
+        unhealthy === 0 ? 'success' : 'warning');
+      loadServers();
+    } catch (error) {
+      showNotification('Error checking servers: ' + error.message, 'error');
+    }
+  }
+
+  async function removeServer(id) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'REMOVE_SERVER', id });
+      if (!response?.success) throw new Error(response?.error || 'Unknown error');
+      
+      const activeServer = panel.querySelector('#activeServer');
+      if (activeServer?.value === id) await selectServer('');
+      
+      showNotification('Server removed');
+      loadServers();
+    } catch (error) {
+      showNotification('Error removing server: ' + error.message, 'error');
+    }
+  }
+
+  async function selectServer(id) {
+    try {
+      const { config } = await chrome.runtime.sendMessage({ type: 'GET_CONFIG' });
+      await chrome.runtime.sendMessage({
+        type: 'UPDATE_CONFIG',
+        config: { servers: { useForLatency: true, ...config?.servers, selectedId: id || null } }
+      });
+      showNotification(id ? 'Speed tests will use the selected server' : 'Using built-in servers');
+    } catch (error) {
+      showNotification('Error selecting server: ' + error.message, 'error');
+    }
+  }
+
+  async function saveDohResolver() {
+    const input = panel.querySelector('#customDohUrl');
+    const url = input?.value.trim();
+    
+    try {
+      // An empty field clears the custom resolver
+      if (url) {
+        const granted = await chrome.permissions.request({ origins: [`${new URL(url).origin}/*`] });
+        if (!granted) {
+          showNotification('Permission denied - the resolver cannot be benchmarked', 'warning');
+          return;
+        }
+      }
+      
+      const { config } = await chrome.runtime.sendMessage({ type: 'GET_CONFIG' });
+      await chrome.runtime.sendMessage({
+        type: 'UPDATE_CONFIG',
+        config: {
+          protocolTests: {
+            ...config?.protocolTests,
+            dohCustomResolver: url ? { name: new URL(url).host, url, format: 'wire' } : null
+          }
+        }
+      });
+      showNotification(url ? 'Custom resolver saved' : 'Custom resolver removed');
+    } catch (error) {
+      showNotification('Error saving resolver: ' + error.message, 'error');
+    }
+  }
+
+  async function saveDnsLeakSettings() {
+    const zone = panel.querySelector('#dnsLeakZone')?.value.trim().replace(/^\.+|\.+$/g, '');
+    const reportUrl = panel.querySelector('#dnsLeakReportUrl')?.value.trim();
+    
+    try {
+      if (reportUrl) {
+        const granted = await chrome.permissions.request({ origins: [`${new URL(reportUrl).origin}/*`] });
+        if (!granted) {
+          showNotification('Permission denied - the report endpoint cannot be read', 'warning');
+          return;
+        }
+      }
+      
+      const { config } = await chrome.runtime.sendMessage({ type: 'GET_CONFIG' });
+      await chrome.runtime.sendMessage({
+        type: 'UPDATE_CONFIG',
+        config: {
+          securityTests: {
+            ...config?.securityTests,
+            dnsLeakZone: zone || null,
+            dnsLeakReportUrl: reportUrl || null
+          }
+        }
+      });
+      showNotification(zone ? 'DNS leak test saved' : 'DNS leak test disabled');
+    } catch (error) {
+      showNotification('Error saving leak test: ' + error.message, 'error');
+    }
+  }
+
+  async function saveBadgeSettings() {
+    const readThresholds = selector => [...panel.querySelectorAll(selector)].map(input => Number(input.value));
+    const latencyThresholds = readThresholds('.badge-latency-threshold');
+    const speedThresholds = readThresholds('.badge-speed-threshold');
+    
+    const ascending = latencyThresholds.every((value, i) => value > 0 && (i === 0 || value > latencyThresholds[i - 1]));
+    const descending = speedThresholds.every((value, i) => value > 0 && (i === 0 || value < speedThresholds[i - 1]));
+    if (!ascending || !descending) {
+      showNotification('Latency colors must increase and download colors decrease', 'error');
+      return;
+    }
+    
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'UPDATE_CONFIG',
+        config: {
+          badge: {
+            mode: panel.querySelector('#badgeMode').value,
+            latencyThresholds,
+            speedThresholds
+          }
+        }
+      });
+      showNotification('Badge settings saved');
+    } catch (error) {
+      showNotification('Error saving badge: ' + error.message, 'error');
+    }
+  }
+
+  async function saveAlertSettings() {
+    const quietHours = {
+      enabled: panel.querySelector('#quietHoursEnabled').checked,
+      start: panel.querySelector('#quietHoursStart').value || '22:00',
+      end: panel.querySelector('#quietHoursEnd').value || '07:00'
+    };
+    
+    const rules = [...panel.querySelectorAll('[data-alert-rule]')].map(block => {
+      const threshold = block.querySelector('[data-field="threshold"]');
+      return {
+        id: block.dataset.alertRule,
+        enabled: block.querySelector('[data-field="enabled"]').checked,
+        cooldownMinutes: Math.max(0, parseInt(block.querySelector('[data-field="cooldownMinutes"]').value, 10) || 0),
+        ...(threshold ? { threshold: Math.max(Number(threshold.min), Number(threshold.value) || 0) } : {})
+      };
+    });
+    
+    try {
+      const { config } = await chrome.runtime.sendMessage({ type: 'GET_CONFIG' });
+      await chrome.runtime.sendMessage({
+        type: 'UPDATE_CONFIG',
+        config: {
+          notifications: {
+            enabled: panel.querySelector('#alertsEnabled').checked,
+            quietHours,
+            rules
+          },
+          ui: {
+            ...config?.ui,
+            soundNotifications: panel.querySelector('#alertSound').checked
+          }
+        }
+      });
+      showNotification('Alert rules saved');
+    } catch (error) {
+      showNotification('Error saving alerts: ' + error.message, 'error');
+    }
+  }
+
+  // Scoring profiles as the background last reported them - edits laid over the built-ins
+  let scoring = { activeProfile: 'balanced', profiles: {}, defaults: {}, capabilities: [] };
+  
+  const CUTOFF_FIELDS = [
+    ['minDownload', 'Min ↓ Mbps'],
+    ['minUpload', 'Min ↑ Mbps'],
+    ['maxLatency', 'Max ms'],
+    ['maxJitter', 'Max jitter']
+  ];
+  const LOADED_GRADE_OPTIONS = [['', 'Any load'], ['A,B,C', 'Load A–C'], ['A,B', 'Load A–B'], ['A', 'Load A']];
+
+  async function loadScoringProfiles() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SCORING_PROFILES' });
+      if (!response?.success) return;
+      
+      const { activeProfile, profiles, defaults, capabilities } = response;
+      scoring = { activeProfile, profiles, defaults, capabilities };
+      panel.querySelector('#scoringProfile').value = activeProfile;
+      renderScoringProfile(activeProfile);
+    } catch (error) {
+      console.error('Error loading scoring profiles:', error);
+    }
+  }
+
+  function renderScoringProfile(id, profile = scoring.profiles[id]) {
+    if (!profile) return;
+    
+    panel.querySelector('#scoringProfileDescription').textContent =
+      profile.description + (profile.edited ? ' · edited' : '');
+    
+    panel.querySelectorAll('.scoring-weight').forEach(input => {
+      input.value = profile.weights[input.dataset.metric] ?? 0;
+    });
+    panel.querySelectorAll('.scoring-curve').forEach(input => {
+      input.value = (profile.curves[input.dataset.metric] || []).map(([threshold, points]) => `${threshold}=${points}`).join(', ');
+    });
+    panel.querySelectorAll('.scoring-grade-points').forEach(input => {
+      input.value = profile.curves.bufferbloat?.[input.dataset.grade] ?? 0;
+    });
+    
+    renderCapabilityCutoffs(profile.capabilities);
+  }
+
+  function renderCapabilityCutoffs(cutoffs) {
+    const list = panel.querySelector('#scoringCapabilities');
+    if (!list) return;
+    list.innerHTML = '';
+    
+    scoring.capabilities.forEach(capability => {
+      const cutoff = cutoffs[capability.id] || {};
+      const item = document.createElement('div');
+      item.className = 'server-item';
+      item.dataset.capability = capability.id;
+      
+      const info = document.createElement('div');
+      info.className = 'server-info';
+      const name = document.createElement('div');
+      name.className = 'server-name';
+      name.textContent = capability.label;
+      info.appendChild(name);
+      item.appendChild(info);
+      
+      CUTOFF_FIELDS.forEach(([field, label]) => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.className = 'modern-input scoring-cutoff';
+        input.dataset.field = field;
+        input.placeholder = label;
+        input.title = label;
+        input.value = cutoff[field] ?? '';
+        item.appendChild(input);
+      });
+      
+      const grades = document.createElement('select');
+      grades.className = 'modern-select scoring-cutoff';
+      grades.dataset.field = 'loadedGrades';
+      LOADED_GRADE_OPTIONS.forEach(([value, label]) => grades.add(new Option(label, value)));
+      grades.value = (cutoff.loadedGrades || []).join(',');
+      item.appendChild(grades);
+      
+      list.appendChild(item);
+    });
+  }
+
+  // "100=100, 50=75" → [[100, 100], [50, 75]]
+  function parseCurve(text, metric) {
+    return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const [threshold, points] = part.split('=').map(Number);
+      if (!isFinite(threshold) || !isFinite(points) || points < 0 || points > 100) {
+        throw new Error(`"${part}" in the ${metric} curve must be threshold=points, with points from 0 to 100`);
+      }
+      return [threshold, points];
+    });
+  }
+
+  function readScoringForm() {
+    const weights = {};
+    panel.querySelectorAll('.scoring-weight').forEach(input => {
+      weights[input.dataset.metric] = Math.max(0, Number(input.value) || 0);
+    });
+    if (!Object.values(weights).some(weight => weight > 0)) {
+      throw new Error('Give at least one metric a weight');
+    }
+    
+    const curves = {};
+    panel.querySelectorAll('.scoring-curve').forEach(input => {
+      curves[input.dataset.metric] = parseCurve(input.value, input.dataset.metric);
+    });
+    curves.bufferbloat = {};
+    panel.querySelectorAll('.scoring-grade-points').forEach(input => {
+      curves.bufferbloat[input.dataset.grade] = Math.min(100, Math.max(0, Number(input.value) || 0));
+    });
+    
+    const capabilities = {};
+    panel.querySelectorAll('[data-capability]').forEach(item => {
+      const cutoff = {};
+      item.querySelectorAll('input.scoring-cutoff').forEach(input => {
+        if (input.value !== '') cutoff[input.dataset.field] = Math.max(0, Number(input.value) || 0);
+      });
+      const grades = item.querySelector('[data-field="loadedGrades"]').value;
+      if (grades) cutoff.loadedGrades = grades.split(',');
+      capabilities[item.dataset.capability] = cutoff;
+    });
+    
+    return { weights, curves, capabilities };
+  }
+
+  // Same settings regardless of key order
+  function sameValues(a, b) {
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      return [...keys].every(key => sameValues(a[key], b[key]));
+    }
+    return a === b;
+  }
+
+  async function saveScoringSettings() {
+    const id = panel.querySelector('#scoringProfile').value;
+    const pick = ({ weights, curves, capabilities }) => ({ weights, curves, capabilities });
+    
+    let edit;
+    try {
+      edit = readScoringForm();
+    } catch (error) {
+      showNotification(error.message, 'error');
+      return;
+    }
+    
+    // Keep the other profiles' edits; this one is only stored while it differs from the built-in
+    const profiles = Object.fromEntries(Object.values(scoring.profiles)
+      .filter(profile => profile.edited && profile.id !== id)
+      .map(profile => [profile.id, pick(profile)]));
+    if (!sameValues(edit, pick(scoring.defaults[id]))) profiles[id] = edit;
+    
+    const changed = id !== scoring.activeProfile || !sameValues(edit, pick(scoring.profiles[id]));
+    
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'UPDATE_CONFIG',
+        config: { scoring: { activeProfile: id, profiles } }
+      });
+      await loadScoringProfiles();
+      
+      const { name } = scoring.profiles[id];
+      showNotification(`Scoring saved - new tests use the ${name} profile`);
+      
+      if (changed && confirm(`Rescore every stored test with the ${name} profile?`)) {
+        await rescoreHistory(id);
+      }
+    } catch (error) {
+      showNotification('Error saving scoring: ' + error.message, 'error');
+    }
+  }
+
+  // Built-in recommendation rules and the user's overrides and additions, as saved in the background
+  let recommendationRules = { defaults: [], rules: [] };
+
+  async function loadRecommendationRules() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_RECOMMENDATION_RULES' });
+      if (!response?.success) return;
+      
+      recommendationRules = { defaults: response.defaults, rules: response.rules };
+      renderRecommendationRules();
+    } catch (error) {
+      console.error('Error loading recommendation rules:', error);
+    }
+  }
+
+  // Every rule as it will run - built-ins with overrides laid over them, then added rules
+  function getEffectiveRules() {
+    const { defaults, rules } = recommendationRules;
+    const added = rules.filter(rule => !defaults.some(builtIn => builtIn.id === rule.id));
+    return [
+      ...defaults.map(builtIn => ({ ...builtIn, ...rules.find(rule => rule.id === builtIn.id) })),
+      ...added
+    ];
+  }
+
+  // Only what differs from the built-in is stored, so later changes to the defaults still apply
+  function toUserRules(rules) {
+    return rules.map(rule => {
+      const builtIn = recommendationRules.defaults.find(candidate => candidate.id === rule.id);
+      if (!builtIn) return rule;
+      
+      const changes = Object.entries(rule).filter(([key, value]) =>
+        key !== 'id' && !sameValues(value, builtIn[key]) && !(key === 'enabled' && value === true));
+      return changes.length > 0 ? { id: rule.id, ...Object.fromEntries(changes) } : null;
+    }).filter(Boolean);
+  }
+
+  function renderRecommendationRules() {
+    const list = panel.querySelector('#recommendationRuleList');
+    if (!list) return;
+    list.innerHTML = '';
+    
+    const effective = getEffectiveRules();
+    effective.forEach(rule => {
+      const item = document.createElement('div');
+      item.className = 'server-item';
+      item.dataset.ruleId = rule.id;
+      
+      const info = document.createElement('div');
+      info.className = 'server-info';
+      const name = document.createElement('div');
+      name.className = 'server-name';
+      name.textContent = rule.title || rule.message;
+      const meta = document.createElement('div');
+      meta.className = 'server-meta';
+      meta.textContent = `${rule.id} · ${rule.kind} · ${rule.category}` +
+        (recommendationRules.defaults.some(builtIn => builtIn.id === rule.id) ? '' : ' · added');
+      info.append(name, meta);
+      item.appendChild(info);
+      
+      const priority = document.createElement('select');
+      priority.className = 'modern-select rule-priority';
+      priority.dataset.field = 'priority';
+      ['high', 'medium', 'low'].forEach(level => priority.add(new Option(level, level)));
+      priority.value = rule.priority;
+      item.appendChild(priority);
+      
+      const toggle = document.createElement('label');
+      toggle.className = 'modern-toggle-container';
+      toggle.innerHTML = '<input type="checkbox" class="modern-toggle" data-field="enabled"><span class="toggle-slider-modern"></span>';
+      toggle.querySelector('input').checked = rule.enabled !== false;
+      item.appendChild(toggle);
+      
+      list.appendChild(item);
+    });
+    
+    const changed = recommendationRules.rules.length;
+    const added = effective.length - recommendationRules.defaults.length;
+    const summary = panel.querySelector('#recommendationRuleSummary');
+    if (summary) {
+      summary.textContent = changed > 0
+        ? `${changed - added} built-in rule(s) changed, ${added} added`
+        : 'Using the built-in rules';
+    }
+  }
+
+  async function storeRecommendationRules(rules, message) {
+    const response = await chrome.runtime.sendMessage({ type: 'SAVE_RECOMMENDATION_RULES', rules });
+    if (!response?.success) throw new Error(response?.error || 'Unknown error');
+    
+    await loadRecommendationRules();
+    showNotification(message);
+    
+    // Stored tests are re-evaluated with the new rules in the background
+    if (response.status) {
+      renderRescoreStatus(response.status);
+      watchRescore();
+    }
+  }
+
+  async function saveRecommendationRules() {
+    const rules = getEffectiveRules().map(rule => {
+      const item = panel.querySelector(`[data-rule-id="${CSS.escape(rule.id)}"]`);
+      if (!item) return rule;
+      return {
+        ...rule,
+        priority: item.querySelector('[data-field="priority"]').value,
+        enabled: item.querySelector('[data-field="enabled"]').checked
+      };
+    });
+    
+    try {
+      await storeRecommendationRules(toUserRules(rules), 'Recommendation rules saved');
+    } catch (error) {
+      showNotification('Error saving rules: ' + error.message, 'error');
+    }
+  }
+
+  function exportRecommendationRules() {
+    try {
+      const blob = new Blob([JSON.stringify({ rules: getEffectiveRules() }, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `wifi-kickstart-rules-${new Date().toISOString().split('T')[0]}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+      
+      showNotification('Recommendation rules exported');
+    } catch (error) {
+      showNotification('Error exporting rules: ' + error.message, 'error');
+    }
+  }
+
+  // A file holding { rules: [...] } or just the list; built-in rules left out keep their defaults
+  function importRecommendationRules(file) {
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      try {
+        const data = JSON.parse(e.target.result);
+        const rules = Array.isArray(data) ? data : data.rules;
+        if (!Array.isArray(rules)) throw new Error('The file has no rule list');
+        
+        await storeRecommendationRules(toUserRules(rules), `Imported ${rules.length} recommendation rule(s)`);
+      } catch (error) {
+        showNotification('Error importing rules: ' + error.message, 'error');
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  async function saveProbeSettings() {
+    const customProbeUrl = panel.querySelector('#customProbeUrl').value.trim();
+    const gatewayUrl = panel.querySelector('#gatewayUrl').value.trim();
+    
+    try {
+      [customProbeUrl, gatewayUrl].filter(Boolean).forEach(url => new URL(url));
+    } catch {
+      showNotification('Please enter valid probe URLs', 'error');
+      return;
+    }
+    
+    const probes = {
+      google: panel.querySelector('#probeGoogle').checked,
+      cloudflare: panel.querySelector('#probeCloudflare').checked,
+      microsoft: panel.querySelector('#probeMicrosoft').checked
+    };
+    
+    if (!Object.values(probes).some(Boolean) && !customProbeUrl) {
+      showNotification('Keep at least one internet probe enabled', 'error');
+      return;
+    }
+    
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'UPDATE_CONFIG',
+        config: {
+          connectivity: {
+            probes,
+            customProbeUrl: customProbeUrl || null,
+            gatewayUrl: gatewayUrl || null,
+            offlineQuorum: Math.max(1, parseInt(panel.querySelector('#offlineQuorum').value, 10) || 2)
+          }
+        }
+      });
+      showNotification('Connectivity probes saved');
+    } catch (error) {
+      showNotification('Error saving probes: ' + error.message, 'error');
+    }
+  }
+
+  // Scheduled test functions
+  let schedules = [];
+  const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  async function loadSchedules() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SCHEDULES' });
+      schedules = response?.schedules || [];
+      renderSchedules();
+    } catch (error) {
+      console.error('Error loading schedules:', error);
+    }
+  }
+
+  function describeSchedule(schedule) {
+    const when = schedule.type === 'interval'
+      ? `Every ${schedule.intervalMinutes} min`
+      : `At ${schedule.times.join(', ')}`;
+    const days = schedule.weekdays.length > 0
+      ? schedule.weekdays.map(d => WEEKDAY_NAMES[d]).join(' ')
+      : 'every day';
+    
+    return `${schedule.mode} · ${when} · ${days} · missed runs: ${schedule.catchUp === 'skip' ? 'skip' : 'run once'}` +
+      (schedule.waitForIdle ? ' · waits for idle' : '');
+  }
+
+  function renderSchedules() {
+    const scheduleList = panel.querySelector('#scheduleList');
+    if (!scheduleList) return;
+    scheduleList.innerHTML = '';
+
+    schedules.forEach(schedule => {
+      const state = schedule.state || {};
+      const item = document.createElement('div');
+      item.className = 'server-item';
+      
+      const info = document.createElement('div');
+      info.className = 'server-info';
+      
+      const name = document.createElement('div');
+      name.className = 'server-name';
+      name.textContent = schedule.name;
+      
+      const meta = document.createElement('div');
+      meta.className = 'server-meta';
+      meta.textContent = describeSchedule(schedule) +
+        (state.nextRun ? ` · next ${new Date(state.nextRun).toLocaleString()}` : '') +
+        (state.lastRun ? ` · last ${new Date(state.lastRun).toLocaleString()}` : '');
+      
+      info.append(name, meta);
+      
+      const status = document.createElement('span');
+      const statusKey = !schedule.enabled ? 'paused' : state.lastStatus === 'error' ? 'failed' : 'scheduled';
+      status.className = `server-status ${statusKey}`;
+      status.textContent = statusKey;
+      if (state.lastError) status.title = state.lastError;
+      
+      item.append(info, status);
+      
+      [['toggle', schedule.enabled ? '⏸️ Pause' : '▶️ Resume'], ['remove', '🗑️']].forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.className = 'btn secondary';
+        button.dataset.scheduleAction = action;
+        button.dataset.scheduleId = schedule.id;
+        button.textContent = label;
+        item.appendChild(button);
+      });
+      
+      scheduleList.appendChild(item);
+    });
+  }
+
+  async function saveSchedule(schedule, message) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SAVE_SCHEDULE', schedule });
+      if (!response?.success) throw new Error(response?.error || 'Unknown error');
+      
+      showNotification(message);
+      loadSchedules();
+      return true;
+    } catch (error) {
+      showNotification('Error saving schedule: ' + error.message, 'error');
+      return false;
+    }
+  }
+
+  async function addSchedule() {
+    const nameInput = panel.querySelector('#scheduleName');
+    const type = panel.querySelector('#scheduleType').value;
+    
+    const schedule = {
+      name: nameInput.value.trim() || 'Scheduled test',
+      enabled: true,
+      mode: panel.querySelector('#scheduleMode').value,
+      type,
+      intervalMinutes: Number(panel.querySelector('#scheduleInterval').value),
+      times: panel.querySelector('#scheduleTimes').value.split(',').map(t => t.trim()).filter(Boolean).map(t => t.padStart(5, '0')),
+      weekdays: [...panel.querySelectorAll('.weekday-tag.active')].map(tag => Number(tag.dataset.day)),
+      catchUp: panel.querySelector('#scheduleCatchUp').value,
+      waitForIdle: panel.querySelector('#scheduleWaitForIdle').checked
+    };
+    
+    if (await saveSchedule(schedule, 'Schedule added')) {
+      nameInput.value = '';
+    }
+  }
+
+  async function toggleSchedule(id) {
+    const schedule = schedules.find(s => s.id === id);
+    if (!schedule) return;
+    
+    await saveSchedule({ ...schedule, enabled: !schedule.enabled }, schedule.enabled ? 'Schedule paused' : 'Schedule resumed');
+  }
+
+  async function removeSchedule(id) {
+    try {
+      await chrome.runtime.sendMessage({ type: 'DELETE_SCHEDULE', id });
+      showNotification('Schedule removed');
+      loadSchedules();
+    } catch (error) {
+      showNotification('Error removing schedule: ' + error.message, 'error');
+    }
+  }
+
   // Configuration import/export
   function exportConfiguration() {
     try {
@@ -918,6 +2008,7 @@
     // Reset to default configuration
     const defaults = {
       downloadEnabled: true,
+      adaptiveDownload: false,
       downloadSizes: ['256KB', '512KB', '1MB', '5MB', '10MB'],
       downloadIterations: 3,
       downloadConnections: 4,
@@ -942,8 +2033,10 @@
       animationsEnabled: true,
       compactMode: false,
       highContrast: false,
-      historyRetention: 30,
-      maxTestsStored: 100,
+      rawResultDays: 30,
+      hourlyRollupDays: 180,
+      historyRetention: 0,
+      maxTestsStored: 0,
       isDirty: false,
       currentTheme: 'professional-light'
     };
@@ -310,15 +310,14 @@ class SettingsController {
   // Load storage stats
   async loadStorageStats() {
     try {
-      const response = await chrome.runtime.sendMessage({ type: 'GET_TEST_HISTORY' });
-      const history = response?.history || [];
+      const response = await chrome.runtime.sendMessage({ type: 'QUERY_RESULTS', query: { limit: 1 } });
       
       const testsStored = document.getElementById('testsStored');
-      if (testsStored) testsStored.textContent = history.length;
+      if (testsStored) testsStored.textContent = response?.total || 0;
       
-      // Calculate storage size
-      const dataStr = JSON.stringify(history);
-      const sizeKB = Math.round(new Blob([dataStr]).size / 1024);
+      // Results are in IndexedDB, so ask the browser for the origin's usage
+      const { usage = 0 } = await navigator.storage.estimate();
+      const sizeKB = Math.round(usage / 1024);
       const storageUsed = document.getElementById('storageUsed');
       if (storageUsed) storageUsed.textContent = `${sizeKB} KB`;
     } catch (error) {
@@ -0,0 +1,206 @@
+// 📐 Wi-Fi Kickstart - Result Schema
+// The documented shape of a saved test record, migrations from older shapes, a validator,
+// and the accessors the popup, dashboard and background read results through
+
+export const RESULT_SCHEMA_VERSION = 4;
+
+// 📄 TEST RECORD - schemaVersion 4
+// {
+//   id: string,
+//   schemaVersion: 4,
+//   timestamp: number,            ms since epoch
+//   mode: string | null,          quick, standard, comprehensive, gaming, adaptive...
+//   trigger: string,              manual, scheduled, network-change
+//   tags: string[],
+//   contaminated: boolean,        other traffic may have skewed the run
+//   networkProfile: string | null,
+//   schedule?: { id, name, dueTime, catchUp, missedRuns, idleWait },
+//   results: {
+//     timestamp: number, duration: number, version: string, testType: object,
+//     downloadSpeed: { overall: { average, max, min, ... }, series?: [{ time, speed, phase }] } | null,   Mbps
+//     uploadSpeed:   { overall: { average, max, min, ... } } | null,                                       Mbps
+//     latency:       { average, median, p95, min, max, ... } | null,                                      ms
+//     jitter:        { average, max, min, samples } | null,                                               ms
+//     packetLoss:    { sent, received, lost, percentage } | null,
+//     security:      { networkInfo: { ip, isp, org, asn, ... }, vpnStatus, securityScore, ... } | null,
+//     protocols:     { ipv6, cdn, dns, doh, http3, stability: { successRate }, ... } | null,
+//     bufferbloat:   { grade, worstIncrease, rpm, ... } | null,
+//     gamingLatency: object | null,
+//     contamination: { contaminated, ... } | null,
+//     raw:           { latency: [{ target, latency, ok }], download: number[], upload: number[],
+//                      stability?: [{ timestamp, latency, ok }] } | null,   rescoring reads these over the summaries
+//     overallScore:  number,      0-100
+//     networkGrade:  { min, grade, description },
+//     capabilities:  object,
+//     scoringVersion: number | null,   SCORING_VERSION that produced the three fields above, null if unknown
+//     scoringProfile: { id, name } | null,   scoring profile (balanced, gaming, ...) they were computed with
+//     insights:        [{ ruleId, category, priority, message, because, matched }],
+//     recommendations: [{ ruleId, category, priority, title, message, action, because, matched }],
+//                      because names the facts that fired the rule, e.g. "download 18.2 < 25";
+//                      older runs have plain-string insights and { type, title, description, action } recommendations
+//   }
+// }
+
+// 🔀 MIGRATIONS - MIGRATIONS[n] upgrades a record from schemaVersion n to n + 1
+const MIGRATIONS = {
+  // Records written before the schema was versioned
+  1(record) {
+    const results = { ...record.results };
+
+    // Very old runs nested both directions under speed, with the average at the top
+    if (!results.downloadSpeed && results.speed?.download) {
+      results.downloadSpeed = results.speed.download.overall ? results.speed.download : { overall: { ...results.speed.download } };
+    }
+    if (!results.uploadSpeed && results.speed?.upload) {
+      results.uploadSpeed = results.speed.upload.overall ? results.speed.upload : { overall: { ...results.speed.upload } };
+    }
+    delete results.speed;
+
+    // Some runs stored the whole latency test result instead of its overall figures
+    if (results.latency?.overall) {
+      results.jitter = results.jitter || results.latency.jitter || null;
+      results.packetLoss = results.packetLoss || results.latency.packetLoss || null;
+      results.latency = results.latency.overall;
+    }
+
+    if (!results.networkGrade && results.grade) {
+      results.networkGrade = { grade: results.grade };
+    }
+    delete results.grade;
+
+    const timestamp = typeof record.timestamp === 'number' ? record.timestamp : Date.parse(record.timestamp) || results.timestamp || Date.now();
+
+    return {
+      ...record,
+      timestamp,
+      mode: record.mode || null,
+      trigger: record.trigger || 'manual',
+      tags: Array.isArray(record.tags) ? record.tags : [],
+      contaminated: Boolean(record.contaminated || results.contamination?.contaminated),
+      networkProfile: record.networkProfile || null,
+      results
+    };
+  },
+
+  // Raw samples and the scoring version arrived together; older runs have neither
+  2(record) {
+    return {
+      ...record,
+      results: {
+        ...record.results,
+        raw: record.results?.raw || null,
+        scoringVersion: record.results?.scoringVersion ?? null
+      }
+    };
+  },
+
+  // Scoring profiles - everything scored before them used what is now Balanced
+  3(record) {
+    const scored = record.results?.overallScore !== undefined;
+    return {
+      ...record,
+      results: {
+        ...record.results,
+        scoringProfile: record.results?.scoringProfile || (scored ? { id: 'balanced', name: 'Balanced' } : null)
+      }
+    };
+  }
+};
+
+// Upgrade a stored or imported record to the current schema
+export function migrateRecord(record) {
+  let version = record.schemaVersion || 1;
+  if (version > RESULT_SCHEMA_VERSION) {
+    throw new Error(`Result schema v${version} is newer than this version of Wi-Fi Kickstart supports`);
+  }
+
+  let migrated = record;
+  while (version < RESULT_SCHEMA_VERSION) {
+    migrated = { ...MIGRATIONS[version](migrated), schemaVersion: ++version };
+  }
+  return migrated;
+}
+
+// Problems with a record, as readable messages - an empty list means it is valid
+export function validateRecord(record) {
+  const errors = [];
+  const isNumber = value => typeof value === 'number' && isFinite(value);
+  const checkNumber = (path, value) => {
+    if (value !== undefined && value !== null && !isNumber(value)) errors.push(`${path} must be a number`);
+  };
+
+  if (!record || typeof record !== 'object') return ['Record must be an object'];
+
+  if (typeof record.id !== 'string' || !record.id) errors.push('id must be a non-empty string');
+  if (record.schemaVersion !== RESULT_SCHEMA_VERSION) errors.push(`schemaVersion must be ${RESULT_SCHEMA_VERSION}`);
+  if (!isNumber(record.timestamp)) errors.push('timestamp must be a number');
+  if (!Array.isArray(record.tags) || record.tags.some(tag => typeof tag !== 'string')) errors.push('tags must be an array of strings');
+  if (typeof record.contaminated !== 'boolean') errors.push('contaminated must be a boolean');
+
+  const results = record.results;
+  if (!results || typeof results !== 'object') {
+    errors.push('results must be an object');
+    return errors;
+  }
+
+  checkNumber('results.downloadSpeed.overall.average', results.downloadSpeed?.overall?.average);
+  checkNumber('results.uploadSpeed.overall.average', results.uploadSpeed?.overall?.average);
+  checkNumber('results.latency.average', results.latency?.average);
+  checkNumber('results.latency.p95', results.latency?.p95);
+  checkNumber('results.jitter.average', results.jitter?.average);
+  checkNumber('results.overallScore', results.overallScore);
+  checkNumber('results.scoringVersion', results.scoringVersion);
+  if (results.raw && !['latency', 'download', 'upload'].every(key => Array.isArray(results.raw[key]))) {
+    errors.push('results.raw must hold latency, download and upload arrays');
+  }
+  if (results.raw?.stability && !Array.isArray(results.raw.stability)) errors.push('results.raw.stability must be an array');
+  if (results.scoringProfile && typeof results.scoringProfile.id !== 'string') errors.push('results.scoringProfile.id must be a string');
+  if (results.networkGrade && typeof results.networkGrade.grade !== 'string') errors.push('results.networkGrade.grade must be a string');
+
+  return errors;
+}
+
+// Accept a whole record or just its results
+function resultsOf(item) {
+  return item?.results ?? item ?? null;
+}
+
+function numberOrNull(value) {
+  return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+// 🔎 ACCESSORS - every reader goes through these; missing values come back as null
+export const ResultFields = {
+  download: item => numberOrNull(resultsOf(item)?.downloadSpeed?.overall?.average),
+  upload: item => numberOrNull(resultsOf(item)?.uploadSpeed?.overall?.average),
+  latency: item => numberOrNull(resultsOf(item)?.latency?.average),
+  latencyP95: item => numberOrNull(resultsOf(item)?.latency?.p95),
+  jitter: item => numberOrNull(resultsOf(item)?.jitter?.average),
+  packetLoss: item => numberOrNull(resultsOf(item)?.packetLoss?.percentage),
+  stability: item => numberOrNull(resultsOf(item)?.protocols?.stability?.successRate),
+  score: item => numberOrNull(resultsOf(item)?.overallScore),
+  grade: item => resultsOf(item)?.networkGrade?.grade || null,
+  scoringVersion: item => numberOrNull(resultsOf(item)?.scoringVersion),
+  scoringProfile: item => resultsOf(item)?.scoringProfile?.id || null,
+  securityScore: item => numberOrNull(resultsOf(item)?.security?.securityScore),
+  networkInfo: item => resultsOf(item)?.security?.networkInfo || null,
+  ip: item => resultsOf(item)?.security?.networkInfo?.ip || null,
+  provider: item => {
+    const info = resultsOf(item)?.security?.networkInfo;
+    return info?.isp || info?.org || null;
+  },
+  bufferbloat: item => resultsOf(item)?.bufferbloat || null,
+  downloadSeries: item => resultsOf(item)?.downloadSpeed?.series || [],
+
+  // null when the run skipped the security phase
+  vpnActive: item => {
+    const security = resultsOf(item)?.security;
+    if (!security) return null;
+
+    const status = security.vpnStatus?.status;
+    return status === 'Likely Connected' || status === 'Possibly Connected' || security.warpStatus === 'Connected';
+  },
+
+  // Flagged on the record, or by the run's own contamination check
+  isContaminated: item => Boolean(item?.contaminated || resultsOf(item)?.contamination?.contaminated)
+};
@@ -0,0 +1,561 @@
+// 🗄️ Wi-Fi Kickstart - Results Repository
+// Every saved test run lives here, in IndexedDB, indexed by time, network profile, mode and tags
+// Past the raw retention window, runs collapse into hourly and then daily rollups
+
+import { Utils } from './utils.js';
+import { RESULT_SCHEMA_VERSION, migrateRecord, validateRecord, ResultFields } from './result-schema.js';
+
+const DB_NAME = 'wifiKickstart';
+// Bump by one whenever RESULT_SCHEMA_VERSION changes - the numbers differ, but only a new DB_VERSION
+// runs onupgradeneeded, where migrateStored upgrades records whose schemaVersion is behind
+const DB_VERSION = 5;
+const STORE = 'results';
+const ROLLUP_STORE = 'rollups';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Values summarized by rollups
+export const ROLLUP_METRICS = {
+  download: ResultFields.download,
+  upload: ResultFields.upload,
+  latency: ResultFields.latency,
+  jitter: ResultFields.jitter,
+  score: ResultFields.score
+};
+
+// Resolve an IDBRequest as a promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Start of the local hour or day a timestamp falls in
+export function bucketStart(timestamp, period) {
+  const date = new Date(timestamp);
+  if (period === 'day') {
+    date.setHours(0, 0, 0, 0);
+  } else {
+    date.setMinutes(0, 0, 0);
+  }
+  return date.getTime();
+}
+
+function bucketEnd(start, period) {
+  const date = new Date(start);
+  if (period === 'day') {
+    date.setDate(date.getDate() + 1);
+  } else {
+    date.setHours(date.getHours() + 1);
+  }
+  return date.getTime();
+}
+
+function summarize(values) {
+  if (values.length === 0) return null;
+  const { min, median, p95, max } = Utils.calculateStats(values);
+  return { count: values.length, min, median, p95, max };
+}
+
+// Daily rollups keep no raw values, so merging two of them weights medians and p95s by run count
+function mergeSummaries(summaries) {
+  if (summaries.length === 0) return null;
+  if (summaries.length === 1) return summaries[0];
+
+  const count = summaries.reduce((total, summary) => total + summary.count, 0);
+  const weighted = field => summaries.reduce((total, summary) => total + summary[field] * summary.count, 0) / count;
+
+  return {
+    count,
+    min: Math.min(...summaries.map(summary => summary.min)),
+    median: weighted('median'),
+    p95: weighted('p95'),
+    max: Math.max(...summaries.map(summary => summary.max))
+  };
+}
+
+// A raw record as rollup input; contaminated runs are counted but kept out of the statistics
+function toPart(record) {
+  const values = {};
+  Object.entries(ROLLUP_METRICS).forEach(([name, read]) => {
+    const value = read(record);
+    values[name] = !record.contaminated && value !== null ? [value] : [];
+  });
+
+  return {
+    start: record.timestamp,
+    networkProfile: record.networkProfile || null,
+    count: 1,
+    contaminated: record.contaminated ? 1 : 0,
+    values
+  };
+}
+
+// Collapse raw parts and rollups into one bucket; values are kept for hourly rollups only
+function combine(parts, period, start, networkProfile) {
+  const exact = parts.every(part => part.values);
+  const metrics = {};
+  const values = {};
+
+  Object.keys(ROLLUP_METRICS).forEach(name => {
+    if (exact) {
+      values[name] = parts.flatMap(part => part.values[name] || []);
+      metrics[name] = summarize(values[name]);
+    } else {
+      const summaries = parts
+        .map(part => part.values ? summarize(part.values[name] || []) : part.metrics[name])
+        .filter(Boolean);
+      metrics[name] = mergeSummaries(summaries);
+    }
+  });
+
+  return {
+    id: `${period}:${start}:${networkProfile || ''}`,
+    period,
+    start,
+    end: bucketEnd(start, period),
+    networkProfile,
+    count: parts.reduce((total, part) => total + part.count, 0),
+    contaminated: parts.reduce((total, part) => total + part.contaminated, 0),
+    metrics,
+    ...(exact && period === 'hour' ? { values } : {})
+  };
+}
+
+// Group parts by bucket, and by network profile unless byProfile is false
+function groupParts(parts, period, byProfile = true) {
+  const groups = new Map();
+  parts.forEach(part => {
+    const start = bucketStart(part.start, period);
+    const networkProfile = byProfile ? part.networkProfile || null : null;
+    const key = `${start}:${networkProfile || ''}`;
+    if (!groups.has(key)) groups.set(key, { start, networkProfile, parts: [] });
+    groups.get(key).parts.push(part);
+  });
+  return [...groups.values()];
+}
+
+export class ResultsStore {
+  constructor() {
+    this.opening = null;
+
+    // null means no limit
+    this.retention = {
+      rawDays: 30,        // Full results kept this long, then rolled up by hour
+      hourlyDays: 180,    // Hourly rollups kept this long, then rolled up by day
+      maxAgeDays: null,   // Results and rollups older than this are deleted
+      maxRecords: null    // Full results beyond this count are rolled up
+    };
+  }
+
+  // Open the database once, creating stores and indexes the first time each version is seen
+  open() {
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+
+          if (event.oldVersion < 1) {
+            const store = db.createObjectStore(STORE, { keyPath: 'id' });
+            store.createIndex('timestamp', 'timestamp');
+            store.createIndex('networkProfile', ['networkProfile', 'timestamp']);
+            store.createIndex('mode', ['mode', 'timestamp']);
+            store.createIndex('tags', 'tags', { multiEntry: true });
+          }
+
+          if (event.oldVersion < 2) {
+            const rollups = db.createObjectStore(ROLLUP_STORE, { keyPath: 'id' });
+            rollups.createIndex('period', ['period', 'start']);
+          }
+
+          if (event.oldVersion >= 1) this.migrateStored(request.transaction.objectStore(STORE));
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.opening = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.opening;
+  }
+
+  // work() receives one object store per name, in order
+  async transaction(mode, work, storeNames = [STORE]) {
+    const db = await this.open();
+    const tx = db.transaction(storeNames, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+
+    const [result] = await Promise.all([work(...storeNames.map(name => tx.objectStore(name))), done]);
+    return result;
+  }
+
+  // Upgrade every stored record written under an older schema, inside the versionchange transaction
+  migrateStored(store) {
+    let migrated = 0;
+    const request = store.openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        if (migrated > 0) console.log(`🗄️ Upgraded ${migrated} test result(s) to schema v${RESULT_SCHEMA_VERSION}`);
+        return;
+      }
+
+      if ((cursor.value.schemaVersion || 1) < RESULT_SCHEMA_VERSION) {
+        cursor.update(this.normalize(cursor.value));
+        migrated++;
+      }
+      cursor.continue();
+    };
+  }
+
+  // Records are migrated to the current schema and always carry an id, a numeric timestamp
+  // and a tags array so every index sees them
+  normalize(record) {
+    const migrated = migrateRecord(record);
+    const timestamp = typeof migrated.timestamp === 'number' ? migrated.timestamp : Date.parse(migrated.timestamp) || Date.now();
+
+    return {
+      ...migrated,
+      id: String(migrated.id || `${timestamp}-${Math.random().toString(36).substr(2, 9)}`),
+      timestamp,
+      tags: migrated.tags || [],
+      contaminated: Boolean(migrated.contaminated),
+      networkProfile: migrated.networkProfile || null
+    };
+  }
+
+  // Normalize and validate, throwing with every problem found
+  prepare(record) {
+    const saved = this.normalize(record);
+    const errors = validateRecord(saved);
+    if (errors.length > 0) throw new Error(`Invalid test record: ${errors.join('; ')}`);
+    return saved;
+  }
+
+  async add(record) {
+    const saved = this.prepare(record);
+    await this.transaction('readwrite', store => promisify(store.put(saved)));
+    return saved;
+  }
+
+  // Imports and legacy history - invalid records are skipped, the rest saved
+  async addMany(records) {
+    const saved = [];
+    records.forEach((record, index) => {
+      try {
+        saved.push(this.prepare(record));
+      } catch (error) {
+        console.warn(`🗄️ Skipped test result ${index}: ${error.message}`);
+      }
+    });
+
+    await this.transaction('readwrite', store => Promise.all(saved.map(record => promisify(store.put(record)))));
+    return saved.length;
+  }
+
+  async get(id) {
+    return this.transaction('readonly', store => promisify(store.get(id)));
+  }
+
+  async remove(id) {
+    await this.transaction('readwrite', store => promisify(store.delete(id)));
+  }
+
+  async clear() {
+    await this.transaction('readwrite', (store, rollups) => Promise.all([
+      promisify(store.clear()),
+      promisify(rollups.clear())
+    ]), [STORE, ROLLUP_STORE]);
+  }
+
+  async count() {
+    return this.transaction('readonly', store => promisify(store.count()));
+  }
+
+  // Newest first; an empty store resolves with null
+  async latest() {
+    const { records } = await this.query({ limit: 1 });
+    return records[0] || null;
+  }
+
+  // Filtered, paged query - newest first unless order is 'asc'
+  // filter: { from, to, networkProfile, mode, tags (all must match), trigger, contaminated }
+  // The cursor stops once the page is full; total is null when the filter has to be checked record by record
+  async query({ offset = 0, limit = 50, order = 'desc', ...filter } = {}) {
+    const from = filter.from ?? 0;
+    const to = filter.to ?? Number.MAX_SAFE_INTEGER;
+
+    // Anything the index can't narrow to means reading each record in the range
+    const scanned = Boolean(filter.tags?.length || filter.trigger ||
+      (filter.contaminated !== undefined && filter.contaminated !== null) ||
+      (filter.networkProfile && filter.mode));
+
+    const { records, total, more } = await this.transaction('readonly', async store => {
+      // Narrow with the most selective index; the rest is filtered while walking the cursor
+      let source = store.index('timestamp');
+      let range = IDBKeyRange.bound(from, to);
+
+      if (filter.networkProfile) {
+        source = store.index('networkProfile');
+        range = IDBKeyRange.bound([filter.networkProfile, from], [filter.networkProfile, to]);
+      } else if (filter.mode) {
+        source = store.index('mode');
+        range = IDBKeyRange.bound([filter.mode, from], [filter.mode, to]);
+      }
+
+      const counting = scanned ? null : promisify(source.count(range));
+      const walking = new Promise((resolve, reject) => {
+        const found = [];
+        const wanted = limit > 0 ? offset + limit : Infinity;
+        let matched = 0;
+        const request = source.openCursor(range, order === 'asc' ? 'next' : 'prev');
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve({ found, more: false });
+            return;
+          }
+
+          // Nothing to check, so skip straight past the offset
+          if (!scanned && matched < offset) {
+            matched = offset;
+            cursor.advance(offset);
+            return;
+          }
+
+          if (!scanned || this.matches(cursor.value, filter)) {
+            // A match past the page only says there is more
+            if (matched >= wanted) {
+              resolve({ found, more: true });
+              return;
+            }
+            if (matched >= offset) found.push(cursor.value);
+            matched++;
+          }
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+
+      const [count, { found, more }] = await Promise.all([counting, walking]);
+      return { records: found, total: count, more };
+    });
+
+    return {
+      records,
+      total,
+      offset,
+      limit,
+      hasMore: more
+    };
+  }
+
+  // Oldest first, one page at a time - pass the next a page returned as after to read the following one
+  // Resumes from the last timestamp, so each page only reads its own records however large the store is
+  async page({ after = null, limit = 100 } = {}) {
+    const records = await this.transaction('readonly', store => new Promise((resolve, reject) => {
+      const found = [];
+      const range = after ? IDBKeyRange.lowerBound(after.timestamp) : null;
+      const request = store.index('timestamp').openCursor(range, 'next');
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(found);
+          return;
+        }
+
+        // Runs sharing the last timestamp come back in id order - skip the ones already returned
+        if (!after || cursor.key !== after.timestamp || cursor.primaryKey > after.id) found.push(cursor.value);
+
+        if (found.length >= limit) {
+          resolve(found);
+        } else {
+          cursor.continue();
+        }
+      };
+      request.onerror = () => reject(request.error);
+    }));
+
+    const last = records[records.length - 1];
+    return {
+      records,
+      next: records.length >= limit ? { timestamp: last.timestamp, id: last.id } : null
+    };
+  }
+
+  matches(record, filter) {
+    if (filter.mode && record.mode !== filter.mode) return false;
+    if (filter.trigger && record.trigger !== filter.trigger) return false;
+    if (filter.contaminated !== undefined && filter.contaminated !== null && Boolean(record.contaminated) !== filter.contaminated) return false;
+    if (filter.tags?.length && !filter.tags.every(tag => record.tags.includes(tag))) return false;
+    return true;
+  }
+
+  // Update the retention policy
+  setRetention(policy) {
+    this.retention = { ...this.retention, ...policy };
+  }
+
+  // Hourly and daily rollups overlapping [from, to], oldest first
+  async queryRollups({ from = 0, to = Number.MAX_SAFE_INTEGER, networkProfile = null, period = null } = {}) {
+    const periods = period ? [period] : ['hour', 'day'];
+
+    const found = await this.transaction('readonly', rollups => Promise.all(periods.map(p =>
+      promisify(rollups.index('period').getAll(IDBKeyRange.bound([p, from - DAY], [p, to])))
+    )), [ROLLUP_STORE]);
+
+    return found.flat()
+      .filter(rollup => rollup.end > from && rollup.start <= to)
+      .filter(rollup => !networkProfile || rollup.networkProfile === networkProfile)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  async addRollups(rollups) {
+    await this.transaction('readwrite', store => Promise.all(rollups.map(rollup => promisify(store.put(rollup)))), [ROLLUP_STORE]);
+    return rollups.length;
+  }
+
+  // Chart series for a time range - 'auto' picks raw runs, hourly or daily buckets from the range length
+  // Each point: { start, end, period, count, contaminated, metrics: { download: { count, min, median, p95, max }, ... } }
+  async series({ from = 0, to = Date.now(), networkProfile = null, resolution = 'auto' } = {}) {
+    if (resolution === 'auto') {
+      const span = to - from;
+      resolution = span <= 2 * DAY ? 'raw' : span <= 31 * DAY ? 'hour' : 'day';
+    }
+
+    const [{ records }, rollups] = await Promise.all([
+      this.query({ from, to, networkProfile, order: 'asc', limit: 0 }),
+      this.queryRollups({ from, to, networkProfile })
+    ]);
+    const parts = [...records.map(toPart), ...rollups];
+
+    let points;
+    if (resolution === 'raw') {
+      points = parts.map(part => part.period ? part : combine([part], 'raw', part.start, part.networkProfile));
+    } else {
+      // A daily rollup stays whole in an hourly series
+      points = groupParts(parts, resolution, false).map(group => {
+        const period = group.parts.some(part => part.period === 'day') ? 'day' : resolution;
+        return combine(group.parts, period, group.start, networkProfile);
+      });
+    }
+
+    return {
+      resolution,
+      points: points
+        .map(({ values, id, ...point }) => ({ ...point, end: point.period === 'raw' ? point.start : point.end }))
+        .sort((a, b) => a.start - b.start)
+    };
+  }
+
+  // Roll full results past rawDays or maxRecords into hourly rollups, hourly rollups past hourlyDays
+  // into daily ones, and delete anything older than maxAgeDays. Resolves with the number of full results removed
+  async applyRetention(policy = this.retention) {
+    const { rawDays, hourlyDays, maxAgeDays, maxRecords } = { ...this.retention, ...policy };
+    const now = Date.now();
+
+    // Cutoffs fall on bucket boundaries so each hour and day is rolled up in one piece
+    const expiry = maxAgeDays ? now - maxAgeDays * DAY : 0;
+    const rawCutoff = rawDays ? bucketStart(now - rawDays * DAY, 'hour') : 0;
+    const hourlyCutoff = rawDays && hourlyDays ? bucketStart(now - hourlyDays * DAY, 'day') : 0;
+
+    if (!expiry && !rawCutoff && !maxRecords) return 0;
+
+    const { rolled, expired } = await this.transaction('readwrite', (store, rollups) => new Promise((resolve, reject) => {
+      const stale = [];
+      let kept = 0;
+      let expiredCount = 0;
+      const request = store.index('timestamp').openCursor(null, 'prev');
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          const record = cursor.value;
+          kept++;
+          if (record.timestamp < expiry) {
+            cursor.delete();
+            expiredCount++;
+          } else if (record.timestamp < rawCutoff || (maxRecords && kept > maxRecords)) {
+            stale.push(toPart(record));
+            cursor.delete();
+          }
+          cursor.continue();
+          return;
+        }
+
+        this.compact(rollups, stale, { expiry, hourlyCutoff })
+          .then(() => resolve({ rolled: stale.length, expired: expiredCount }), reject);
+      };
+      request.onerror = () => reject(request.error);
+    }), [STORE, ROLLUP_STORE]);
+
+    if (rolled > 0) console.log(`🗄️ Retention rolled ${rolled} test result(s) into hourly summaries`);
+    if (expired > 0) console.log(`🗄️ Retention removed ${expired} test result(s)`);
+    return rolled + expired;
+  }
+
+  // Merge stale raw parts into hourly rollups, then age hourly rollups into daily ones
+  async compact(rollups, stale, { expiry, hourlyCutoff }) {
+    const existing = await promisify(rollups.getAll());
+    const byId = new Map(existing.map(rollup => [rollup.id, rollup]));
+
+    groupParts(stale, 'hour').forEach(group => {
+      const previous = byId.get(`hour:${group.start}:${group.networkProfile || ''}`);
+      const rollup = combine(previous ? [previous, ...group.parts] : group.parts, 'hour', group.start, group.networkProfile);
+      byId.set(rollup.id, rollup);
+    });
+
+    const aging = [];
+    byId.forEach((rollup, id) => {
+      if (rollup.end <= expiry) {
+        byId.delete(id);
+      } else if (rollup.period === 'hour' && hourlyCutoff && rollup.end <= hourlyCutoff) {
+        aging.push(rollup);
+        byId.delete(id);
+      }
+    });
+
+    groupParts(aging, 'day').forEach(group => {
+      const previous = byId.get(`day:${group.start}:${group.networkProfile || ''}`);
+      const rollup = combine(previous ? [previous, ...group.parts] : group.parts, 'day', group.start, group.networkProfile);
+      byId.set(rollup.id, rollup);
+    });
+
+    // Only touch what changed
+    const unchanged = new Set(existing);
+    const writes = existing.filter(rollup => !byId.has(rollup.id)).map(rollup => rollups.delete(rollup.id));
+    byId.forEach(rollup => {
+      if (!unchanged.has(rollup)) writes.push(rollups.put(rollup));
+    });
+
+    await Promise.all(writes.map(promisify));
+  }
+
+  // Move history kept in chrome.storage.local by older versions into the repository
+  async migrateLegacy(key = 'testHistory') {
+    const result = await chrome.storage.local.get([key]);
+    const legacy = result[key];
+    if (!Array.isArray(legacy)) return 0;
+
+    const moved = legacy.length > 0 ? await this.addMany(legacy) : 0;
+    await chrome.storage.local.remove(key);
+    if (moved > 0) console.log(`🗄️ Migrated ${moved} test result(s) to IndexedDB`);
+    return moved;
+  }
+}
+
+// Create singleton instance
+export const Results = new ResultsStore();
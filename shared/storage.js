@@ -1,11 +1,13 @@
 // 🚀 Wi-Fi Kickstart - Storage Management Module
 // Handles all data persistence and storage operations
 
+import { Results } from './results-store.js';
+
 export class StorageManager {
   constructor() {
     this.STORAGE_KEYS = {
       CONFIG: 'epicConfig',
-      TEST_HISTORY: 'testHistory',
+      TEST_HISTORY: 'testHistory', // Legacy - results are in the IndexedDB repository
       CUSTOM_PRESETS: 'customPresets',
       THEME: 'theme',
       DARK_MODE: 'darkMode',
@@ -14,11 +16,13 @@ export class StorageManager {
       SECTION_ORDER: 'sectionOrder',
       CHART_ORDER: 'chartOrder',
       CUSTOM_SERVERS: 'customServers',
+      SCHEDULES: 'testSchedules',
+      CONNECTIVITY_LOG: 'connectivityLog',
+      NETWORK_PROFILES: 'networkProfiles',
       USER_PREFERENCES: 'userPreferences',
       CACHE: 'dataCache'
     };
     
-    this.MAX_HISTORY_SIZE = 1000;
     this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
   }
 
@@ -135,45 +139,11 @@ export class StorageManager {
     });
   }
 
-  // Save test result
-  async saveTestResult(result) {
+  // Load test history - newest first, filter as in Results.query
+  async loadTestHistory(limit = 100, offset = 0, filter = {}) {
     try {
-      // Load existing history
-      let history = await this.load(this.STORAGE_KEYS.TEST_HISTORY) || [];
-      
-      // Create history entry
-      const entry = {
-        id: this.generateId(),
-        timestamp: new Date().toISOString(),
-        ...result
-      };
-      
-      // Add to beginning of array
-      history.unshift(entry);
-      
-      // Limit history size
-      if (history.length > this.MAX_HISTORY_SIZE) {
-        history = history.slice(0, this.MAX_HISTORY_SIZE);
-      }
-      
-      // Save back to storage
-      await this.save(this.STORAGE_KEYS.TEST_HISTORY, history);
-      
-      // Update statistics
-      await this.updateStatistics(history);
-      
-      return entry;
-    } catch (error) {
-      console.error('Failed to save test result:', error);
-      throw error;
-    }
-  }
-
-  // Load test history
-  async loadTestHistory(limit = 100, offset = 0) {
-    try {
-      const history = await this.load(this.STORAGE_KEYS.TEST_HISTORY) || [];
-      return history.slice(offset, offset + limit);
+      const { records } = await Results.query({ ...filter, limit, offset });
+      return records;
     } catch (error) {
       console.error('Failed to load test history:', error);
       return [];
@@ -183,7 +153,7 @@ export class StorageManager {
   // Clear test history
   async clearTestHistory() {
     try {
-      await this.remove(this.STORAGE_KEYS.TEST_HISTORY);
+      await Results.clear();
       await this.remove('testStatistics');
       return true;
     } catch (error) {
@@ -192,21 +162,15 @@ export class StorageManager {
     }
   }
 
-  // Clean old test data
-  async cleanOldData(daysToKeep = 30) {
+  // Roll up and expire old test data - without an age, the repository's retention policy applies
+  async cleanOldData(daysToKeep = null) {
     try {
-      const history = await this.load(this.STORAGE_KEYS.TEST_HISTORY) || [];
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-      
-      const filteredHistory = history.filter(entry => {
-        const entryDate = new Date(entry.timestamp);
-        return entryDate > cutoffDate;
-      });
+      const deleted = daysToKeep
+        ? await Results.applyRetention({ ...Results.retention, maxAgeDays: daysToKeep })
+        : await Results.applyRetention();
       
-      if (filteredHistory.length < history.length) {
-        await this.save(this.STORAGE_KEYS.TEST_HISTORY, filteredHistory);
-        console.log(`Cleaned ${history.length - filteredHistory.length} old test entries`);
+      if (deleted > 0) {
+        console.log(`Cleaned ${deleted} old test entries`);
       }
       
       return true;
@@ -299,6 +263,114 @@ export class StorageManager {
     }
   }
 
+  // Save custom speed test server
+  async saveCustomServer(server) {
+    try {
+      const servers = await this.load(this.STORAGE_KEYS.CUSTOM_SERVERS) || [];
+
+      // Match on id, or on URL so re-adding a server updates it
+      const existingIndex = servers.findIndex(s =>
+        (server.id && s.id === server.id) || s.url === server.url
+      );
+
+      const existing = existingIndex >= 0 ? servers[existingIndex] : null;
+
+      const saved = {
+        ...existing,
+        ...server,
+        id: existing?.id || this.generateId(),
+        created: existing?.created || new Date().toISOString(),
+        modified: new Date().toISOString()
+      };
+
+      if (existing) {
+        servers[existingIndex] = saved;
+      } else {
+        servers.push(saved);
+      }
+
+      await this.save(this.STORAGE_KEYS.CUSTOM_SERVERS, servers);
+      return saved;
+    } catch (error) {
+      console.error('Failed to save custom server:', error);
+      throw error;
+    }
+  }
+
+  // Load custom speed test servers
+  async loadCustomServers() {
+    try {
+      return await this.load(this.STORAGE_KEYS.CUSTOM_SERVERS) || [];
+    } catch (error) {
+      console.error('Failed to load custom servers:', error);
+      return [];
+    }
+  }
+
+  // Delete custom speed test server
+  async deleteCustomServer(id) {
+    try {
+      const servers = await this.load(this.STORAGE_KEYS.CUSTOM_SERVERS) || [];
+      const filtered = servers.filter(s => s.id !== id);
+      await this.save(this.STORAGE_KEYS.CUSTOM_SERVERS, filtered);
+      return true;
+    } catch (error) {
+      console.error('Failed to delete custom server:', error);
+      throw error;
+    }
+  }
+
+  // Save test schedule
+  async saveSchedule(schedule) {
+    try {
+      const schedules = await this.load(this.STORAGE_KEYS.SCHEDULES) || [];
+      const existingIndex = schedule.id ? schedules.findIndex(s => s.id === schedule.id) : -1;
+      const existing = existingIndex >= 0 ? schedules[existingIndex] : null;
+
+      const saved = {
+        ...existing,
+        ...schedule,
+        id: existing?.id || schedule.id || this.generateId(),
+        created: existing?.created || new Date().toISOString(),
+        modified: new Date().toISOString()
+      };
+
+      if (existing) {
+        schedules[existingIndex] = saved;
+      } else {
+        schedules.push(saved);
+      }
+
+      await this.save(this.STORAGE_KEYS.SCHEDULES, schedules);
+      return saved;
+    } catch (error) {
+      console.error('Failed to save schedule:', error);
+      throw error;
+    }
+  }
+
+  // Load test schedules
+  async loadSchedules() {
+    try {
+      return await this.load(this.STORAGE_KEYS.SCHEDULES) || [];
+    } catch (error) {
+      console.error('Failed to load schedules:', error);
+      return [];
+    }
+  }
+
+  // Delete test schedule
+  async deleteSchedule(id) {
+    try {
+      const schedules = await this.load(this.STORAGE_KEYS.SCHEDULES) || [];
+      await this.save(this.STORAGE_KEYS.SCHEDULES, schedules.filter(s => s.id !== id));
+      return true;
+    } catch (error) {
+      console.error('Failed to delete schedule:', error);
+      throw error;
+    }
+  }
+
   // Save theme
   async saveTheme(theme) {
     try {
@@ -373,59 +445,6 @@ export class StorageManager {
     }
   }
 
-  // Update statistics
-  async updateStatistics(history) {
-    try {
-      const stats = {
-        totalTests: history.length,
-        averageScore: 0,
-        averageDownload: 0,
-        averageUpload: 0,
-        averageLatency: 0,
-        bestScore: 0,
-        worstScore: 100,
-        lastTest: history[0]?.timestamp || null,
-        firstTest: history[history.length - 1]?.timestamp || null
-      };
-      
-      if (history.length > 0) {
-        let totalScore = 0;
-        let totalDownload = 0;
-        let totalUpload = 0;
-        let totalLatency = 0;
-        let validTests = 0;
-        
-        history.forEach(test => {
-          if (test.results) {
-            validTests++;
-            const score = test.results.overallScore || 0;
-            totalScore += score;
-            
-            if (score > stats.bestScore) stats.bestScore = score;
-            if (score < stats.worstScore) stats.worstScore = score;
-            
-            totalDownload += test.results.downloadSpeed?.overall?.average || 0;
-            totalUpload += test.results.uploadSpeed?.overall?.average || 0;
-            totalLatency += test.results.latency?.overall?.average || 0;
-          }
-        });
-        
-        if (validTests > 0) {
-          stats.averageScore = Math.round(totalScore / validTests);
-          stats.averageDownload = Math.round(totalDownload / validTests);
-          stats.averageUpload = Math.round(totalUpload / validTests);
-          stats.averageLatency = Math.round(totalLatency / validTests);
-        }
-      }
-      
-      await this.save('testStatistics', stats);
-      return stats;
-    } catch (error) {
-      console.error('Failed to update statistics:', error);
-      return null;
-    }
-  }
-
   // Get statistics
   async getStatistics() {
     try {
@@ -451,13 +470,15 @@ export class StorageManager {
     try {
       const data = await this.loadMultiple([
         this.STORAGE_KEYS.CONFIG,
-        this.STORAGE_KEYS.TEST_HISTORY,
         this.STORAGE_KEYS.CUSTOM_PRESETS,
         this.STORAGE_KEYS.THEME,
         this.STORAGE_KEYS.DASHBOARD_SETTINGS,
         this.STORAGE_KEYS.CUSTOM_SERVERS,
+        this.STORAGE_KEYS.SCHEDULES,
         'testStatistics'
       ]);
+      data[this.STORAGE_KEYS.TEST_HISTORY] = (await Results.query({ limit: 0 })).records;
+      data.resultRollups = await Results.queryRollups();
       
       return {
         version: '2.0.0',
@@ -481,7 +502,13 @@ export class StorageManager {
       
       // Import each data type
       for (const [key, value] of Object.entries(data)) {
-        if (value !== undefined && value !== null) {
+        if (value === undefined || value === null) continue;
+        
+        if (key === this.STORAGE_KEYS.TEST_HISTORY) {
+          await Results.addMany(value);
+        } else if (key === 'resultRollups') {
+          await Results.addRollups(value);
+        } else {
           await this.save(key, value);
         }
       }
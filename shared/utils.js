@@ -190,82 +190,6 @@ export const Utils = {
     };
   },
 
-  // Generate recommendations
-  generateRecommendations(metrics, capabilities) {
-    const recommendations = [];
-    
-    // Speed recommendations
-    if (metrics.downloadSpeed < 25) {
-      recommendations.push({
-        category: 'Speed',
-        priority: 'high',
-        suggestion: 'Consider upgrading your internet plan for better performance',
-        impact: 'Improved streaming and download speeds'
-      });
-    }
-    
-    if (metrics.uploadSpeed < 10) {
-      recommendations.push({
-        category: 'Upload',
-        priority: 'medium',
-        suggestion: 'Upload speed is limited - may affect video calls and cloud backups',
-        impact: 'Better video conferencing and file sharing'
-      });
-    }
-    
-    // Latency recommendations
-    if (metrics.latency > 50) {
-      recommendations.push({
-        category: 'Latency',
-        priority: 'high',
-        suggestion: 'High latency detected - consider using ethernet or moving closer to router',
-        impact: 'Improved responsiveness for gaming and video calls'
-      });
-    }
-    
-    // Jitter recommendations
-    if (metrics.jitter > 30) {
-      recommendations.push({
-        category: 'Stability',
-        priority: 'medium',
-        suggestion: 'Network instability detected - check for interference or congestion',
-        impact: 'More consistent performance'
-      });
-    }
-    
-    // Packet loss recommendations
-    if (metrics.packetLoss > 0) {
-      recommendations.push({
-        category: 'Reliability',
-        priority: 'high',
-        suggestion: 'Packet loss detected - check cables and router settings',
-        impact: 'Improved connection reliability'
-      });
-    }
-    
-    // Gaming specific
-    if (!capabilities.gaming && metrics.latency > 30) {
-      recommendations.push({
-        category: 'Gaming',
-        priority: 'medium',
-        suggestion: 'For better gaming: use ethernet, close background apps, enable QoS',
-        impact: 'Reduced lag and better gaming experience'
-      });
-    }
-    
-    // Streaming specific
-    if (!capabilities.streaming4K && metrics.downloadSpeed > 15) {
-      recommendations.push({
-        category: 'Streaming',
-        priority: 'low',
-        suggestion: 'Close to 4K streaming capability - small improvements needed',
-        impact: 'Enable 4K streaming on supported platforms'
-      });
-    }
-    
-    return recommendations;
-  },
-
   // Parse file size string
   parseFileSize(sizeStr) {
     const units = { 
@@ -462,21 +386,27 @@ export const Utils = {
   },
 
   // Get speed color based on value
-  getSpeedColor(speed) {
-    if (speed >= 100) return '#00ff88'; // Excellent
-    if (speed >= 50) return '#4a90e2';  // Good
-    if (speed >= 25) return '#ffa500';  // Fair
+  getSpeedColor(speed, [excellent, good, fair] = [100, 50, 25]) {
+    if (speed >= excellent) return '#00ff88'; // Excellent
+    if (speed >= good) return '#4a90e2';      // Good
+    if (speed >= fair) return '#ffa500';      // Fair
     return '#ff4444'; // Poor
   },
 
   // Get latency color based on value
-  getLatencyColor(latency) {
-    if (latency < 20) return '#00ff88';  // Excellent
-    if (latency < 50) return '#4a90e2';  // Good
-    if (latency < 100) return '#ffa500'; // Fair
+  getLatencyColor(latency, [excellent, good, fair] = [20, 50, 100]) {
+    if (latency < excellent) return '#00ff88'; // Excellent
+    if (latency < good) return '#4a90e2';      // Good
+    if (latency < fair) return '#ffa500';      // Fair
     return '#ff4444'; // Poor
   },
 
+  // Get grade color from the letter of a network grade
+  getGradeColor(grade) {
+    const colors = { A: '#00ff88', B: '#4a90e2', C: '#ffa500' };
+    return colors[grade?.[0]] || '#ff4444';
+  },
+
   // Validate URL
   isValidUrl(string) {
     try {